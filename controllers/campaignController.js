@@ -1,10 +1,16 @@
 // controllers/campaignController.js
 const mongoose = require('mongoose');
 const Enemy = require('../models/Enemy');
+const Card = require('../models/Card');
 const Campaign = require('../models/Campaign');
 const Room = require('../models/Room');
 const SavedGame = require('../models/SavedGame');
+const CombatSession = require('../models/CombatSession');
+const BattleReplay = require('../models/BattleReplay');
 const User = require('../models/User');
+const { createRng, randomSeed, isReservedSeed, RESERVED_SEED_MESSAGE } = require('../utils/rng');
+const { MAX_DIFFICULTY, parseDifficulty, difficultyModifiers, weightsForDifficulty } = require('../utils/difficulty');
+const { abandonRun } = require('../utils/runLifecycle');
 
 // ---- Popularity (playing now) with in-memory heartbeats ----
 const HEARTBEAT_TTL_MS = 90 * 1000; // consider "online" if pinged within last 90s
@@ -77,7 +83,7 @@ const likeCampaign = async (req, res) => {
 };
 
 
-// --- Fallback generator
+// --- Fallback generator (?seed= gives the same rooms every time; without one a seed is rolled)
 const getDefaultCampaign = async (req, res) => {
   const length = parseInt(req.params.length, 10) || 10;
   const roomTypes = [
@@ -87,12 +93,13 @@ const getDefaultCampaign = async (req, res) => {
     { type: 'event',    weight: 2 },
   ];
 
-  const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n|0));
-  const q = req.query || {};
+  const seed = normalizeSeed(req.query?.seed);
+  if (isReservedSeed(seed)) return res.status(400).json({ message: RESERVED_SEED_MESSAGE });
+  const rng = createRng(seed);
 
   function pickRoomType() {
     const totalWeight = roomTypes.reduce((sum, t) => sum + t.weight, 0);
-    let rnd = Math.random() * totalWeight;
+    let rnd = rng() * totalWeight;
     for (let i = 0; i < roomTypes.length; i++) {
       if (rnd < roomTypes[i].weight) return roomTypes[i].type;
       rnd -= roomTypes[i].weight;
@@ -102,22 +109,21 @@ const getDefaultCampaign = async (req, res) => {
 
   let enemyIds = [];
   try {
-    const allEnemies = await Enemy.find({}, '_id');
+    // stable order so a seeded rng always lands on the same enemies
+    const allEnemies = await Enemy.find({}, '_id').sort({ _id: 1 });
     enemyIds = allEnemies.map(e => e._id.toString());
     if (enemyIds.length === 0) return res.status(500).json({ message: 'No enemies in DB!' });
   } catch (err) {
     return res.status(500).json({ message: 'Failed to fetch enemies', error: err.message });
   }
 
-  const randInt = (lo, hi) => lo + Math.floor(Math.random() * (hi - lo + 1));
-
   const rooms = [];
   for (let i = 0; i < length; i++) {
     const type = (i === length - 1) ? 'boss' : pickRoomType();
     const room = { index: i, type };
 
     if (type === 'combat' || type === 'boss') {
-      room.enemyId = enemyIds[Math.floor(Math.random() * enemyIds.length)];
+      room.enemyId = enemyIds[Math.floor(rng() * enemyIds.length)];
     }
     if (type === 'loot') {
       room.lootTable = ['gold', 'potion', 'card'];
@@ -129,7 +135,7 @@ const getDefaultCampaign = async (req, res) => {
     rooms.push(room);
   }
 
-  res.json(rooms);
+  res.json({ rooms, seed });
 };
 
 // ----- Campaign CRUD -----
@@ -218,29 +224,76 @@ const deleteCampaign = async (req, res) => {
 
 // ----- Helpers for generation -----
 const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n|0));
-const shuffle = (arr) => {
+const shuffle = (arr, rng = Math.random) => {
   const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) { const j = Math.floor(Math.random() * (i + 1)); [a[i], a[j]] = [a[j], a[i]]; }
+  for (let i = a.length - 1; i > 0; i--) { const j = Math.floor(rng() * (i + 1)); [a[i], a[j]] = [a[j], a[i]]; }
   return a;
 };
-const pickRandomLoot = (campaign) => {
+const pickRandomLoot = (campaign, rng = Math.random) => {
   const rl = campaign?.generator?.randomLoot;
   const items = Array.isArray(rl?.items) ? rl.items.slice() : [];
   const maxPicks = clamp(rl?.maxPicks ?? 1, 1, 3);
   if (!items.length) return [];
-  const picks = 1 + Math.floor(Math.random() * maxPicks);
-  return shuffle(items).slice(0, picks);
+  const picks = 1 + Math.floor(rng() * maxPicks);
+  return shuffle(items, rng).slice(0, picks);
 };
-const pickEnemyId = async () => {
-  const pool = await Enemy.find({}, '_id').lean();
+const pickEnemyIds = async (count, rng = Math.random) => {
+  // stable order so a seeded rng always lands on the same enemies
+  const pool = await Enemy.find({}, '_id').sort({ _id: 1 }).lean();
   if (!pool.length) throw new Error('No enemies in DB');
-  const i = Math.floor(Math.random() * pool.length);
-  return String(pool[i]._id);
+  return Array.from({ length: Math.max(1, count) }, () => String(pool[Math.floor(rng() * pool.length)]._id));
+};
+
+// Generated merchant stock (generator.merchant): card prices by Card.rating, a discount roll
+// per offer and optional stat-buff offers
+const RATING_PRICES = { N: 40, R: 75, G: 120, U: 200 };
+const MERCHANT_DISCOUNT = 0.3;
+const STAT_BUFF_PRICE = 50; // per point
+const STAT_BUFF_STATS = ['attackPower', 'physicalPower', 'supernaturalPower', 'durability', 'vitality', 'intelligence', 'speed'];
+
+// Cards a generated shop sells: generator.merchant.cardPool, else the starting deck and loot cards
+const merchantCardPool = async (campaign) => {
+  const pool = campaign?.generator?.merchant?.cardPool;
+  const ids = Array.isArray(pool) && pool.length ? pool : [
+    ...(campaign?.playerSetup?.startingDeck || []).map(e => e.cardId),
+    ...(campaign?.generator?.randomLoot?.items || []).filter(it => it.kind === 'card').map(it => it.cardId),
+  ];
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  // stable order so a seeded rng always stocks the same cards
+  return unique.length ? Card.find({ _id: { $in: unique } }, '_id rating').sort({ _id: 1 }).lean() : [];
+};
+
+const generateMerchantStock = (campaign, cards, rng = Math.random) => {
+  const g = campaign?.generator?.merchant || {};
+  const discountChance = Math.max(0, Math.min(1, g.discountChance ?? 0.25));
+  const offer = (item, basePrice) => {
+    const discount = rng() < discountChance ? MERCHANT_DISCOUNT : 0;
+    return { ...item, price: Math.round(basePrice * (1 - discount)), basePrice, discount, stock: 1 };
+  };
+  const items = shuffle(cards, rng).slice(0, clamp(g.cardOffers ?? 4, 0, 8))
+    .map(c => offer({ kind: 'card', cardId: String(c._id), rating: c.rating }, RATING_PRICES[c.rating] ?? RATING_PRICES.N));
+  for (let i = clamp(g.statBuffOffers ?? 1, 0, 3); i > 0; i--) {
+    const stat = STAT_BUFF_STATS[Math.floor(rng() * STAT_BUFF_STATS.length)];
+    const value = 1 + Math.floor(rng() * 2);
+    items.push(offer({ kind: 'statBuff', stat, value }, STAT_BUFF_PRICE * value));
+  }
+  return items;
 };
 
-const pickRoomTypeWeighted = (weights) => {
+// Enemies in a combat/boss room: generator enemiesMin..enemiesMax (bossMin..bossMax for bosses).
+// Without a campaign a room keeps a single enemy.
+const encounterSize = (campaign, type, rng = Math.random) => {
+  const g = campaign?.generator;
+  if (!g) return 1;
+  const boss = type === 'boss';
+  const lo = clamp((boss ? g.bossMin : g.enemiesMin) ?? 1, 1, 4);
+  const hi = Math.max(lo, clamp((boss ? g.bossMax : g.enemiesMax) ?? 3, 1, 4));
+  return lo + Math.floor(rng() * (hi - lo + 1));
+};
+
+const pickRoomTypeWeighted = (weights, rng = Math.random) => {
   const total = weights.reduce((s, w) => s + (w.weight || 0), 0);
-  let r = Math.random() * (total || 1);
+  let r = rng() * (total || 1);
   for (const w of weights) {
     r -= (w.weight || 0);
     if (r <= 0) return w.type;
@@ -248,8 +301,164 @@ const pickRoomTypeWeighted = (weights) => {
   return weights[0]?.type || 'combat';
 };
 
-// POST /api/campaigns/:id/start
+// Rest Area injection (generator.insertRestBefore): a rest room ahead of every boss/combat
+// room that doesn't already follow one. Indexes are renumbered; no rng is drawn.
+const insertRestRooms = (rooms, campaign, makeRest) => {
+  const before = campaign?.generator?.insertRestBefore;
+  if (before !== 'combat' && before !== 'boss') return rooms;
+  const out = [];
+  for (const r of rooms) {
+    const prev = out[out.length - 1];
+    if (r?.type === before && prev && prev.type !== 'rest') out.push(makeRest());
+    out.push(r);
+  }
+  return out.map((r, index) => ({ ...r, index }));
+};
+
+// Accept a player-supplied seed (shareable string) or roll a fresh one
+const normalizeSeed = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return randomSeed();
+  const s = String(raw).trim().slice(0, 64);
+  return s || randomSeed();
+};
+
+// Room path for a new run of `campaign`: the authored roomSequence, or one generated with
+// the campaign's generator settings from `rng` (createRng(seed); same seed, same path)
+async function buildRunSequence(campaign, { seed, difficulty = 0, modifiers = [], rng }) {
+  let sequence = [];
+
+  if (Array.isArray(campaign.roomSequence) && campaign.roomSequence.length) {
+    // Use authored roomSequence as-is (normalize to minimal room shape)
+    sequence = await (async () => {
+      const raw = campaign.roomSequence;
+      const ids = raw
+        .map(r => (typeof r === 'string' || (r && typeof r === 'object' && r._id)) ? (r._id || r) : null)
+        .filter(Boolean)
+        .map(String);
+
+      let out = [];
+      if (ids.length) {
+        const docs = await Room.find({ _id: { $in: ids } }).lean();
+        const map = new Map(docs.map(d => [String(d._id), d]));
+        out = raw.map((r, i) => {
+          if (typeof r === 'string') return pickRoomFields(map.get(String(r)), i);
+          if (r && typeof r === 'object' && r._id) return pickRoomFields(map.get(String(r._id)) || r, i);
+          if (r && typeof r === 'object' && r.type) return pickRoomFields(r, i);
+          return pickRoomFields(null, i);
+        });
+      } else {
+        out = raw.map((r, i) => pickRoomFields(r, i));
+      }
+      return out;
+    })();
+  } else {
+    // Generate a sequence using the same policy as /generate
+    const len = clamp(campaign.length ?? 6, 1, 100);
+    const w = weightsForDifficulty(campaign?.generator?.roomWeights ?? [
+      { type: 'combat', weight: 4 },
+      { type: 'loot',   weight: 2 },
+      { type: 'merchant', weight: 1 },
+      { type: 'event',  weight: 2 }
+    ], difficulty, modifiers);
+
+    let cardPool = null;
+    for (let i = 0; i < len; i++) {
+      const isLast = i === len - 1;
+      const type = isLast ? 'boss' : pickRoomTypeWeighted(w, rng);
+      const room = { index: i, type };
+      if (type === 'combat' || type === 'boss') {
+        room.enemyIds = await pickEnemyIds(encounterSize(campaign, type, rng), rng);
+      } else if (type === 'loot') {
+        room.loot = pickRandomLoot(campaign, rng);
+        room._id = new mongoose.Types.ObjectId(); // POST /api/rooms/:id/loot/claim addresses it
+      } else if (type === 'merchant') {
+        // each shop has its own rng (like per-room combat seeds), so stocking it never shifts the path
+        cardPool ??= await merchantCardPool(campaign);
+        room.merchant = { items: generateMerchantStock(campaign, cardPool, createRng(`${seed}:merchant:${i}`)) };
+        room._id = new mongoose.Types.ObjectId(); // POST /api/rooms/:id/merchant/buy addresses it
+      } else if (type === 'rest') {
+        room._id = new mongoose.Types.ObjectId(); // POST /api/rooms/:id/rest addresses it
+      } else if (type === 'event') {
+        room._id = new mongoose.Types.ObjectId(); // POST /api/rooms/:id/event/resolve addresses it
+      }
+      sequence.push(pickRoomFields(room, i));
+    }
+    sequence = insertRestRooms(sequence, campaign,
+      () => pickRoomFields({ _id: new mongoose.Types.ObjectId(), type: 'rest' }, 0));
+  }
+  return sequence;
+}
+
+// Resets the user's SavedGame to a fresh run on `sequence` (freeze path + reset progress;
+// no roster/team/decks). Resolves to the updated SavedGame.
+async function beginRun(userId, campaign, { seed, difficulty = 0, modifiers = [], daily = null, sequence }) {
+  const mods = difficultyModifiers(difficulty, modifiers);
+  const startingMoney = Math.round(mods.moneyMultiplier *
+    (Number.isFinite(campaign?.playerSetup?.startingMoney) ? Number(campaign.playerSetup.startingMoney) : 0));
+
+  // The run being replaced goes into the history as abandoned
+  const previous = await SavedGame.findOne({ user: userId }).lean();
+  if (previous?.progress?.campaignId) {
+    const previousCampaign = String(previous.progress.campaignId) === String(campaign._id)
+      ? campaign
+      : await Campaign.findById(previous.progress.campaignId).lean();
+    await abandonRun(previous, previousCampaign, 'restarted');
+  }
+
+  const doc = await SavedGame.findOneAndUpdate(
+    { user: userId },
+    {
+      $set: {
+        campaign: sequence,             // legacy/simple path for current FE
+        roomIndex: 0,
+        money: startingMoney,
+        seed,
+        difficulty,
+        modifiers,
+        ...(daily ? { daily } : {}),
+        progress: {
+          campaignId: campaign._id,
+          roomIndex: 0,
+          generatedPath: sequence
+        },
+        // run-scoped deck changes and counters start over
+        extraDeck: [],
+        upgradedCards: [],
+        removedCards: [],
+        runStatus: 'active',
+        runStartedAt: new Date(),
+        runStats: { startingMoney, money: startingMoney },
+      },
+      // fresh run starts at full HP, without the previous run's stats or summary
+      $unset: { playerHp: '', restTakenAt: '', lootClaimedAt: '', eventResolvedAt: '', merchantBought: '', extraStats: '', runSummary: '', ...(daily ? {} : { daily: '' }) }
+    },
+    { new: true, upsert: true }
+  );
+
+  // A fight left open by a previous run must not carry into this one
+  await CombatSession.updateMany({ user: userId, status: 'active' }, { $set: { status: 'abandoned' } });
+  await BattleReplay.updateMany({ user: userId, status: 'active' }, { $set: { status: 'abandoned' } });
+  return doc;
+}
+
+const runStartResponse = (doc, sequence) => ({
+  ok: true,
+  savedGameId: String(doc._id),
+  progress: doc.progress,
+  roomIndex: doc.roomIndex,
+  money: doc.money,
+  seed: doc.seed,
+  difficulty: doc.difficulty,
+  modifiers: doc.modifiers || [],
+  daily: doc.daily || null,
+  runStatus: doc.runStatus,
+  sequence
+});
+
+// POST /api/campaigns/:id/start  { seed?, difficulty? }
 // Creates/updates the user's SavedGame with a frozen room sequence and resets progress.
+// The same seed always yields the same path, and seeds every combat of the run.
+// difficulty (0..MAX_DIFFICULTY) stacks harder enemies, less money and smaller heals.
 const startRun = async (req, res) => {
   try {
     if (!req.user?._id) return res.status(401).json({ message: 'Authentication required' });
@@ -257,88 +466,16 @@ const startRun = async (req, res) => {
     const campaign = await Campaign.findById(id).lean();
     if (!campaign) return res.status(404).json({ message: 'Campaign not found' });
 
-    // Materialize a canonical room sequence (reuse helpers in this file)
-    let sequence = [];
-
-    if (Array.isArray(campaign.roomSequence) && campaign.roomSequence.length) {
-      // Use authored roomSequence as-is (normalize to minimal room shape)
-      sequence = await (async () => {
-        const raw = campaign.roomSequence;
-        const ids = raw
-          .map(r => (typeof r === 'string' || (r && typeof r === 'object' && r._id)) ? (r._id || r) : null)
-          .filter(Boolean)
-          .map(String);
-
-        let out = [];
-        if (ids.length) {
-          const docs = await Room.find({ _id: { $in: ids } }).lean();
-          const map = new Map(docs.map(d => [String(d._id), d]));
-          out = raw.map((r, i) => {
-            if (typeof r === 'string') return pickRoomFields(map.get(String(r)), i);
-            if (r && typeof r === 'object' && r._id) return pickRoomFields(map.get(String(r._id)) || r, i);
-            if (r && typeof r === 'object' && r.type) return pickRoomFields(r, i);
-            return pickRoomFields(null, i);
-          });
-        } else {
-          out = raw.map((r, i) => pickRoomFields(r, i));
-        }
-        return out;
-      })();
-    } else {
-      // Generate a sequence using the same policy as /generate
-      const len = clamp(campaign.length ?? 6, 1, 100);
-      const w = campaign?.generator?.roomWeights ?? [
-        { type: 'combat', weight: 4 },
-        { type: 'loot',   weight: 2 },
-        { type: 'merchant', weight: 1 },
-        { type: 'event',  weight: 2 }
-      ];
-
-      for (let i = 0; i < len; i++) {
-        const isLast = i === len - 1;
-        const type = isLast ? 'boss' : pickRoomTypeWeighted(w);
-        const room = { index: i, type };
-        if (type === 'combat' || type === 'boss') {
-          room.enemyId = await pickEnemyId();
-        } else if (type === 'loot') {
-          room.loot = pickRandomLoot(campaign);
-        } else if (type === 'merchant') {
-          // keep empty items if none authored; FE will render an empty shop
-          room.merchant = { items: [] };
-        }
-        sequence.push(pickRoomFields(room, i));
-      }
+    const difficulty = parseDifficulty(req.body?.difficulty);
+    if (difficulty === null) {
+      return res.status(400).json({ message: `difficulty must be an integer from 0 to ${MAX_DIFFICULTY}` });
     }
 
-    // Persist to SavedGame (freeze path + reset progress; no roster/team/decks)
-    const startingMoney =
-      Number.isFinite(campaign?.playerSetup?.startingMoney) ? Number(campaign.playerSetup.startingMoney) : 0;
-
-    const doc = await SavedGame.findOneAndUpdate(
-      { user: req.user._id },
-      {
-        $set: {
-          campaign: sequence,             // legacy/simple path for current FE
-          roomIndex: 0,
-          money: startingMoney,
-          progress: {
-            campaignId: campaign._id,
-            roomIndex: 0,
-            generatedPath: sequence
-          }
-        }
-      },
-      { new: true, upsert: true }
-    );
-
-    return res.json({
-      ok: true,
-      savedGameId: String(doc._id),
-      progress: doc.progress,
-      roomIndex: doc.roomIndex,
-      money: doc.money,
-      sequence
-    });
+    const seed = normalizeSeed(req.body?.seed);
+    if (isReservedSeed(seed)) return res.status(400).json({ message: RESERVED_SEED_MESSAGE });
+    const sequence = await buildRunSequence(campaign, { seed, difficulty, rng: createRng(seed) });
+    const doc = await beginRun(req.user._id, campaign, { seed, difficulty, sequence });
+    return res.json(runStartResponse(doc, sequence));
   } catch (e) {
     return res.status(500).json({ message: 'Failed to start run', error: String(e.message || e) });
   }
@@ -355,10 +492,11 @@ const pickRoomFields = (r, index) => {
   };
 
   if (r.type === 'combat' || r.type === 'boss') {
-    const enemyId = r.enemyId
-      ? String(r.enemyId)
-      : ((Array.isArray(r.enemyIds) && r.enemyIds.length) ? String(r.enemyIds[0]) : null);
-    return { ...base, enemyId };
+    // enemyIds is the encounter; enemyId (first enemy) stays for single-enemy clients
+    const enemyIds = (Array.isArray(r.enemyIds) && r.enemyIds.length)
+      ? r.enemyIds.map(String)
+      : (r.enemyId ? [String(r.enemyId)] : []);
+    return { ...base, enemyId: enemyIds[0] || null, enemyIds };
   }
   if (r.type === 'loot') {
     // keep authored loot if present; client can also render from campaign-generated loot
@@ -389,15 +527,22 @@ const pickRoomFields = (r, index) => {
     };
   }
   if (r.type === 'rest') {
-    // include any authored rest data here if you have it later
-    return { ...base };
+    return {
+      ...base,
+      rest: {
+        healPercent: r.rest?.healPercent ?? 30,
+        options: (Array.isArray(r.rest?.options) && r.rest.options.length) ? r.rest.options : ['heal', 'upgrade', 'remove'],
+        text: r.rest?.text || '',
+      }
+    };
   }
   return base;
 };
 
 // fetch a batch of authored rooms for given types and index by _id & type
 async function fetchAuthoredRoomsByTypes(types) {
-  const docs = await Room.find({ type: { $in: Array.from(new Set(types)) } }).lean();
+  // stable order so a seeded rng always picks the same rooms
+  const docs = await Room.find({ type: { $in: Array.from(new Set(types)) } }).sort({ _id: 1 }).lean();
   const byId = new Map(docs.map(d => [String(d._id), d]));
   const byType = docs.reduce((m, d) => {
     (m[d.type] ||= []).push(d);
@@ -407,10 +552,10 @@ async function fetchAuthoredRoomsByTypes(types) {
 }
 
 // get a random authored room of the given type, if any
-function pickRandomAuthored(byType, type) {
+function pickRandomAuthored(byType, type, rng = Math.random) {
   const arr = byType[type] || [];
   if (!arr.length) return null;
-  return arr[Math.floor(Math.random() * arr.length)];
+  return arr[Math.floor(rng() * arr.length)];
 }
 
 // Generate rooms on-the-fly using helper functions and (optional) campaign generator config
@@ -418,6 +563,9 @@ const generateCampaignRooms = async (req, res) => {
   try {
     const { id } = req.params; // optional: campaign id to read generator config
     const { length = 6, weights } = req.body || {};
+    const seed = normalizeSeed(req.body?.seed);
+    if (isReservedSeed(seed)) return res.status(400).json({ message: RESERVED_SEED_MESSAGE });
+    const rng = createRng(seed);
     // prefer body.length, then campaign.length, else 6
     let len = clamp(length, 1, 100);
 
@@ -440,22 +588,24 @@ const generateCampaignRooms = async (req, res) => {
     const rooms = [];
     for (let i = 0; i < len; i++) {
       const isLast = i === len - 1;
-      const type = isLast ? 'boss' : pickRoomTypeWeighted(w);
+      const type = isLast ? 'boss' : pickRoomTypeWeighted(w, rng);
       const room = { index: i, type };
       if (type === 'combat' || type === 'boss') {
-        room.enemyId = await pickEnemyId();
+        room.enemyIds = await pickEnemyIds(encounterSize(campaign, type, rng), rng);
+        room.enemyId = room.enemyIds[0];
       } else if (type === 'loot') {
-        room.loot = pickRandomLoot(campaign);
+        room.loot = pickRandomLoot(campaign, rng);
       }
       rooms.push(room);
     }
-    return res.json(rooms);
+    return res.json({ rooms: insertRestRooms(rooms, campaign, () => ({ type: 'rest' })), seed });
   } catch (e) {
     return res.status(500).json({ message: 'Failed to generate rooms', error: String(e.message || e) });
   }
 };
 
-// Return a canonical sequence for a campaign (stored `roomSequence`, or generated fallback)
+// Return a canonical sequence for a campaign (stored `roomSequence`, or generated fallback;
+// ?seed= makes the fallback reproducible)
 const getCampaignSequence = async (req, res) => {
   try {
     const { id } = req.params;
@@ -490,18 +640,18 @@ const getCampaignSequence = async (req, res) => {
 
     // helper: enrich combat/boss rooms with enemy name summaries in one DB roundtrip
     const enrichEnemySummaries = async (seq) => {
-      const ids = Array.from(new Set(seq
-        .filter(r => r && (r.type === 'combat' || r.type === 'boss') && r.enemyId)
-        .map(r => String(r.enemyId))
-      ));
+      const isFight = (r) => r && (r.type === 'combat' || r.type === 'boss');
+      const idsOf = (r) => (Array.isArray(r.enemyIds) && r.enemyIds.length ? r.enemyIds : (r.enemyId ? [r.enemyId] : [])).map(String);
+      const ids = Array.from(new Set(seq.filter(isFight).flatMap(idsOf)));
       if (!ids.length) return seq;
 
       const enemies = await Enemy.find({ _id: { $in: ids } }, { _id: 1, name: 1 }).lean();
       const nameById = new Map(enemies.map(e => [String(e._id), e.name || String(e._id)]));
 
       return seq.map(r => {
-        if (!r || (r.type !== 'combat' && r.type !== 'boss')) return r;
-        return { ...r, enemyId: r.enemyId ? String(r.enemyId) : null, enemySummary: r.enemyId ? { id: String(r.enemyId), name: nameById.get(String(r.enemyId)) || String(r.enemyId) } : null };
+        if (!isFight(r)) return r;
+        const enemySummaries = idsOf(r).map(id => ({ id, name: nameById.get(id) || id }));
+        return { ...r, enemyId: enemySummaries[0]?.id || null, enemySummary: enemySummaries[0] || null, enemySummaries };
       });
     };
 
@@ -540,7 +690,10 @@ const getCampaignSequence = async (req, res) => {
       return res.json({ sequence, generated: false });
     }
 
-    // fallback: generate based on generator config (kept same as before)
+    // fallback: generate based on generator config, every pick from one rng
+    const seed = normalizeSeed(req.query?.seed);
+    if (isReservedSeed(seed)) return res.status(400).json({ message: RESERVED_SEED_MESSAGE });
+    const rng = createRng(seed);
     const len = clamp(campaign.length ?? 6, 1, 100);
     const w = campaign?.generator?.roomWeights ?? [
       { type: 'combat', weight: 4 },
@@ -553,10 +706,15 @@ const getCampaignSequence = async (req, res) => {
     const typesPlanned = [];
     for (let i = 0; i < len; i++) {
       const isLast = i === len - 1;
-      const t = isLast ? 'boss' : pickRoomTypeWeighted(w);
+      const t = isLast ? 'boss' : pickRoomTypeWeighted(w, rng);
       typesPlanned.push(t);
     }
-    const { byType } = await fetchAuthoredRoomsByTypes(typesPlanned.filter(t => t !== 'combat' && t !== 'boss'));
+    // rest is always fetched: insertRestBefore may add rest rooms the plan doesn't list
+    const { byType } = await fetchAuthoredRoomsByTypes([...typesPlanned.filter(t => t !== 'combat' && t !== 'boss'), 'rest']);
+    const restRoom = (i) => {
+      const authored = pickRandomAuthored(byType, 'rest', rng);
+      return pickRoomFields(authored ? { ...authored, type: 'rest' } : { _id: new mongoose.Types.ObjectId(), type: 'rest' }, i);
+    };
 
     const data = [];
     for (let i = 0; i < len; i++) {
@@ -566,28 +724,29 @@ const getCampaignSequence = async (req, res) => {
         data.push(pickRoomFields({
           _id: new mongoose.Types.ObjectId(),
           type,
-          enemyId: await pickEnemyId()
+          enemyIds: await pickEnemyIds(encounterSize(campaign, type, rng), rng)
         }, i));
       } else if (type === 'loot') {
         // Prefer authored loot room if any; else use generated loot from campaign
-        const authored = pickRandomAuthored(byType, 'loot');
-        data.push(pickRoomFields(authored ? { ...authored, type: 'loot' } : { type: 'loot', loot: pickRandomLoot(campaign) }, i));
+        const authored = pickRandomAuthored(byType, 'loot', rng);
+        data.push(pickRoomFields(authored ? { ...authored, type: 'loot' } : { type: 'loot', loot: pickRandomLoot(campaign, rng) }, i));
       } else if (type === 'merchant') {
-        const authored = pickRandomAuthored(byType, 'merchant');
-        data.push(pickRoomFields(authored ? { ...authored, type: 'merchant' } : { type: 'merchant', merchant: { items: [] } }, i));
+        const authored = pickRandomAuthored(byType, 'merchant', rng);
+        const items = authored ? null
+          : generateMerchantStock(campaign, await merchantCardPool(campaign), createRng(`${seed}:merchant:${i}`));
+        data.push(pickRoomFields(authored ? { ...authored, type: 'merchant' } : { type: 'merchant', merchant: { items } }, i));
       } else if (type === 'event') {
-        const authored = pickRandomAuthored(byType, 'event');
+        const authored = pickRandomAuthored(byType, 'event', rng);
         data.push(pickRoomFields(authored ? { ...authored, type: 'event' } : { type: 'event', event: { kind: 'story-only', vnText: [] } }, i));
       } else if (type === 'rest') {
-        const authored = pickRandomAuthored(byType, 'rest');
-        data.push(pickRoomFields(authored ? { ...authored, type: 'rest' } : { type: 'rest' }, i));
+        data.push(restRoom(i));
       } else {
         data.push(pickRoomFields({ type }, i));
       }
     }
 
-    const sequence = await enrichEnemySummaries(data);
-    return res.json({ sequence, generated: true });
+    const sequence = await enrichEnemySummaries(insertRestRooms(data, campaign, () => restRoom(0)));
+    return res.json({ sequence, generated: true, seed });
   } catch (e) {
     return res.status(500).json({ message: 'Failed to get sequence', error: String(e.message || e) });
   }
@@ -604,5 +763,9 @@ module.exports = {
   getCampaignSequence,
   heartbeat,
   likeCampaign,
-  startRun
+  startRun,
+  // shared with the daily challenge (controllers/dailyController.js)
+  buildRunSequence,
+  beginRun,
+  runStartResponse
 };
@@ -1,10 +1,17 @@
 // controllers/cardController.js
 const Card = require('../models/Card');
+const { validateCondition } = require('../engine/conditions');
 const KNOWN_TYPES = new Set([
   'Stats Up','Stats Down','Freeze','Unluck','Curse','Lucky','Guard',
   'Ability Shield','Revive','Durability Negation','Ability Negation',
-  'Instant Death','Multi-Hit','None'
+  'Instant Death','Multi-Hit','Poison','Burn','Regen','Silence','Taunt','Thorns','None'
 ]);
+// Status effects need a duration; the percent-based ones cap power at 100
+const STATUS_TYPES = new Set(['Poison','Burn','Regen','Silence','Taunt','Thorns']);
+const PERCENT_TYPES = new Set(['Burn','Thorns']);
+const TRIGGERS = new Set(['onPlay','turnStart','turnEnd','onDamaged','onHit','onDodged','onKill','onRevive']);
+// Event triggers carry standalone effects only (no attack/Multi-Hit/DN to ride on)
+const UNTRIGGERABLE_TYPES = new Set(['Durability Negation','Multi-Hit','None']);
 const VALID_TARGETS = new Set(['attackPower','physicalPower','supernaturalPower','durability','speed']);
 
 
@@ -33,6 +40,14 @@ const normOneAbility = (a, idx = 0) => {
 
   const key = (a.key ?? ((a.name && !KNOWN_TYPES.has(nameAsType)) ? a.name : '')).toString().trim() || null;
 
+  // Optional declarative condition (engine/conditions.js); malformed ones fail the save
+  let condition;
+  if (a.condition != null && a.condition !== '') {
+    const err = validateCondition(a.condition);
+    if (err) throw new Error(`Ability "${key || type}": ${err}.`);
+    condition = a.condition;
+  }
+
   let linkedTo = [];
   let _legacyLinkedToIndex = null;
   if (Array.isArray(a.linkedTo)) {
@@ -79,6 +94,8 @@ const normOneAbility = (a, idx = 0) => {
     duration: Number(a.duration ?? 0),
     activationChance: (a.activationChance != null ? Number(a.activationChance) : undefined),
     precedence: Number(a.precedence ?? 0),
+    trigger: TRIGGERS.has(a.trigger) ? a.trigger : 'onPlay',
+    condition,
     attackType,
     target,
     linkedTo,
@@ -158,10 +175,72 @@ const normAbilities = (abilities) => {
     if (ab.multiHit && (!(typeof ab.multiHit.turns === 'number') || ab.multiHit.turns < 1)) {
       delete ab.multiHit;
     }
+    const label = ab.key || ab.type;
+    if (ab.trigger !== 'onPlay') {
+      if (UNTRIGGERABLE_TYPES.has(ab.type)) {
+        throw new Error(`Ability "${label}" (${ab.type}) cannot use trigger "${ab.trigger}".`);
+      }
+      if (ab.linkedTo.length || ab.multiHit) {
+        throw new Error(`Ability "${label}" uses trigger "${ab.trigger}" and cannot also be linked or Multi-Hit scheduled.`);
+      }
+    }
+    if (STATUS_TYPES.has(ab.type)) {
+      if (!(ab.duration >= 1)) throw new Error(`Ability "${label}" (${ab.type}) needs a duration of at least 1.`);
+      if (ab.type !== 'Silence' && ab.type !== 'Taunt' && !(ab.power > 0)) {
+        throw new Error(`Ability "${label}" (${ab.type}) needs a power greater than 0.`);
+      }
+      if (PERCENT_TYPES.has(ab.type) && ab.power > 100) {
+        throw new Error(`Ability "${label}" (${ab.type}) power is a percentage (max 100).`);
+      }
+    }
   }
   return arr;
 };
 
+// Card+ overrides, checked against the abilities the card will have; throws like normAbilities
+const normUpgrade = (src, abilities) => {
+  if (src == null || src === '') return undefined;
+  if (typeof src !== 'object' || Array.isArray(src)) throw new Error('upgrade must be an object.');
+
+  const num = (v, label, min = -Infinity, max = Infinity) => {
+    if (v == null || v === '') return undefined;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < min || n > max) throw new Error(`upgrade.${label} is out of range.`);
+    return n;
+  };
+  // same key fallback the model uses for abilities saved without one
+  const keys = new Set((Array.isArray(abilities) ? abilities : [])
+    .map((ab, i) => ab?.key || `${(ab?.type || 'None').replace(/\s+/g, '_')}_${i + 1}`));
+
+  const overrides = (Array.isArray(src.abilities) ? src.abilities : []).map((o, i) => {
+    const key = String(o?.key ?? '').trim();
+    if (!keys.has(key)) throw new Error(`upgrade.abilities[${i}] overrides unknown ability "${key}".`);
+    return {
+      key,
+      power: num(o.power, `abilities[${i}].power`),
+      duration: num(o.duration, `abilities[${i}].duration`, 0),
+      activationChance: num(o.activationChance, `abilities[${i}].activationChance`, 0, 100),
+    };
+  });
+
+  let addAbility;
+  if (src.addAbility) {
+    [addAbility] = normAbilities([src.addAbility]);
+    if (addAbility && (addAbility.type === 'Multi-Hit' || addAbility.multiHit)) {
+      throw new Error('upgrade.addAbility cannot use Multi-Hit.');
+    }
+  }
+
+  return {
+    name: src.name ? String(src.name).trim() : undefined,
+    potency: num(src.potency, 'potency'),
+    defense: num(src.defense, 'defense'),
+    spCost: num(src.spCost, 'spCost', 0),
+    abilities: overrides,
+    addAbility,
+  };
+};
+
 const normalizeCardEffect = (src) => {
   if (!src) return undefined;
   // Legacy: { kind, mime, data, sizeKB, durationSec }
@@ -231,7 +310,7 @@ const createCard = async (req, res) => {
     }
     const {
       name, rating, imageUrl, descThumbUrl, description, abilities,
-      spCost, /* owner ignored */ potency, defense, defaultAttackType, cardEffect
+      spCost, /* owner ignored */ potency, defense, defaultAttackType, cardEffect, upgrade
     } = req.body ?? {};
 
     const typesArr = normTypes(req.body);
@@ -240,9 +319,10 @@ const createCard = async (req, res) => {
     }
 
     const ce = normalizeCardEffect(cardEffect);
-    let abs;
+    let abs, up;
     try {
       abs = enforcePrimaryMultiHit(normAbilities(abilities));
+      up = normUpgrade(upgrade, abs);
     } catch (e) {
       return res.status(400).json({ message: String(e.message || e) });
     }
@@ -273,6 +353,7 @@ const createCard = async (req, res) => {
       abilities: abs,
       cardEffect: ce,
       spCost: Number(spCost ?? 0),
+      upgrade: up,
       owner: req.user._id, // enforce authenticated user
     });
 
@@ -345,6 +426,13 @@ const updateCard = async (req, res) => {
     if (Object.prototype.hasOwnProperty.call(body, 'spCost')) {
       update.spCost = Number(body.spCost ?? 0);
     }
+    if (Object.prototype.hasOwnProperty.call(body, 'upgrade')) {
+      try {
+        update.upgrade = normUpgrade(body.upgrade, update.abilities ?? current.abilities);
+      } catch (e) {
+        return res.status(400).json({ message: String(e.message || e) });
+      }
+    }
     if (Object.prototype.hasOwnProperty.call(body, 'cardEffect')) {
       if (body.cardEffect === null || body.cardEffect === '') {
         update.cardEffect = undefined;
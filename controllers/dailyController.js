@@ -0,0 +1,228 @@
+// controllers/dailyController.js
+// Daily challenge: the same campaign, seed, modifiers and frozen path for everyone that day.
+// Starting it goes through the regular run start (beginRun), tagged with SavedGame.daily;
+// each user gets one attempt, scored from the RunRecord it leaves when it ends.
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Card = require('../models/Card');
+const DailyChallenge = require('../models/DailyChallenge');
+const RunRecord = require('../models/RunRecord');
+const { createRng, DAILY_SEED_PREFIX } = require('../utils/rng');
+const { RUN_MODIFIERS } = require('../utils/difficulty');
+const { buildRunSequence, beginRun, runStartResponse } = require('./campaignController');
+
+const DAILY_MODIFIERS = 2;
+// generated campaign, when no campaign has a starting deck yet
+const GENERATED_LENGTH = 8;
+const GENERATED_DECK_SIZE = 10;
+const GENERATED_MIN_DECK = 5;
+
+// Leaderboard order: clears first, then furthest, fastest, fewest cards, earliest
+const DAILY_ORDER = [
+  ['cleared', -1],
+  ['roomsCleared', -1],
+  ['verified.turns', 1],
+  ['verified.cardsUsed', 1],
+  ['endedAt', 1],
+];
+const SCORED = ['won', 'lost'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const todayKey = () => new Date().toISOString().slice(0, 10);
+
+const clampInt = (v, lo, hi, dflt) => {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : dflt;
+};
+
+const valueAt = (obj, path) => path.split('.').reduce((o, k) => o?.[k], obj);
+
+// A playable campaign picked by the day's rng (stable order), or one generated for the day
+async function pickCampaign(rng, date) {
+  // only campaigns their owners published (drafts and private campaigns never become the daily)
+  const pool = await Campaign.find({ published: true, 'playerSetup.startingDeck.0': { $exists: true } }, '_id').sort({ _id: 1 }).lean();
+  if (pool.length) {
+    return { campaign: await Campaign.findById(pool[Math.floor(rng() * pool.length)]._id).lean(), generated: false };
+  }
+  const cards = await Card.find({}, '_id').sort({ _id: 1 }).lean();
+  if (!cards.length) throw new Error('No cards in DB');
+  const deck = new Map();
+  for (let i = 0; i < GENERATED_DECK_SIZE; i++) {
+    const id = String(cards[Math.floor(rng() * cards.length)]._id);
+    deck.set(id, (deck.get(id) || 0) + 1);
+  }
+  const campaign = await Campaign.create({
+    name: `Daily challenge ${date}`,
+    length: GENERATED_LENGTH,
+    playerSetup: {
+      startingDeck: Array.from(deck, ([cardId, qty]) => ({ cardId, qty })),
+      minDeckSize: GENERATED_MIN_DECK,
+    },
+  });
+  return { campaign: campaign.toObject(), generated: true };
+}
+
+// The day's challenge, created on first use (campaign, modifiers and path all from its seed)
+async function dailyChallenge(date) {
+  const existing = await DailyChallenge.findOne({ date }).lean();
+  if (existing) return existing;
+
+  const seed = `${DAILY_SEED_PREFIX}${date}`;
+  const rng = createRng(seed);
+  // modifiers first, so they only depend on the date
+  const ids = Object.keys(RUN_MODIFIERS);
+  const modifiers = [];
+  while (modifiers.length < Math.min(DAILY_MODIFIERS, ids.length)) {
+    const id = ids[Math.floor(rng() * ids.length)];
+    if (!modifiers.includes(id)) modifiers.push(id);
+  }
+  const { campaign, generated } = await pickCampaign(rng, date);
+  // same rng stream as POST /api/campaigns/:id/start with this seed
+  const sequence = await buildRunSequence(campaign, { seed, modifiers, rng: createRng(seed) });
+
+  try {
+    const doc = await DailyChallenge.create({
+      date, campaignId: campaign._id, campaignName: campaign.name, generated, seed, modifiers, sequence,
+    });
+    console.log('[DAILY][CREATE]', { date, campaignId: String(campaign._id), generated, modifiers });
+    return doc.toObject();
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    // another request created the day's challenge first
+    if (generated) await Campaign.deleteOne({ _id: campaign._id });
+    return DailyChallenge.findOne({ date }).lean();
+  }
+}
+
+const challengeView = (ch) => ({
+  date: ch.date,
+  campaignId: ch.campaignId,
+  campaignName: ch.campaignName || null,
+  generated: !!ch.generated,
+  seed: ch.seed,
+  difficulty: ch.difficulty || 0,
+  modifiers: (ch.modifiers || []).map(id => ({ id, ...RUN_MODIFIERS[id] })),
+  totalRooms: (ch.sequence || []).length,
+});
+
+const scoredStage = { $addFields: { cleared: { $cond: [{ $eq: ['$outcome', 'won'] }, 1, 0] } } };
+
+// 1-based rank of a scored daily RunRecord
+async function dailyRank(record) {
+  const entry = { ...record, cleared: record.outcome === 'won' ? 1 : 0 };
+  const [ahead] = await RunRecord.aggregate([
+    { $match: { daily: record.daily, outcome: { $in: SCORED }, _id: { $ne: record._id } } },
+    scoredStage,
+    {
+      $match: {
+        $or: DAILY_ORDER.map(([field, dir], i) => ({
+          ...Object.fromEntries(DAILY_ORDER.slice(0, i).map(([f]) => [f, valueAt(entry, f)])),
+          [field]: dir === 1 ? { $lt: valueAt(entry, field) } : { $gt: valueAt(entry, field) },
+        })),
+      }
+    },
+    { $count: 'n' },
+  ]);
+  return (ahead?.n || 0) + 1;
+}
+
+// GET /api/daily — today's challenge; signed in, also whether you used your attempt and its result
+exports.getDaily = async (req, res) => {
+  try {
+    const ch = await dailyChallenge(todayKey());
+    const out = challengeView(ch);
+    if (!req.user?._id) return res.json(out);
+
+    const user = new mongoose.Types.ObjectId(String(req.user._id));
+    const [attempted, result] = await Promise.all([
+      DailyChallenge.exists({ _id: ch._id, attempts: user }),
+      RunRecord.findOne({ user, daily: ch.date }).select('-cardsPlayed -__v').lean(),
+    ]);
+    return res.json({
+      ...out,
+      attempted: !!attempted,
+      result: result || null,
+      rank: result && SCORED.includes(result.outcome) ? await dailyRank(result) : null,
+    });
+  } catch (err) {
+    console.error('[DAILY_CONTROLLER][GET_DAILY]', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// POST /api/daily/start — today's run, once per user (no seed/difficulty choice)
+exports.startDaily = async (req, res) => {
+  const userId = req.user._id;
+  let claimedId = null;
+  try {
+    const ch = await dailyChallenge(todayKey());
+    const campaign = await Campaign.findById(ch.campaignId).lean();
+    if (!campaign) return res.status(404).json({ message: 'Daily campaign no longer exists' });
+
+    // Claiming the attempt is atomic, so parallel starts cannot both get through
+    const claimed = await DailyChallenge.updateOne(
+      { _id: ch._id, attempts: { $ne: userId } },
+      { $addToSet: { attempts: userId } }
+    );
+    if (!claimed.modifiedCount) {
+      return res.status(409).json({ message: 'Daily challenge already attempted today', date: ch.date });
+    }
+    claimedId = ch._id;
+
+    const doc = await beginRun(userId, campaign, {
+      seed: ch.seed,
+      difficulty: ch.difficulty || 0,
+      modifiers: ch.modifiers || [],
+      daily: ch.date,
+      sequence: ch.sequence,
+    });
+    console.log('[DAILY][START]', { date: ch.date, userId: String(userId) });
+    return res.json(runStartResponse(doc, ch.sequence));
+  } catch (err) {
+    console.error('[DAILY_CONTROLLER][START_DAILY]', err);
+    // The run never started, so the attempt is given back
+    if (claimedId) {
+      await DailyChallenge.updateOne({ _id: claimedId }, { $pull: { attempts: userId } })
+        .catch(e => console.error('[DAILY_CONTROLLER][RELEASE_ATTEMPT]', e));
+    }
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/daily/leaderboard?date&limit&page — finished attempts of a day (default today)
+exports.getDailyLeaderboard = async (req, res) => {
+  try {
+    const date = req.query.date ? String(req.query.date) : todayKey();
+    if (!DATE_RE.test(date)) return res.status(400).json({ message: 'date must be YYYY-MM-DD' });
+    const limit = clampInt(req.query.limit, 1, 100, 20);
+    const page = clampInt(req.query.page, 1, 10000, 1);
+
+    const [result] = await RunRecord.aggregate([
+      { $match: { daily: date, outcome: { $in: SCORED } } },
+      scoredStage,
+      { $sort: Object.fromEntries(DAILY_ORDER) },
+      {
+        $facet: {
+          entries: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: 'user', foreignField: '_id', as: 'player' } },
+            {
+              $project: {
+                _id: 0, runId: '$_id', user: 1, username: { $arrayElemAt: ['$player.username', 0] },
+                outcome: 1, reason: 1, roomsCleared: 1, totalRooms: 1, verified: 1, endedAt: 1,
+              }
+            },
+          ],
+          total: [{ $count: 'n' }],
+        }
+      },
+    ]);
+
+    const entries = (result?.entries || []).map((e, i) => ({ rank: (page - 1) * limit + i + 1, ...e }));
+    return res.json({ date, entries, total: result?.total?.[0]?.n || 0, page, limit });
+  } catch (err) {
+    console.error('[DAILY_CONTROLLER][GET_DAILY_LEADERBOARD]', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
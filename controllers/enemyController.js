@@ -124,7 +124,8 @@ exports.updateEnemy = async (req, res) => {
       return res.status(403).json({ message: 'Forbidden: not the owner' });
     }
 
-    let enemy = await Enemy.findByIdAndUpdate(id, req.body, { new: true });
+    // runValidators: phases and resistances are checked on update too, not only on create
+    let enemy = await Enemy.findByIdAndUpdate(id, req.body, { new: true, runValidators: true });
     enemy = await Enemy.findById(id).populate('moveSet');
     const result = patchEnemyDoc(enemy);
     console.log('[ENEMY][UPDATE] Updated:', result);
@@ -0,0 +1,141 @@
+// controllers/leaderboardController.js
+// Per-campaign, per-difficulty leaderboards over won RunRecords. Only the `verified` block
+// (server-side counters, see utils/runLifecycle.js) is ranked; each player appears once,
+// with their best run for the board. Ties go to the run finished first.
+const mongoose = require('mongoose');
+const RunRecord = require('../models/RunRecord');
+const { parseDifficulty } = require('../utils/difficulty');
+
+const BOARDS = {
+  turns: { field: 'verified.turns',     dir: 1 },  // fastest clear
+  cards: { field: 'verified.cardsUsed', dir: 1 },  // fewest cards used
+  hp:    { field: 'verified.hp',        dir: -1 }, // highest remaining HP
+  money: { field: 'verified.money',     dir: -1 }, // most money
+};
+
+const clampInt = (v, lo, hi, dflt) => {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : dflt;
+};
+
+// Validated { board, match } for a request, or { error }
+function boardQuery(req) {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) return { error: 'Invalid campaign id' };
+  const name = String(req.query.board || 'turns');
+  const board = BOARDS[name];
+  if (!board) return { error: `board must be one of ${Object.keys(BOARDS).join(', ')}` };
+  const difficulty = parseDifficulty(req.query.difficulty);
+  if (difficulty === null) return { error: 'Invalid difficulty' };
+  return {
+    name,
+    board,
+    difficulty,
+    match: {
+      campaignId: new mongoose.Types.ObjectId(id),
+      difficulty,
+      outcome: 'won',
+      daily: null, // daily challenge attempts have their own board (GET /api/daily/leaderboard)
+      [board.field]: { $ne: null },
+    },
+  };
+}
+
+// GET /api/campaigns/:id/leaderboard?board&difficulty&limit&page
+exports.getLeaderboard = async (req, res) => {
+  try {
+    const q = boardQuery(req);
+    if (q.error) return res.status(400).json({ message: q.error });
+    const limit = clampInt(req.query.limit, 1, 100, 20);
+    const page = clampInt(req.query.page, 1, 10000, 1);
+    const { field, dir } = q.board;
+
+    const [result] = await RunRecord.aggregate([
+      { $match: q.match },
+      { $sort: { [field]: dir, endedAt: 1 } },
+      {
+        $group: {
+          _id: '$user',
+          runId: { $first: '$_id' },
+          value: { $first: `$${field}` },
+          verified: { $first: '$verified' },
+          seed: { $first: '$seed' },
+          endedAt: { $first: '$endedAt' },
+        }
+      },
+      { $sort: { value: dir, endedAt: 1 } },
+      {
+        $facet: {
+          entries: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'player' } },
+            {
+              $project: {
+                _id: 0, user: '$_id', username: { $arrayElemAt: ['$player.username', 0] },
+                runId: 1, value: 1, verified: 1, seed: 1, endedAt: 1,
+              }
+            },
+          ],
+          total: [{ $count: 'n' }],
+        }
+      },
+    ]);
+
+    const entries = (result?.entries || []).map((e, i) => ({ rank: (page - 1) * limit + i + 1, ...e }));
+    return res.json({
+      board: q.name,
+      difficulty: q.difficulty,
+      entries,
+      total: result?.total?.[0]?.n || 0,
+      page,
+      limit,
+    });
+  } catch (err) {
+    console.error('[LEADERBOARD_CONTROLLER][GET_LEADERBOARD]', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/campaigns/:id/leaderboard/me?board&difficulty — your best entry and its rank
+exports.getMyRank = async (req, res) => {
+  try {
+    const q = boardQuery(req);
+    if (q.error) return res.status(400).json({ message: q.error });
+    const { field, dir } = q.board;
+    const user = new mongoose.Types.ObjectId(String(req.user._id));
+
+    const best = await RunRecord.findOne({ ...q.match, user })
+      .sort({ [field]: dir, endedAt: 1 })
+      .select('verified seed endedAt')
+      .lean();
+    if (!best) return res.json({ board: q.name, difficulty: q.difficulty, rank: null, entry: null });
+
+    const value = field.split('.').reduce((o, k) => o?.[k], best);
+    // Players with any run ahead of this one in board order (better value, or equal and earlier)
+    const [ahead] = await RunRecord.aggregate([
+      {
+        $match: {
+          ...q.match,
+          user: { $ne: user },
+          $or: [
+            { [field]: dir === 1 ? { $lt: value } : { $gt: value } },
+            { [field]: value, endedAt: { $lt: best.endedAt } },
+          ],
+        }
+      },
+      { $group: { _id: '$user' } },
+      { $count: 'n' },
+    ]);
+
+    return res.json({
+      board: q.name,
+      difficulty: q.difficulty,
+      rank: (ahead?.n || 0) + 1,
+      entry: { runId: best._id, value, verified: best.verified, seed: best.seed, endedAt: best.endedAt },
+    });
+  } catch (err) {
+    console.error('[LEADERBOARD_CONTROLLER][GET_MY_RANK]', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
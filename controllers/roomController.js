@@ -4,6 +4,12 @@
 const mongoose = require('mongoose');
 const Room = require('../models/Room');
 const Enemy = require('../models/Enemy');
+const Card = require('../models/Card');
+const Campaign = require('../models/Campaign');
+const { playerStatsFrom } = require('../engine/combatEngine');
+const { countsOf, runDeckEntries } = require('../utils/runDeck');
+const { difficultyModifiers } = require('../utils/difficulty');
+const { isRunOver, settleRun } = require('../utils/runLifecycle');
 // SavedGame is optional at boot so the app can run without it;
 // the merchant purchase handler will 501 if it's missing.
 let SavedGame;
@@ -94,7 +100,9 @@ exports.getRoomById = async (req, res) => {
     if (!doc) return res.status(404).json({ message: 'Not found' });
     // Enrich enemy data for nicer UI labels
     let enemySummaries = [];
-    const ids = Array.isArray(doc.enemyIds) ? doc.enemyIds.map(String) : [];
+    const ids = (Array.isArray(doc.enemyIds) && doc.enemyIds.length)
+      ? doc.enemyIds.map(String)
+      : (doc.enemyId ? [String(doc.enemyId)] : []);
     if (ids.length) {
       const rows = await Enemy.find({ _id: { $in: ids } }, 'name imageUrl').lean();
       const byId = new Map(rows.map(r => [String(r._id), r]));
@@ -113,13 +121,6 @@ exports.getRoomById = async (req, res) => {
     } else {
       out.enemyId = null;
     }
-    if (Array.isArray(out.enemyIds) && out.enemyIds.length) {
-      out.enemyId = String(out.enemyIds[0]);
-    } else if (enemySummaries.length) {
-      out.enemyId = String(enemySummaries[0]._id || enemySummaries[0].id || '');
-    } else {
-      out.enemyId = null;
-    }
     res.json(out);
   } catch (e) {
     res.status(400).json({ message: 'Bad id', error: e.message });
@@ -149,9 +150,85 @@ exports.deleteRoom = async (req, res) => {
 
 // --- Action helpers (schema-driven) ---
 
-// GET /api/rooms/:id/merchant → return authored shop (no mocks)
+// The room of the user's run at its current index when it is `roomId` (or null)
+const currentRunRoom = (game, roomId) => {
+  const roomIndex = Number(game?.progress?.roomIndex ?? game?.roomIndex ?? 0);
+  const room = game?.progress?.generatedPath?.[roomIndex];
+  return room && String(room._id || '') === String(roomId) ? { room, roomIndex } : null;
+};
+
+// Atomic-update filter for a write to the run while it is still going and still in roomIndex
+const inRunRoom = (game, userId, roomIndex) => ({
+  _id: game._id,
+  user: userId,
+  'progress.roomIndex': roomIndex,
+  runStatus: { $nin: ['won', 'lost'] },
+});
+
+// Filter pinning deck lists (extraDeck, upgradedCards, removedCards) to what was read, so a $set
+// computed from them can't undo a parallel loot claim, buy or rest (that write misses instead)
+const listsAsRead = (game, fields) => Object.fromEntries(fields.map(field => {
+  const list = (Array.isArray(game[field]) ? game[field] : []).map(e => ({ cardId: e.cardId, qty: e.qty }));
+  return [field, list.length ? list : { $in: [[], null] }];
+}));
+
+// Copies of a merchant item for sale per run (items saved before stock existed sell one)
+const merchantStock = (item) => Math.max(1, Math.floor(Number(item?.stock) || 1));
+const boughtKey = (roomIndex, itemIndex) => `${roomIndex}_${itemIndex}`;
+
+// $set/$inc granting reward items (loot picks, event effects): cards to extraDeck (up to
+// playerSetup.maxDeckSize), money to money, stat buffs to extraStats. Cards that don't fit are
+// an error, or left out with dropOverflow. Resolves to { set, inc, granted } or { error }.
+function rewardUpdate(game, campaign, items, { dropOverflow = false } = {}) {
+  const maxSize = Number(campaign?.playerSetup?.maxDeckSize ?? 30);
+  let size = runDeckEntries(campaign, game).reduce((n, e) => n + e.qty, 0);
+  const set = {};
+  const inc = {};
+  const granted = [];
+  let extraDeck = game.extraDeck;
+  for (const it of items) {
+    if (it.kind === 'card') {
+      if (!it.cardId) return { error: 'Reward card has no cardId' };
+      if (size + 1 > maxSize) {
+        if (dropOverflow) continue;
+        return { error: `Deck cannot go above ${maxSize} cards` };
+      }
+      size += 1;
+      extraDeck = bumpEntry(extraDeck, String(it.cardId), 1);
+      set.extraDeck = extraDeck;
+    } else if (it.kind === 'money') {
+      const amount = Math.max(0, Math.round(Number(it.amount) || 0));
+      inc.money = (inc.money || 0) + amount;
+      inc['runStats.money'] = (inc['runStats.money'] || 0) + amount; // server-tracked money (leaderboards)
+    } else if (it.kind === 'statBuff' && it.stat) {
+      const key = `extraStats.${it.stat}`;
+      inc[key] = (inc[key] || 0) + (Number(it.amount) || 0);
+    }
+    granted.push(it);
+  }
+  return { set, inc, granted };
+}
+
+// GET /api/rooms/:id/merchant → the shop; the run's frozen copy (with remaining stock) when
+// it is the current room of your run, else the authored room
 exports.getMerchantItems = async (req, res) => {
   try {
+    const game = SavedGame && req.user?._id ? await SavedGame.findOne({ user: req.user._id }).lean() : null;
+    const current = currentRunRoom(game, req.params.id);
+    if (current && current.room.type === 'merchant') {
+      const { room, roomIndex } = current;
+      return res.json({
+        items: (room.merchant?.items || []).map((item, i) => ({
+          ...item,
+          stock: merchantStock(item),
+          remaining: Math.max(0, merchantStock(item) - (Number(game.merchantBought?.[boughtKey(roomIndex, i)]) || 0)),
+        })),
+        merchantImg: room.merchant?.merchantImg,
+        frameImg: room.merchant?.frameImg,
+        dialogue: room.merchant?.dialogue
+      });
+    }
+
     const room = await Room.findById(req.params.id);
     if (!room) return res.status(404).json({ message: 'Room not found' });
     if (room.type !== 'merchant') return res.status(400).json({ message: 'Not a merchant room' });
@@ -170,8 +247,9 @@ exports.getMerchantItems = async (req, res) => {
 // For routes expecting different names
 exports.getMerchantForRoom = (...args) => exports.getMerchantItems(...args);
 
-// POST /api/rooms/:id/merchant/buy → { itemIndex } deducts money and returns reward
-// POST /api/rooms/:id/merchant/buy → { itemIndex } deducts money and returns reward
+// POST /api/rooms/:id/merchant/buy → { itemIndex }
+// Buys from the merchant room your run is in: payment, per-run stock and the reward (card to
+// extraDeck, stat buff to extraStats) are one atomic update
 exports.buyFromMerchant = async (req, res) => {
   try {
     if (!SavedGame) {
@@ -184,46 +262,74 @@ exports.buyFromMerchant = async (req, res) => {
       return res.status(400).json({ message: 'Invalid itemIndex' });
     }
 
-    const room = await Room.findById(req.params.id);
-    if (!room) return res.status(404).json({ message: 'Room not found' });
+    const game = await SavedGame.findOne({ user: req.user._id });
+    if (!game) return res.status(404).json({ message: 'SavedGame not found' });
+    if (isRunOver(game)) return res.status(409).json({ message: 'Run is over' });
+
+    // The frozen run path is authoritative: the shop must be the room the player is in
+    const current = currentRunRoom(game, req.params.id);
+    if (!current) return res.status(400).json({ message: 'Room is not the current room of your run' });
+    const { room, roomIndex } = current;
     if (room.type !== 'merchant') return res.status(400).json({ message: 'Not a merchant room' });
 
     const item = room.merchant?.items?.[itemIndex];
     if (!item) return res.status(404).json({ message: 'Item not found' });
 
-    // Resolve SavedGame by gameId OR fallback to current user
-    const gameId =
-      req.query.gameId ||
-      req.query.game ||
-      req.body.gameId ||
-      req.body.game ||
-      req.headers['x-game-id'] ||
-      req.user?.gameId ||
-      req.user?.currentGameId;
-
-    let game = null;
-    if (gameId && req.user?._id) {
-      game = await SavedGame.findOne({ _id: gameId, user: req.user._id });
-    }
-    if (!game && req.user?._id) {
-      game = await SavedGame.findOne({ user: req.user._id });
+    const price = Math.max(0, Math.round(Number(item.price) || 0));
+    const stock = merchantStock(item);
+    const key = boughtKey(roomIndex, itemIndex);
+    const bought = Number(game.merchantBought?.[key]) || 0;
+    if (bought >= stock) return res.status(409).json({ message: 'Sold out' });
+    if ((game.money || 0) < price) return res.status(400).json({ message: 'Not enough money' });
+
+    const inc = { money: -price, 'runStats.moneySpent': price, 'runStats.money': -price, [`merchantBought.${key}`]: 1 };
+    const update = { $inc: inc };
+    const options = { new: true };
+    let deckAsRead = {};
+    if (item.kind === 'card') {
+      if (!item.cardId) return res.status(400).json({ message: 'Item has no cardId' });
+      const campaign = game.progress?.campaignId ? await Campaign.findById(game.progress.campaignId).lean() : null;
+      const size = runDeckEntries(campaign, game).reduce((n, e) => n + e.qty, 0);
+      const maxSize = Number(campaign?.playerSetup?.maxDeckSize ?? 30);
+      if (size + 1 > maxSize) return res.status(400).json({ message: `Deck cannot go above ${maxSize} cards` });
+      // One entry per card (as bumpEntry keeps it): another copy goes onto the existing entry
+      if ((game.extraDeck || []).some(e => String(e.cardId) === String(item.cardId))) {
+        inc['extraDeck.$[card].qty'] = 1;
+        options.arrayFilters = [{ 'card.cardId': item.cardId }];
+      } else {
+        update.$push = { extraDeck: { cardId: item.cardId, qty: 1 } };
+      }
+      // the size check above holds only while extraDeck is still what was read
+      deckAsRead = listsAsRead(game, ['extraDeck']);
+    } else if (item.kind === 'statBuff' && item.stat) {
+      inc[`extraStats.${item.stat}`] = Number(item.value) || 0;
     }
-    if (!game) return res.status(404).json({ message: 'SavedGame not found' });
-
-    const price = Math.max(0, item.price || 0);
 
-    // Atomic, race-safe deduction (fails if not enough money)
+    // Atomic, race-safe: still in this room, enough money and stock left, deck unchanged
     const updated = await SavedGame.findOneAndUpdate(
-      { _id: game._id, user: req.user._id, money: { $gte: price } },
-      { $inc: { money: -price } },
-      { new: true }
+      {
+        ...inRunRoom(game, req.user._id, roomIndex),
+        money: { $gte: price },
+        [`merchantBought.${key}`]: { $not: { $gte: stock } },
+        ...deckAsRead,
+      },
+      update,
+      options
     );
     if (!updated) {
-      return res.status(400).json({ message: 'Not enough money' });
+      return res.status(409).json({ message: 'The run changed; reload it and try again' });
     }
 
-    // Return new balance and the item (FE applies the reward to deck/stats)
-    res.json({ ok: true, money: updated.money, reward: item });
+    console.log('[ROOM][MERCHANT][BUY]', { user: String(req.user._id), roomIndex, itemIndex, price });
+    res.json({
+      ok: true,
+      money: updated.money,
+      item,
+      remaining: Math.max(0, stock - (Number(updated.merchantBought?.[key]) || 0)),
+      extraDeck: updated.extraDeck,
+      extraStats: updated.extraStats ?? null,
+      dialogue: room.merchant?.dialogue?.onBuy || null,
+    });
   } catch (e) {
     res.status(400).json({ message: 'Purchase failed', error: e.message });
   }
@@ -254,9 +360,79 @@ exports.getLootForRoom = async (req, res) => {
   }
 };
 
-// GET /api/rooms/:id/event → authored event
+// POST /api/rooms/:id/loot/claim → { picks: [itemIndex, ...] }
+// Grants the picked items of the run's current loot room (once per visit, at most
+// generator.randomLoot.maxPicks): cards to extraDeck, money to money, stat buffs to extraStats
+exports.claimLoot = async (req, res) => {
+  try {
+    const raw = req.body?.picks;
+    const picks = Array.isArray(raw) ? raw.map(Number) : [];
+    if (!picks.length || picks.some(i => !Number.isInteger(i) || i < 0) || new Set(picks).size !== picks.length) {
+      return res.status(400).json({ message: 'picks must be a list of distinct item indexes' });
+    }
+
+    const game = await SavedGame.findOne({ user: req.user._id });
+    if (!game) return res.status(404).json({ message: 'SavedGame not found' });
+    if (isRunOver(game)) return res.status(409).json({ message: 'Run is over' });
+
+    // The frozen run path is authoritative: the loot must be the room the player is in
+    const roomIndex = Number(game.progress?.roomIndex ?? game.roomIndex ?? 0);
+    const room = game.progress?.generatedPath?.[roomIndex];
+    if (!room || room.type !== 'loot') return res.status(400).json({ message: 'Current room is not a loot room' });
+    if (String(room._id || '') !== String(req.params.id)) {
+      return res.status(400).json({ message: 'Room is not the current room of your run' });
+    }
+    if (game.lootClaimedAt === roomIndex) return res.status(409).json({ message: 'Loot already claimed in this room' });
+
+    const campaign = game.progress?.campaignId ? await Campaign.findById(game.progress.campaignId).lean() : null;
+    const maxPicks = Math.max(1, Math.min(3, Number(campaign?.generator?.randomLoot?.maxPicks) || 1));
+    if (picks.length > maxPicks) return res.status(400).json({ message: `You can take at most ${maxPicks} item(s)` });
+    const loot = Array.isArray(room.loot) ? room.loot : [];
+    const items = picks.map(i => loot[i]);
+    if (items.some(it => !it)) return res.status(400).json({ message: 'Invalid item index' });
+
+    const { set, inc, error } = rewardUpdate(game, campaign, items);
+    if (error) return res.status(400).json({ message: error });
+
+    // Atomic claim so a double submit can't take the loot twice (nor drop a parallel deck change)
+    const updated = await SavedGame.findOneAndUpdate(
+      {
+        ...inRunRoom(game, req.user._id, roomIndex),
+        lootClaimedAt: { $ne: roomIndex },
+        ...(set.extraDeck ? listsAsRead(game, ['extraDeck']) : {}),
+      },
+      { $set: { ...set, lootClaimedAt: roomIndex }, ...(Object.keys(inc).length ? { $inc: inc } : {}) },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ message: 'The run changed; reload it and try again' });
+
+    console.log('[ROOM][LOOT][CLAIM]', { user: String(req.user._id), roomIndex, picks });
+    res.json({
+      ok: true,
+      claimed: items,
+      money: updated.money,
+      extraDeck: updated.extraDeck,
+      extraStats: updated.extraStats ?? null,
+    });
+  } catch (e) {
+    res.status(400).json({ message: 'Loot claim failed', error: e.message });
+  }
+};
+
+// GET /api/rooms/:id/event → the event; the run's frozen copy (and whether it was resolved)
+// when it is the current room of your run, else the authored room
 exports.getEventForRoom = async (req, res) => {
   try {
+    const game = SavedGame && req.user?._id ? await SavedGame.findOne({ user: req.user._id }).lean() : null;
+    const current = currentRunRoom(game, req.params.id);
+    if (current && current.room.type === 'event') {
+      return res.json({
+        event: current.room.event || {},
+        backgrounds: current.room.backgrounds || [],
+        resolved: game.eventResolvedAt === current.roomIndex,
+      });
+    }
+
     const room = await Room.findById(req.params.id);
     if (!room) return res.status(404).json({ message: 'Room not found' });
     if (room.type !== 'event') return res.status(400).json({ message: 'Not an event room' });
@@ -279,6 +455,151 @@ exports.getEventForRoom = async (req, res) => {
   }
 };
 
+// POST /api/rooms/:id/event/resolve
+// Finishes the event your run is in (once per visit) and applies its effects on the server, like
+// loot; cards that no longer fit the deck are left out. Advancing past an event room needs this.
+exports.resolveEvent = async (req, res) => {
+  try {
+    const game = await SavedGame.findOne({ user: req.user._id });
+    if (!game) return res.status(404).json({ message: 'SavedGame not found' });
+    if (isRunOver(game)) return res.status(409).json({ message: 'Run is over' });
+
+    // The frozen run path is authoritative: the event must be the room the player is in
+    const current = currentRunRoom(game, req.params.id);
+    if (!current) return res.status(400).json({ message: 'Room is not the current room of your run' });
+    const { room, roomIndex } = current;
+    if (room.type !== 'event') return res.status(400).json({ message: 'Not an event room' });
+    if (game.eventResolvedAt === roomIndex) return res.status(409).json({ message: 'Event already resolved in this room' });
+
+    const campaign = game.progress?.campaignId ? await Campaign.findById(game.progress.campaignId).lean() : null;
+    const effects = Array.isArray(room.event?.effects) ? room.event.effects : [];
+    const { set, inc, granted, error } = rewardUpdate(game, campaign, effects, { dropOverflow: true });
+    if (error) return res.status(400).json({ message: error });
+
+    // Atomic claim so a double submit can't apply the effects twice (nor drop a parallel deck change)
+    const updated = await SavedGame.findOneAndUpdate(
+      {
+        ...inRunRoom(game, req.user._id, roomIndex),
+        eventResolvedAt: { $ne: roomIndex },
+        ...(set.extraDeck ? listsAsRead(game, ['extraDeck']) : {}),
+      },
+      { $set: { ...set, eventResolvedAt: roomIndex }, ...(Object.keys(inc).length ? { $inc: inc } : {}) },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ message: 'The run changed; reload it and try again' });
+
+    console.log('[ROOM][EVENT][RESOLVE]', { user: String(req.user._id), roomIndex, effects: granted.length });
+    const run = await settleRun(updated.toObject(), campaign, { deckChanged: !!set.extraDeck });
+    res.json({
+      ok: true,
+      applied: granted,
+      money: updated.money,
+      extraDeck: updated.extraDeck,
+      extraStats: updated.extraStats ?? null,
+      run,
+    });
+  } catch (e) {
+    res.status(400).json({ message: 'Event resolve failed', error: e.message });
+  }
+};
+
+// Add `delta` copies of cardId to a [{ cardId, qty }] list (entries at 0 are dropped)
+const bumpEntry = (list, cardId, delta) => {
+  const out = (Array.isArray(list) ? list : []).map(e => ({ cardId: e.cardId, qty: Number(e.qty || 1) }));
+  const hit = out.find(e => String(e.cardId) === String(cardId));
+  if (hit) hit.qty += delta;
+  else if (delta > 0) out.push({ cardId, qty: delta });
+  return out.filter(e => e.qty > 0);
+};
+
+const REST_CHOICES = ['heal', 'upgrade', 'remove'];
+
+// POST /api/rooms/:id/rest → { choice: 'heal'|'upgrade'|'remove', cardId? }
+// Applies one rest option to the run whose current room is this rest room (once per visit)
+exports.restAtRoom = async (req, res) => {
+  try {
+    const { choice, cardId } = req.body || {};
+    if (!REST_CHOICES.includes(choice)) {
+      return res.status(400).json({ message: `Invalid choice (use ${REST_CHOICES.join(', ')})` });
+    }
+
+    const game = await SavedGame.findOne({ user: req.user._id });
+    if (!game) return res.status(404).json({ message: 'SavedGame not found' });
+    if (isRunOver(game)) return res.status(409).json({ message: 'Run is over' });
+
+    // The frozen run path is authoritative: the rest must be the room the player is in
+    const roomIndex = Number(game.progress?.roomIndex ?? game.roomIndex ?? 0);
+    const room = game.progress?.generatedPath?.[roomIndex];
+    if (!room || room.type !== 'rest') return res.status(400).json({ message: 'Current room is not a rest room' });
+    if (String(room._id || '') !== String(req.params.id)) {
+      return res.status(400).json({ message: 'Room is not the current room of your run' });
+    }
+    if (game.restTakenAt === roomIndex) return res.status(409).json({ message: 'Rest already taken in this room' });
+
+    const options = (Array.isArray(room.rest?.options) && room.rest.options.length) ? room.rest.options : REST_CHOICES;
+    if (!options.includes(choice)) return res.status(400).json({ message: `This rest room does not offer "${choice}"` });
+
+    const campaign = game.progress?.campaignId ? await Campaign.findById(game.progress.campaignId).lean() : null;
+    const set = {};
+
+    if (choice === 'heal') {
+      const { maxHp } = playerStatsFrom(campaign?.playerSetup?.initialStats, game.extraStats);
+      const hp = (typeof game.playerHp === 'number' && game.playerHp > 0) ? Math.min(game.playerHp, maxHp) : maxHp;
+      const pct = Math.max(0, Math.min(100, Number(room.rest?.healPercent ?? 30)))
+        * difficultyModifiers(game.difficulty, game.modifiers).healMultiplier;
+      set.playerHp = Math.min(maxHp, hp + Math.round(maxHp * pct / 100));
+      set['runStats.hp'] = set.playerHp; // server-tracked HP (leaderboards)
+    } else {
+      if (!cardId || !mongoose.Types.ObjectId.isValid(String(cardId))) {
+        return res.status(400).json({ message: 'cardId is required' });
+      }
+      const id = String(cardId);
+      const deck = countsOf(runDeckEntries(campaign, game));
+      const owned = deck.get(id) || 0;
+      if (!owned) return res.status(400).json({ message: 'Card is not in your deck' });
+      const upgraded = countsOf(game.upgradedCards).get(id) || 0;
+
+      if (choice === 'upgrade') {
+        const card = await Card.findById(id, 'upgrade').lean();
+        if (!card?.upgrade) return res.status(400).json({ message: 'Card has no upgrade' });
+        if (upgraded >= owned) return res.status(400).json({ message: 'Every copy of this card is already upgraded' });
+        set.upgradedCards = bumpEntry(game.upgradedCards, id, 1);
+      } else {
+        // Going below playerSetup.minDeckSize is allowed, and loses the run (settleRun below)
+        set.removedCards = bumpEntry(game.removedCards, id, 1);
+        // plain copies go first; an upgrade is only lost once no plain copy is left
+        if (upgraded > owned - 1) set.upgradedCards = bumpEntry(game.upgradedCards, id, -1);
+      }
+    }
+
+    // Atomic claim so a double submit can't rest twice; upgrade/remove were checked against the
+    // deck as read, so they only apply while it is unchanged
+    const updated = await SavedGame.findOneAndUpdate(
+      {
+        ...inRunRoom(game, req.user._id, roomIndex),
+        restTakenAt: { $ne: roomIndex },
+        ...(choice === 'heal' ? {} : listsAsRead(game, ['extraDeck', 'upgradedCards', 'removedCards'])),
+      },
+      { $set: { ...set, restTakenAt: roomIndex } },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ message: 'The run changed; reload it and try again' });
+
+    console.log('[ROOM][REST]', { user: String(req.user._id), roomIndex, choice, cardId: cardId || null });
+    const run = await settleRun(updated.toObject(), campaign, { deckChanged: choice === 'remove' });
+    res.json({
+      ok: true,
+      choice,
+      playerHp: updated.playerHp ?? null,
+      upgradedCards: updated.upgradedCards,
+      removedCards: updated.removedCards,
+      run, // set when removing a card ended the run: { status: 'lost', summary }
+    });
+  } catch (e) {
+    res.status(400).json({ message: 'Rest failed', error: e.message });
+  }
+};
+
 // ---- Deprecated endpoints (no :id) ----
 exports.getMerchantItemsLegacy = (_req, res) =>
   res.status(410).json({ message: 'Deprecated. Use /api/rooms/:id/merchant' });
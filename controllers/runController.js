@@ -0,0 +1,114 @@
+// controllers/runController.js
+const mongoose = require('mongoose');
+const RunRecord = require('../models/RunRecord');
+const Card = require('../models/Card');
+
+const OUTCOMES = ['won', 'lost', 'abandoned'];
+const LIST_FIELDS = '-cardsPlayed -__v';
+
+const clampInt = (v, lo, hi, dflt) => {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : dflt;
+};
+
+// GET /api/runs?campaignId&outcome&limit&page — your finished runs, newest first
+exports.listRuns = async (req, res) => {
+  try {
+    const { campaignId, outcome } = req.query || {};
+    if (campaignId && !mongoose.Types.ObjectId.isValid(campaignId)) {
+      return res.status(400).json({ message: 'Invalid campaignId' });
+    }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ message: `outcome must be one of ${OUTCOMES.join(', ')}` });
+    }
+    const limit = clampInt(req.query.limit, 1, 100, 20);
+    const page = clampInt(req.query.page, 1, 10000, 1);
+    const filter = {
+      user: req.user._id,
+      ...(campaignId ? { campaignId } : {}),
+      ...(outcome ? { outcome } : {}),
+    };
+    const [runs, total] = await Promise.all([
+      RunRecord.find(filter).select(LIST_FIELDS).sort({ endedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      RunRecord.countDocuments(filter),
+    ]);
+    return res.json({ runs, total, page, limit });
+  } catch (err) {
+    console.error('[RUN_CONTROLLER][LIST_RUNS]', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// GET /api/runs/stats — totals, wins per campaign, favourite cards and best clears
+exports.getRunStats = async (req, res) => {
+  try {
+    const user = new mongoose.Types.ObjectId(String(req.user._id));
+    const won = { $eq: ['$outcome', 'won'] };
+
+    const [campaigns, cards, bestClears] = await Promise.all([
+      RunRecord.aggregate([
+        { $match: { user } },
+        { $sort: { endedAt: 1 } },
+        {
+          $group: {
+            _id: '$campaignId',
+            campaignName: { $last: '$campaignName' },
+            runs: { $sum: 1 },
+            wins: { $sum: { $cond: [won, 1, 0] } },
+            losses: { $sum: { $cond: [{ $eq: ['$outcome', 'lost'] }, 1, 0] } },
+            abandoned: { $sum: { $cond: [{ $eq: ['$outcome', 'abandoned'] }, 1, 0] } },
+            highestDifficultyWon: { $max: { $cond: [won, '$difficulty', null] } },
+            fewestTurnsWon: { $min: { $cond: [won, '$turns', null] } },
+            turns: { $sum: '$turns' },
+            damageDealt: { $sum: '$damageDealt' },
+            damageTaken: { $sum: '$damageTaken' },
+            moneyEarned: { $sum: '$moneyEarned' },
+            timePlayedMs: { $sum: '$timePlayedMs' },
+            lastPlayedAt: { $max: '$endedAt' },
+          }
+        },
+        { $sort: { wins: -1, runs: -1 } },
+      ]),
+      RunRecord.aggregate([
+        { $match: { user } },
+        { $project: { cards: { $objectToArray: { $ifNull: ['$cardsPlayed', {}] } } } },
+        { $unwind: '$cards' },
+        { $group: { _id: '$cards.k', played: { $sum: '$cards.v' }, runs: { $sum: 1 } } },
+        { $sort: { played: -1 } },
+        { $limit: 10 },
+      ]),
+      RunRecord.find({ user, outcome: 'won' })
+        .select(LIST_FIELDS)
+        .sort({ difficulty: -1, turns: 1, endedAt: 1 })
+        .limit(5)
+        .lean(),
+    ]);
+
+    const sum = (key) => campaigns.reduce((n, c) => n + (c[key] || 0), 0);
+    const totals = {
+      runs: sum('runs'), wins: sum('wins'), losses: sum('losses'), abandoned: sum('abandoned'),
+      turns: sum('turns'), damageDealt: sum('damageDealt'), damageTaken: sum('damageTaken'),
+      moneyEarned: sum('moneyEarned'), timePlayedMs: sum('timePlayedMs'),
+    };
+
+    const cardIds = cards.map(c => c._id).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const cardDocs = cardIds.length ? await Card.find({ _id: { $in: cardIds } }, 'name rating').lean() : [];
+    const cardById = new Map(cardDocs.map(c => [String(c._id), c]));
+
+    return res.json({
+      totals,
+      campaigns: campaigns.map(({ _id, ...c }) => ({ campaignId: _id, ...c })),
+      favouriteCards: cards.map(c => ({
+        cardId: c._id,
+        name: cardById.get(String(c._id))?.name || null,
+        rating: cardById.get(String(c._id))?.rating || null,
+        played: c.played,
+        runs: c.runs,
+      })),
+      bestClears,
+    });
+  } catch (err) {
+    console.error('[RUN_CONTROLLER][GET_RUN_STATS]', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,117 @@
+// controllers/simController.js
+const mongoose = require('mongoose');
+const Enemy = require('../models/Enemy');
+const Card = require('../models/Card');
+const Campaign = require('../models/Campaign');
+const { randomSeed, isReservedSeed, RESERVED_SEED_MESSAGE } = require('../utils/rng');
+const { DEFAULT_STATS, playerStatsFrom, expandDeck } = require('../engine/combatEngine');
+const { POLICIES, runDuels } = require('../engine/simulator');
+const { combatRules, phaseSnapshots } = require('./gameController');
+
+const MAX_RUNS = 500;
+const MAX_TURNS = 300;
+// Work budget per request: runs × maxTurns rounds at most
+const MAX_ROUNDS = 20000;
+
+const clampInt = (v, lo, hi, dflt) => {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : dflt;
+};
+
+// POST /api/sim/duels — N automated fights: deck/stat profile vs an Enemy (its aiConfig)
+exports.simulateDuels = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { enemyId, campaignId } = body;
+    if (!enemyId || !mongoose.Types.ObjectId.isValid(enemyId)) {
+      return res.status(400).json({ message: 'Valid enemyId is required' });
+    }
+    if (campaignId && !mongoose.Types.ObjectId.isValid(campaignId)) {
+      return res.status(400).json({ message: 'Invalid campaignId' });
+    }
+    if (!campaignId && !Array.isArray(body.deck)) {
+      return res.status(400).json({ message: 'Provide campaignId or a deck ([{ cardId, qty }])' });
+    }
+    const policy = body.policy || 'greedy';
+    if (!Object.prototype.hasOwnProperty.call(POLICIES, policy)) {
+      return res.status(400).json({ message: `Unknown policy (use ${Object.keys(POLICIES).join(', ')})` });
+    }
+
+    // Enemy is hydrated (not lean) so aiConfig/stats defaults apply, as in /api/game/play
+    const [enemyDoc, campaign] = await Promise.all([
+      Enemy.findById(enemyId),
+      campaignId ? Campaign.findById(campaignId).lean() : null,
+    ]);
+    if (!enemyDoc) return res.status(404).json({ message: 'Enemy not found' });
+    const enemy = enemyDoc.toObject();
+    if (campaignId && !campaign) return res.status(404).json({ message: 'Campaign not found' });
+
+    // Profile: campaign playerSetup, with deck/stats from the body taking precedence
+    const setup = campaign?.playerSetup || {};
+    const deckEntries = (Array.isArray(body.deck) ? body.deck : (setup.startingDeck || []))
+      .filter(e => e && mongoose.Types.ObjectId.isValid(e.cardId));
+    const { stats, maxHp } = playerStatsFrom(
+      body.stats && typeof body.stats === 'object' ? body.stats : setup.initialStats
+    );
+
+    const playerIds = [...new Set(deckEntries.map(e => String(e.cardId)))];
+    const enemyIds = (enemy.moveSet || []).map(String);
+    const cards = await Card.find({ _id: { $in: [...playerIds, ...enemyIds] } }).lean();
+    const byId = new Map(cards.map(c => [String(c._id), c]));
+
+    const playerCards = expandDeck(deckEntries, byId);
+    if (!playerCards.length) {
+      return res.status(400).json({ message: 'Player deck is empty (no known cards)' });
+    }
+    const enemyCards = enemyIds.map(id => byId.get(id)).filter(Boolean);
+
+    const runs = clampInt(body.runs, 1, MAX_RUNS, 100);
+    const maxTurns = clampInt(body.maxTurns, 1, MAX_TURNS, 100);
+    if (runs * maxTurns > MAX_ROUNDS) {
+      return res.status(400).json({ message: `runs × maxTurns must be at most ${MAX_ROUNDS}` });
+    }
+    const seed = (typeof body.seed === 'string' && body.seed.trim()) ? body.seed.trim().slice(0, 64) : randomSeed();
+    if (isReservedSeed(seed)) return res.status(400).json({ message: RESERVED_SEED_MESSAGE });
+
+    console.log('[SIM][DUELS]', {
+      enemy: enemy.name, campaignId: campaignId || null,
+      deck: playerCards.length, enemyCards: enemyCards.length, runs, maxTurns, policy, seed
+    });
+    const startedAt = Date.now();
+    // The campaign's pacing rules, as in a real fight; hands open at the rules' refill size
+    const rules = combatRules(campaign);
+    const summary = await runDuels({
+      player: {
+        stats,
+        maxHp,
+        cards: playerCards,
+        handSize: rules.handSize,
+      },
+      enemy: {
+        stats: { ...DEFAULT_STATS, ...(enemy.stats || {}) },
+        cards: enemyCards,
+        handSize: rules.enemyHandSize,
+        resistances: enemy.resistances || null,
+        // boss phases resolved the same way as for /api/game/play
+        ...(await phaseSnapshots(enemy.phases)),
+      },
+      enemyAi: enemy.aiConfig || null,
+      rules,
+      runs,
+      seed,
+      policy,
+      maxTurns,
+    });
+    console.log('[SIM][DONE]', { winRate: summary.winRate, avgTurns: summary.avgTurns, ms: Date.now() - startedAt });
+
+    return res.json({
+      enemy: { _id: enemy._id, name: enemy.name },
+      campaignId: campaign?._id || null,
+      maxTurns,
+      ...summary,
+    });
+  } catch (err) {
+    console.error('[SIM_CONTROLLER][DUELS]', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,2675 @@
+// engine/combatEngine.js
+// Combat rules with no Express/Mongoose dependencies: a combat state is a plain object
+// (same shape as a CombatSession) and resolveRound(state, action) returns the next one.
+const { createRng } = require('../utils/rng');
+const { evaluateCondition } = require('./conditions');
+
+// Engine logs go to the console unless muted with quietly() (simulations, bulk replays)
+let muted = 0;
+const log  = (...args) => { if (!muted) console.log(...args); };
+const warn = (...args) => { if (!muted) console.warn(...args); };
+function quietly(fn) {
+  muted++;
+  try { return fn(); } finally { muted--; }
+}
+
+const HAND_SIZE = 3;
+const MAX_FIELD_SLOTS = 3;
+const MAX_ENEMIES = 4;       // per encounter (Campaign.generator enemiesMax/bossMax cap)
+
+// Pacing rules (Campaign.rules), snapshotted into the combat state.
+// drawPerTurn 0 = refill the hand; reshuffle 'recycle' returns used cards to the bottom
+// of the deck, 'discard' keeps them in the discard pile until the deck runs out.
+const DEFAULT_RULES = Object.freeze({
+  handSize:      HAND_SIZE,   // player's hand refill target
+  enemyHandSize: HAND_SIZE,
+  drawPerTurn:   0,
+  maxFieldSlots: MAX_FIELD_SLOTS,
+  spPerTurn:     0,           // end of every round, each side still standing
+  spOnSkip:      2,
+  spOnDefend:    1,
+  reshuffle:     'recycle',
+});
+
+/* =========================
+   Normalizers & Utils
+   ========================= */
+const getTypes = (card) => {
+  const raw = card?.type ?? card?.types;
+  if (Array.isArray(raw)) return raw.filter(Boolean);
+  return raw ? [raw] : [];
+};
+
+// When an ability fires: onPlay (with its card, the default) or on a later game event
+// (see dispatchTrigger)
+const TRIGGERS = Object.freeze(['onPlay', 'turnStart', 'turnEnd', 'onDamaged', 'onHit', 'onDodged', 'onKill', 'onRevive']);
+
+// NOTE: supports new schema fields: key, linkedTo[], multiHit, durabilityNegation, trigger
+const normalizeAbility = (ab, idx=0) => {
+  const legacyTargetCode =
+    typeof ab?.linkedTo === 'number' ? ab.linkedTo
+    : (typeof ab?._legacyLinkedToIndex === 'number' ? ab._legacyLinkedToIndex
+    : null);
+
+  const linkedTo =
+    Array.isArray(ab?.linkedTo) ? ab.linkedTo.filter(Boolean)
+    : (typeof ab?.linkedTo === 'string' ? [ab.linkedTo] : []);
+
+  const key = (ab?.key && String(ab.key).trim())
+    ? String(ab.key).trim()
+    : `${String(ab?.type ?? ab?.name ?? 'None').replace(/\s+/g,'_')}_${idx+1}`;
+
+  return {
+    type: (ab?.type ?? ab?.name ?? 'None'),
+    key,
+    desc: (ab?.desc ? String(ab.desc) : undefined),
+    power: Number(ab?.power ?? ab?.abilityPower ?? 0),
+    duration: Number(ab?.duration ?? 0),
+    activationChance: ab?.activationChance != null ? Number(ab.activationChance) : 100,
+    precedence: Number(ab?.precedence ?? 0),
+    trigger: TRIGGERS.includes(ab?.trigger) ? ab.trigger : 'onPlay',
+    condition: ab?.condition && typeof ab.condition === 'object' ? ab.condition : null,
+
+    linkedTo, // array of ability keys or 'attack'
+    legacyTargetCode,
+
+    // multi-turn driver (optional)
+    multiHit: ab?.multiHit && typeof ab.multiHit === 'object' ? {
+      turns:    Math.max(0, Number(ab.multiHit.turns ?? 0)),
+      link:     ab.multiHit.link || 'attack',
+      overlap:  ['inherit','separate'].includes(ab.multiHit.overlap) ? ab.multiHit.overlap : 'inherit',
+      schedule: ab.multiHit.schedule && typeof ab.multiHit.schedule === 'object' ? {
+        type:   ab.multiHit.schedule.type,
+        times:  Math.max(1, Number(ab.multiHit.schedule.times ?? 1)),
+        turns:  Array.isArray(ab.multiHit.schedule.turns) ? ab.multiHit.schedule.turns.map(n => Number(n)).filter(n => n>0) : []
+      } : undefined,
+      // NEW: preserve optional retargeting config
+      targeting: ab.multiHit.targeting && typeof ab.multiHit.targeting === 'object' ? {
+        mode:  ab.multiHit.targeting.mode,
+        scope: ab.multiHit.targeting.scope
+      } : undefined
+    } : undefined,
+
+    // DN scheduling (optional)
+    durabilityNegation: ab?.durabilityNegation && typeof ab.durabilityNegation === 'object' ? {
+      auto: ab.durabilityNegation.auto !== false,
+      schedule: ab.durabilityNegation.schedule && typeof ab.durabilityNegation.schedule === 'object' ? {
+        type:  ab.durabilityNegation.schedule.type,
+        times: Math.max(1, Number(ab.durabilityNegation.schedule.times ?? 1)),
+        turns: Array.isArray(ab.durabilityNegation.schedule.turns) ? ab.durabilityNegation.schedule.turns.map(n => Number(n)).filter(n => n>0) : []
+      } : undefined
+    } : { auto: true, schedule: undefined }
+  };
+};
+
+const getAbilities = (card) => {
+  const arr = Array.isArray(card?.abilities) ? card.abilities : [];
+  return arr.map((ab, i) => normalizeAbility(ab, i));
+};
+
+const clamp = (n, lo, hi) => Math.max(lo, Math.min(hi, n));
+const roll  = (chancePct, rng = Math.random) => rng() * 100 < clamp(chancePct, 0, 100);
+const intMult = (baseChance, intStat) => {
+  const bonus = clamp((Number(intStat) || 0) / 1000, 0, 1); // 10 INT -> +1% of base
+  return clamp(baseChance + baseChance * bonus, 0, 100);
+};
+const willDodge = (attackerTemp, defenderTemp, ctx, sideKey, otherK, rng = Math.random) => {
+  let p = clamp(((Number(defenderTemp.speed) || 0) - (Number(attackerTemp.speed) || 0)) / 100, 0, 1);
+  // Lucky/Unluck apply as flat %-points
+  if (ctx && sideKey && otherK) {
+    p = clamp(p + (ctx[otherK].chanceUp - ctx[sideKey].chanceDown) / 100, 0, 1);
+  }
+  return rng() < p;
+};
+
+const pickRandomUniqueTurns = (totalTurns, count, rng = Math.random) => {
+  const all = Array.from({length: totalTurns}, (_,i)=>i+1);
+  const picks = new Set();
+  while (picks.size < Math.min(count, totalTurns)) {
+    const idx = Math.floor(rng()*all.length);
+    const turn = all.splice(idx,1)[0];
+    picks.add(turn);
+  }
+  return Array.from(picks);
+};
+
+/* =========================
+   Combat event log
+   ========================= */
+// Ordered, typed record of a round; returned to the client as result.events
+const cardRef = (card) => ({
+  instanceId: card?.instanceId != null ? String(card.instanceId) : null,
+  name: card?.name || null,
+});
+const emit = (events, type, data = {}) => {
+  if (!Array.isArray(events)) return;
+  events.push({ seq: events.length + 1, type, ...data });
+};
+
+// Consume a pending Revive when a side hits 0 HP; returns the (possibly restored) HP
+function applyRevive({ side, hp, buckets, maxHp, events }) {
+  if (hp > 0 || !buckets[side].has('Revive')) return hp;
+  const eff = buckets[side].get('Revive');
+  const pct = clamp(eff.power, 0, 100);
+  const revived = Math.max(1, Math.floor(maxHp * (pct / 100)));
+  buckets[side].delete('Revive');
+  emit(events, 'revive', { side, hp: revived, power: pct });
+  return revived;
+}
+
+/* =========================
+   Status effects (Poison, Burn, Regen, Silence, Taunt, Thorns)
+   ========================= */
+
+// Is an effect active in a side's bucket, and its power (0 when absent/expired)
+const hasEffect = (bucket, type) => (bucket.get(type)?.remaining || 0) > 0;
+const effectPower = (bucket, type) => (hasEffect(bucket, type) ? (Number(bucket.get(type).power) || 0) : 0);
+
+// Silence only lets cards that deal damage through
+const isAttackCard = (card) => {
+  const types = getTypes(card);
+  return types.includes('Physical') || types.includes('Supernatural');
+};
+
+// End-of-round Poison (power HP), Burn (power % of max HP) and Regen (power HP, up to max).
+// Returns the new HP; a side that drops to 0 is not healed in the same tick.
+function applyStatusTicks({ side, hp, maxHp, bucket, events }) {
+  const from = side === 'player' ? 'enemy' : 'player';
+  for (const eff of bucket.values()) {
+    if (eff.remaining <= 0 || hp <= 0) continue;
+    if (eff.type === 'Poison' || eff.type === 'Burn') {
+      const power = Math.max(0, Number(eff.power) || 0);
+      const amount = eff.type === 'Poison' ? power : Math.floor(maxHp * clamp(power, 0, 100) / 100);
+      if (amount <= 0) continue;
+      hp = Math.max(0, hp - amount);
+      log(`[STATUS][${eff.type.toUpperCase()}] ${side} -${amount} → ${hp}`);
+      emit(events, 'damage', { side: from, target: side, amount, source: 'effect', effect: eff.type, hp });
+    } else if (eff.type === 'Regen') {
+      const amount = Math.min(Math.max(0, Number(eff.power) || 0), maxHp - hp);
+      if (amount <= 0) continue;
+      hp += amount;
+      log(`[STATUS][REGEN] ${side} +${amount} → ${hp}`);
+      emit(events, 'heal', { side, amount, source: 'effect', effect: 'Regen', hp });
+    }
+  }
+  return hp;
+}
+
+// Thorns on the defender send power % of the damage it just took back to the attacker
+function thornsDamage(defenderBucket, damageTaken) {
+  const pct = clamp(effectPower(defenderBucket, 'Thorns'), 0, 100);
+  return damageTaken > 0 && pct > 0 ? Math.floor(damageTaken * pct / 100) : 0;
+}
+
+/* =========================
+   Ability conditions (engine/conditions.js)
+   ========================= */
+
+// Does `owner`'s ability meet its condition? `facts` is side-keyed: { player, enemy, turn }
+function conditionHolds(ab, owner, facts) {
+  if (!ab.condition) return true;
+  const other = owner === 'player' ? 'enemy' : 'player';
+  return evaluateCondition(ab.condition, facts && { self: facts[owner], opponent: facts[other], turn: facts.turn });
+}
+const conditionSkipped = (events, owner, card, ab, extra = {}) =>
+  emit(events, 'ability_skipped', { side: owner, card: cardRef(card), ability: ab.key, abilityType: ab.type, reason: 'condition', ...extra });
+
+// Known rule keys clamped to sane ranges; anything missing falls back to DEFAULT_RULES
+function normalizeRules(rules) {
+  const r = (rules && typeof rules === 'object') ? rules : {};
+  const num = (k, lo, hi) => {
+    const n = Number(r[k]);
+    return (r[k] != null && Number.isFinite(n)) ? Math.max(lo, Math.min(hi, Math.floor(n))) : DEFAULT_RULES[k];
+  };
+  return {
+    handSize:      num('handSize', 1, 10),
+    enemyHandSize: num('enemyHandSize', 1, 10),
+    drawPerTurn:   num('drawPerTurn', 0, 10),
+    maxFieldSlots: num('maxFieldSlots', 1, 5),
+    spPerTurn:     num('spPerTurn', 0, 10),
+    spOnSkip:      num('spOnSkip', 0, 10),
+    spOnDefend:    num('spOnDefend', 0, 10),
+    reshuffle:     r.reshuffle === 'discard' ? 'discard' : 'recycle',
+  };
+}
+
+/* =========================
+   Draw Helper
+   ========================= */
+// maxDraw caps how many cards are drawn this call (rules.drawPerTurn)
+function drawUpToHand(oldHand, deck, discard, played, handSize, rng = Math.random, maxDraw = Infinity) {
+  let newHand = oldHand.filter(
+    c => !played.some(pc => String(pc.instanceId) === String(c.instanceId))
+  );
+  handSize = Math.min(handSize, newHand.length + maxDraw);
+  const handInstanceIds = new Set(newHand.map(c => String(c.instanceId)));
+  while (newHand.length < handSize && deck.length > 0) {
+    const next = deck.shift();
+    if (!handInstanceIds.has(String(next.instanceId))) {
+      newHand.push(next);
+      handInstanceIds.add(String(next.instanceId));
+    }
+  }
+  if (newHand.length < handSize && discard.length > 0) {
+    let reshuffle = [...discard];
+    discard = [];
+    for (let i = reshuffle.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [reshuffle[i], reshuffle[j]] = [reshuffle[j], reshuffle[i]];
+    }
+    deck.push(...reshuffle);
+    while (newHand.length < handSize && deck.length > 0) {
+      const next = deck.shift();
+      if (!handInstanceIds.has(String(next.instanceId))) {
+        newHand.push(next);
+        handInstanceIds.add(String(next.instanceId));
+      }
+    }
+  }
+  return { newHand, newDeck: deck, newDiscard: discard };
+}
+
+/* =========================
+   Enemy AI (unchanged logic)
+   ========================= */
+function chooseEnemyAction(enemyStats, enemySp, enemyHp, enemyMaxHp, enemyHand, aiConfig, rng = Math.random) {
+  const { cardPriority, combos, spSkipThreshold, defendHpThreshold, weights } = aiConfig;
+  function resolveCards(cardArr, hand) {
+    return (cardArr || []).map(idOrObj => {
+      if (typeof idOrObj === 'object' && idOrObj && idOrObj._id) {
+        return hand.find(c => c && c._id && (c._id.equals ? c._id.equals(idOrObj._id) : c._id === idOrObj._id));
+      }
+      return hand.find(c => c && c._id && (c._id.equals ? c._id.equals(idOrObj) : c._id === idOrObj));
+    }).filter(Boolean);
+  }
+  let bestCombo = null, bestComboScore = 0;
+  combos.forEach(({ cards, priority }) => {
+    const cardObjs = resolveCards(cards, enemyHand);
+    const cost = cardObjs.reduce((sum, c) => sum + (typeof c.spCost === 'number' ? c.spCost : 0), 0);
+    if (cardObjs.length === cards.length && cost <= enemySp && priority > bestComboScore) {
+      bestComboScore = priority;
+      bestCombo = cardObjs;
+    }
+  });
+  const safeHand = Array.isArray(enemyHand) ? enemyHand.filter(Boolean) : [];
+  const singles = safeHand.filter(c =>
+    !bestCombo || !bestCombo.some(bc => bc && c && bc.instanceId && c.instanceId && String(bc.instanceId) === String(c.instanceId))
+  );
+  singles.sort((a, b) => {
+    const pa = cardPriority.find(x => x.cardId && a._id && (x.cardId.equals ? x.cardId.equals(a._id) : x.cardId === a._id))?.priority || 0;
+    const pb = cardPriority.find(x => x.cardId && b._id && (x.cardId.equals ? x.cardId.equals(b._id) : x.cardId === b._id))?.priority || 0;
+    return pb - pa;
+  });
+  let runningSp = bestCombo ? bestCombo.reduce((s, c) => s + (typeof c.spCost === 'number' ? c.spCost : 0), 0) : 0;
+  const playCards = bestCombo ? [...bestCombo] : [];
+  for (const c of singles) {
+    const cost = (typeof c.spCost === 'number' ? c.spCost : 0);
+    if (runningSp + cost <= enemySp) {
+      playCards.push(c);
+      runningSp += cost;
+    }
+  }
+  const greedChance = aiConfig.greedChance ?? 0.15;
+  if (!bestCombo && playCards.length > 0 && rng() < greedChance) {
+    return { action: 'play', cards: playCards };
+  }
+  if (playCards.some(c => typeof c !== 'object' || !c.name)) {
+    return { action: 'skip', cards: [] };
+  }
+  const playScore = weights.play * (
+    bestComboScore +
+    playCards.reduce((sum, c) =>
+      sum + (cardPriority.find(x => x.cardId && c._id && (x.cardId.equals ? x.cardId.equals(c._id) : x.cardId === c._id))?.priority || 0), 0)
+  );
+  const spRatio = enemySp / enemyStats.maxSp;
+  const skipBoost = spRatio < spSkipThreshold
+    ? (spSkipThreshold - spRatio) / spSkipThreshold
+    : 0;
+  const skipScore = weights.skip * skipBoost;
+  const hpRatio = enemyHp / enemyMaxHp;
+  const defendBoost = hpRatio < defendHpThreshold
+    ? (defendHpThreshold - hpRatio) / defendHpThreshold
+    : 0;
+  const defendScore = weights.defend * defendBoost;
+  if (playScore >= defendScore && playScore >= skipScore) return { action: 'play', cards: playCards };
+  if (defendScore >= skipScore) return { action: 'defend' };
+  return { action: 'skip' };
+}
+
+/* =========================
+   Ability Engine with Persistence
+   ========================= */
+
+// persistent vs per-attack
+const PERSISTENT_TYPES = new Set([
+  'Stats Up', 'Stats Down', 'Lucky', 'Unluck', 'Freeze', 'Curse',
+  'Guard', 'Ability Shield', 'Revive',
+  'Poison', 'Burn', 'Regen', 'Silence', 'Taunt', 'Thorns'
+]);
+const PER_ATTACK_TYPES = new Set([
+  'Durability Negation', 'Ability Negation', 'Instant Death'
+]);
+// Abilities that land on the opponent (the rest go to their owner)
+const OPPONENT_TYPES = new Set([
+  'Stats Down', 'Freeze', 'Unluck', 'Curse', 'Ability Negation', 'Instant Death', 'Durability Negation',
+  'Poison', 'Burn', 'Silence'
+]);
+
+// linkedTo mapping for targeted stat buffs/debuffs (legacy numeric)
+function resolveStatTarget(ab, card) {
+  if (ab?.target) return ab.target;
+  const code = Number.isInteger(ab?.legacyTargetCode) ? ab.legacyTargetCode : Number(ab?.linkedTo);
+  if (Number.isInteger(code)) {
+    switch (code) {
+      case 1: return 'attackPower';
+      case 2: return 'physicalPower';
+      case 3: return 'supernaturalPower';
+      case 4: return 'durability';
+      case 5: return 'speed';
+    }
+  }
+  const types = getTypes(card);
+  if (types.includes('Physical')) return 'physicalPower';
+  if (types.includes('Supernatural')) return 'supernaturalPower';
+  return 'attackPower';
+}
+
+// convert request.activeEffects into normalized, type-keyed buckets
+function loadActiveBuckets(activeEffects) {
+  const makeMap = (arr) => {
+    const map = new Map();
+    (Array.isArray(arr) ? arr : []).forEach(e => {
+      if (!e || !e.type) return;
+      map.set(e.type + (e.target ? `:${e.target}` : ''), {
+        type: e.type,
+        target: e.target || null,
+        power: Number(e.power) || 0,
+        precedence: Number(e.precedence) || 0,
+        remaining: Math.max(0, Number(e.remaining) || 0),
+      });
+    });
+    return map;
+  };
+  return {
+    player: makeMap(activeEffects?.player),
+    enemy:  makeMap(activeEffects?.enemy),
+  };
+}
+
+// turn bucket maps back to arrays for response
+function dumpActiveBuckets(buckets) {
+  const toArray = (map) => Array.from(map.values()).map(e => ({
+    type: e.type,
+    target: e.target || null,
+    power: e.power,
+    precedence: e.precedence,
+    remaining: e.remaining,
+  }));
+  return { player: toArray(buckets.player), enemy: toArray(buckets.enemy) };
+}
+
+// Distinguish insert vs refresh (logging) + explicit Freeze logs
+function upsertPersistentEffect(bucketMap, entry, bucketOwner, events) {
+  const key = entry.type + (entry.target ? `:${entry.target}` : '');
+  const existing = bucketMap.get(key);
+  if (existing) {
+    const before = { power: existing.power, precedence: existing.precedence, remaining: existing.remaining };
+    existing.power = entry.power;
+    existing.precedence = Math.max(existing.precedence, entry.precedence || 0);
+    existing.remaining = Math.max(entry.duration || 0, 0);
+    log(`[PERSIST][UPSERT] refresh key=${key} rem ${before.remaining}→${existing.remaining} pow ${before.power}→${existing.power} prec ${before.precedence}→${existing.precedence}`);
+    emit(events, 'effect_applied', {
+      side: bucketOwner, effect: entry.type, target: existing.target, power: existing.power,
+      remaining: existing.remaining, refreshed: true
+    });
+    if (entry.type === 'Freeze') {
+      log('[FREEZE][UPSERT]', {
+        owner: bucketOwner,
+        key: entry.key,
+        duration: entry.duration,
+        activationChance: entry.activationChance
+      });
+    }
+  } else {
+    const inserted = {
+      type: entry.type,
+      target: entry.target || null,
+      power: entry.power || 0,
+      precedence: entry.precedence || 0,
+      remaining: Math.max(entry.duration || 0, 0),
+      // note: we don't persist 'key' onto map to keep FE echoes simple
+    };
+    bucketMap.set(key, inserted);
+    log(`[PERSIST][UPSERT] insert  key=${key} rem=${inserted.remaining} pow=${inserted.power} prec=${inserted.precedence}`);
+    emit(events, 'effect_applied', {
+      side: bucketOwner, effect: inserted.type, target: inserted.target, power: inserted.power,
+      remaining: inserted.remaining, refreshed: false
+    });
+    if (entry.type === 'Freeze') {
+      log('[FREEZE][UPSERT]', {
+        owner: bucketOwner,
+        key: entry.key,
+        duration: entry.duration,
+        activationChance: entry.activationChance
+      });
+    }
+  }
+}
+
+// apply buckets to temp stats / context for this action
+function applyPersistentToContext({ sideKey, buckets, tempStats, ctx }) {
+  for (const eff of buckets[sideKey].values()) {
+    if (eff.remaining <= 0) continue;
+    log(`[PERSIST][APPLY] ${sideKey} ${eff.type}${eff.target?`(${eff.target})`:''} rem=${eff.remaining}`);
+    switch (eff.type) {
+      case 'Stats Up': {
+        const stat = eff.target || 'attackPower';
+        tempStats[stat] = Number(tempStats[stat] || 0) + eff.power;
+        log('[PERSIST][APPLY]', { owner: sideKey, type: 'Stats Up', stat, delta: +eff.power, rem: eff.remaining });
+        break;
+      }
+      case 'Stats Down': {
+        const stat = eff.target || 'attackPower';
+        tempStats[stat] = Number(tempStats[stat] || 0) - Number(eff.power || 0);
+        log('[PERSIST][APPLY]', { owner: sideKey, type: 'Stats Down', stat, delta: -eff.power, rem: eff.remaining });
+        break;
+      }
+      case 'Lucky':
+        ctx[sideKey].chanceUp += eff.power;
+        break;
+      case 'Unluck':
+        ctx[sideKey].chanceDown += eff.power;
+        break;
+      case 'Freeze':
+        ctx[sideKey].frozenTurns = Math.max(ctx[sideKey].frozenTurns, 1);
+        tempStats.speed = 0;
+        log('[FREEZE][APPLY]', { owner: sideKey, rem: eff.remaining });
+        break;
+      case 'Curse':
+        ctx[sideKey].curseSuppress = Math.max(ctx[sideKey].curseSuppress, Math.min(3, Math.max(0, Math.floor(eff.power))));
+        break;
+      case 'Guard':
+        ctx[sideKey].guard = { active: true, precedence: eff.precedence, duration: eff.remaining };
+        break;
+      case 'Ability Shield':
+        ctx[sideKey].abilityShield = { active: true, precedence: eff.precedence, duration: eff.remaining };
+        break;
+      case 'Revive':
+        ctx[sideKey].revive = { power: eff.power, precedence: eff.precedence, duration: eff.remaining };
+        break;
+    }
+  }
+}
+
+// Ability Negation: strip up to `power` (1..3) lower-precedence effects from a bucket
+function negateEffects(tgtBucket, ab, target, events) {
+  let remainingToRemove = Math.min(3, Math.max(1, Math.floor(ab.power)));
+  const ordered = Array.from(tgtBucket.values()).sort((a, b) => (a.precedence || 0) - (b.precedence || 0));
+  for (let i = 0; i < ordered.length && remainingToRemove > 0; i++) {
+    if ((ordered[i].precedence || 0) < (ab.precedence || 0)) {
+      tgtBucket.delete(ordered[i].type + (ordered[i].target ? `:${ordered[i].target}` : ''));
+      emit(events, 'effect_expired', { side: target, effect: ordered[i].type, target: ordered[i].target || null, reason: 'negated' });
+      remainingToRemove--;
+    }
+  }
+}
+
+// ability queue (highest precedence first)
+function buildEffectQueue(cards) {
+  const entries = [];
+  for (const card of cards) {
+    const abilities = getAbilities(card);
+    for (let i = 0; i < abilities.length; i++) {
+      const ab = abilities[i];
+      if (!ab.type || ab.type === 'None' || ab.activationChance <= 0) continue;
+      if (ab.trigger !== 'onPlay') continue; // waits for its event (dispatchTrigger)
+      entries.push({ card, ability: ab });
+    }
+  }
+  entries.sort((a, b) => (b.ability.precedence || 0) - (a.ability.precedence || 0));
+  return entries;
+}
+
+/* =========================
+   Resistances (Enemy.resistances snapshot)
+   ========================= */
+
+const NO_RESISTANCE = Object.freeze({ immune: false, chanceMultiplier: 1 });
+
+// Damage multiplier for a card's types; Physical wins on mixed cards (same as the power stat)
+function damageMultiplier(resistances, types) {
+  const table = resistances?.damage || {};
+  const m = Number(types.includes('Physical') ? table.Physical : table.Supernatural);
+  return Number.isFinite(m) && m >= 0 ? m : 1;
+}
+
+// { immune, chanceMultiplier } of a side against an ability type aimed at it
+function abilityResistance(resistances, type) {
+  const entry = (resistances?.abilities || []).find(r => r?.type === type);
+  if (!entry) return NO_RESISTANCE;
+  const m = Number(entry.chanceMultiplier ?? 1);
+  return { immune: !!entry.immune, chanceMultiplier: Number.isFinite(m) ? clamp(m, 0, 1) : 1 };
+}
+
+// Same single draw as roll(): 'hit', 'resisted' (would have landed without the
+// resistance) or 'failed'
+function rollAgainst(chancePct, res, rng = Math.random) {
+  const r = rng() * 100;
+  if (r < clamp(chancePct * res.chanceMultiplier, 0, 100)) return 'hit';
+  return r < clamp(chancePct, 0, 100) ? 'resisted' : 'failed';
+}
+
+function applyAbilityPreDamagePhase({
+  attackerBase, defenderBase,
+  attackerTemp, defenderTemp,
+  attackerCards, defenderCards,
+  context,
+  buckets,
+  sourceKey, targetKey, // 'player' or 'enemy'
+  // NEW: attack-linked bucket to evaluate on hit
+  attackLinkedOut,
+  // Enemy.resistances keyed by side ({ enemy: ... }); sides without one resist nothing
+  resistances = {},
+  // condition facts keyed by side ({ player, enemy, turn }); see conditionHolds
+  facts = null,
+  rng = Math.random,
+  events
+}) {
+  const blockedByShield = (onTarget, ab) => {
+    const shield = context[onTarget].abilityShield;
+    return shield.active && (shield.precedence >= (ab.precedence || 0));
+  };
+
+  const pending = { [sourceKey]: [], [targetKey]: [] };
+
+  // track success of abilities by key within each card (for linkedTo dependencies)
+  const successByCardKey = new Map(); // card.instanceId -> Set(keys)
+
+  const queueApply = (queue, owner, target) => {
+    for (const entry of queue) {
+      const { card, ability: ab } = entry;
+
+      // If ab depends on other abilities (excluding 'attack'), ensure those parents succeeded already
+      const parents = (ab.linkedTo || []).filter(x => x !== 'attack');
+      if (parents.length) {
+        const ok = parents.every(p => successByCardKey.get(String(card.instanceId))?.has(p));
+        if (!ok) continue; // parent not (yet) successful
+      }
+
+      // declarative condition gates the ability before any roll
+      if (!conditionHolds(ab, owner, facts)) {
+        log(`[AB][COND] ${owner} ${ab.type} (key=${ab.key ?? 'n/a'}) condition not met`);
+        conditionSkipped(events, owner, card, ab);
+        continue;
+      }
+
+      // compute final chance with Lucky/Unluck and INT multiplier (log)
+      const ownerTemp = owner === sourceKey ? attackerTemp : defenderTemp;
+      const baseChance = clamp(ab.activationChance + context[owner].chanceUp - context[target].chanceDown, 0, 100);
+      const finalChance = intMult(baseChance, ownerTemp.intelligence);
+      log(`[AB][CHK] ${owner} plays ${ab.type} (key=${ab.key ?? 'n/a'}) base=${baseChance}% INT→final=${finalChance}%`);
+
+      // opponent-targeting?
+      const targetsOpponent = OPPONENT_TYPES.has(ab.type);
+
+      // shield block check for opponent-targeting (log)
+      if (targetsOpponent && blockedByShield(target, ab)) {
+        log(`[AB][BLOCKED] ${ab.type} blocked by ${target}'s Ability Shield (prec=${context[target].abilityShield.precedence} ≥ ${ab.precedence || 0})`);
+        emit(events, 'ability_blocked', { side: owner, target, card: cardRef(card), ability: ab.key, abilityType: ab.type, by: 'Ability Shield' });
+        continue;
+      }
+
+      // target immunity / reduced chance (Enemy.resistances.abilities)
+      const res = targetsOpponent ? abilityResistance(resistances[target], ab.type) : NO_RESISTANCE;
+      if (res.immune) {
+        log(`[AB][IMMUNE] ${ab.type} has no effect on ${target}`);
+        emit(events, 'immune', { side: owner, target, card: cardRef(card), ability: ab.key, abilityType: ab.type, kind: 'ability' });
+        continue;
+      }
+
+      // attack-linked abilities are deferred to the on-hit step (log + no roll here)
+      if ((ab.linkedTo || []).includes('attack')) {
+        log(`[AB][DEFER] ${ab.type} linked to attack; deferring to on-hit (card iid=${card.instanceId})`);
+        const list = attackLinkedOut.get(String(card.instanceId)) || [];
+        list.push({ card, ability: ab, owner, target });
+        attackLinkedOut.set(String(card.instanceId), list);
+        // mark success so children can chain further
+        if (!successByCardKey.has(String(card.instanceId))) successByCardKey.set(String(card.instanceId), new Set());
+        successByCardKey.get(String(card.instanceId)).add(ab.key);
+        continue;
+      }
+
+      // roll outcome (log)
+      const chance = finalChance * res.chanceMultiplier;
+      const outcome = rollAgainst(finalChance, res, rng);
+      if (outcome === 'resisted') {
+        log(`[AB][RESIST] ${ab.type} resisted by ${target} (final=${finalChance}% ×${res.chanceMultiplier})`);
+        emit(events, 'resisted', { side: owner, target, card: cardRef(card), ability: ab.key, abilityType: ab.type, kind: 'ability', chance, multiplier: res.chanceMultiplier });
+        continue;
+      }
+      if (outcome === 'failed') {
+        log(`[AB][MISS] ${ab.type} failed roll (final=${chance}%)`);
+        emit(events, 'ability_failed', { side: owner, card: cardRef(card), ability: ab.key, abilityType: ab.type, chance });
+        continue;
+      }
+      log(`[AB][OK] ${ab.type} accepted pre-damage`);
+      emit(events, 'ability_activated', { side: owner, card: cardRef(card), ability: ab.key, abilityType: ab.type, chance });
+
+      pending[owner].push(entry);
+
+      // Mark success for linking chains
+      if (!successByCardKey.has(String(card.instanceId))) successByCardKey.set(String(card.instanceId), new Set());
+      successByCardKey.get(String(card.instanceId)).add(ab.key);
+
+      // Immediate toggles (apply to context now so later abilities see them)
+      if (ab.type === 'Ability Shield') {
+        context[owner].abilityShield = { active: true, precedence: ab.precedence || 0, duration: ab.duration || 1 };
+      }
+      if (ab.type === 'Guard') {
+        context[owner].guard = { active: true, precedence: ab.precedence || 0, duration: ab.duration || 1 };
+      }
+    }
+  };
+
+  const atkQueue = buildEffectQueue(attackerCards);
+  const defQueue = buildEffectQueue(defenderCards);
+  queueApply(atkQueue, sourceKey,  targetKey);
+  queueApply(defQueue, targetKey,  sourceKey);
+
+  // Ability Negation (strip lower-precedence persistent effects on target)
+  const applyNegation = (owner, target) => {
+    const entries = pending[owner].filter(p => p.ability.type === 'Ability Negation' && p.ability.power > 0);
+    if (!entries.length) return;
+    entries.forEach(({ ability: ab }) => negateEffects(buckets[target], ab, target, events));
+    const maxPrec = Math.max(...entries.map(x => x.ability.precedence || 0));
+    pending[target] = pending[target].filter(e => (e.ability.precedence || 0) >= maxPrec);
+  };
+  applyNegation(sourceKey, targetKey);
+  applyNegation(targetKey, sourceKey);
+
+  // Adopt pending persistent effects (no stacking — duration resets)
+  // NOTE: opponent-targeting effects must go to the target bucket.
+  const adoptPendingFor = (owner, target) => {
+    for (const { card, ability: ab } of pending[owner]) {
+      if (!PERSISTENT_TYPES.has(ab.type)) continue;
+
+      const targetsOpponent = OPPONENT_TYPES.has(ab.type);
+
+      const dest = targetsOpponent ? target : owner;
+      const entry = { ...ab };
+      if (ab.type === 'Stats Up' || ab.type === 'Stats Down') {
+        entry.target = resolveStatTarget(ab, card);
+      }
+
+      upsertPersistentEffect(buckets[dest], entry, dest, events);
+      log(`[AB][PERSIST] ${ab.type} → ${dest} (key=${ab.key ?? 'n/a'}, pow=${entry.power}, dur=${entry.duration}, prec=${entry.precedence})`);
+    }
+  };
+
+  adoptPendingFor(sourceKey, targetKey);
+  adoptPendingFor(targetKey, sourceKey);
+
+  // Apply persistent buckets to *temp* stats/context for this action (already applied by caller in our flow)
+  // Per-card flags used in damage phase
+  const perCard = (cards, owner) => {
+    const out = new Map();
+    for (const card of cards) {
+      const abilities = getAbilities(card);
+      const per = { durabilityNegation: false, instantDeath: null };
+      for (const ab of abilities) {
+        if (ab.trigger !== 'onPlay' || !conditionHolds(ab, owner, facts)) continue;
+        if (ab.type === 'Durability Negation' && !ab.linkedTo?.length) per.durabilityNegation = true;
+        if (ab.type === 'Instant Death') per.instantDeath = ab;
+      }
+      out.set(String(card.instanceId), per);
+    }
+    return out;
+  };
+  context[sourceKey].perCard = perCard(attackerCards, sourceKey);
+  context[targetKey].perCard = perCard(defenderCards, targetKey);
+}
+
+/* =========================
+   On-Field scheduling helpers
+   ========================= */
+
+// Build a FieldCard snapshot from a played card with a Multi-Hit ability
+function makeFieldCard(owner, card, rng = Math.random) {
+  const abilities = getAbilities(card);
+  const mh = abilities.find(a => a.type === 'Multi-Hit' && a.multiHit?.turns > 0);
+  if (!mh) return null;
+
+  // Optional: precompute DN schedule for this field card
+  const dnAb = abilities.find(a => a.type === 'Durability Negation');
+  let dnTurnsSet = null;
+  if (dnAb?.durabilityNegation?.auto === false && dnAb.durabilityNegation.schedule) {
+    const total = Math.max(1, Number(mh.multiHit.turns));
+    const sch = dnAb.durabilityNegation.schedule;
+    if (sch.type === 'random') {
+      dnTurnsSet = new Set(pickRandomUniqueTurns(total, Math.min(total, sch.times || 1), rng));
+    } else if (sch.type === 'list') {
+      dnTurnsSet = new Set((sch.turns || []).filter(t => t >= 1 && t <= total));
+    }
+  }
+  // Precompute per-child scheduled turns (for linked abilities with random/list schedules)
+  // NOTE: overallTurn=1 is the initial play; on-field ticks use overallTurn>=2.
+  const totalTurns = Math.max(1, Number(mh.multiHit.turns));
+  const childTurnsByKey = {};
+  for (const raw of abilities) {
+    const ab = normalizeAbility(raw);
+    if (!ab || ab.type === 'Multi-Hit') continue;
+
+    // Only children linked to the primary/attack are eligible to fire on-field.
+    const linked = Array.isArray(ab.linkedTo) ? ab.linkedTo : [];
+    const linkedToPrimary = linked.includes('attack') || (mh.key && linked.includes(mh.key));
+    if (!linkedToPrimary) continue;
+
+    const sched = ab.multiHit?.schedule;
+    if (!sched) continue; // no schedule → handled as "every on-field tick" in processor
+
+    // Build the set of overall turns (2..totalTurns) this child should fire.
+    const pool = Array.from({ length: Math.max(0, totalTurns - 1) }, (_, i) => i + 2); // [2..totalTurns]
+    let turns = [];
+    if (sched.type === 'list') {
+      const list = Array.isArray(sched.turns) ? sched.turns : [];
+      turns = list.filter(t => Number.isInteger(t) && t >= 2 && t <= totalTurns);
+    } else if (sched.type === 'random') {
+      const times = Math.min(pool.length, Math.max(1, Number(sched.times || 1)));
+      // simple unique sampling from pool
+      const bag = [...pool];
+      for (let i = 0; i < times && bag.length; i++) {
+        const idx = Math.floor(rng() * bag.length);
+        turns.push(bag[idx]);
+        bag.splice(idx, 1);
+      }
+    }
+    if (turns.length) childTurnsByKey[ab.key] = turns;
+  }
+
+  // Minimal snapshot the field system needs
+  const snapshot = {
+    id: String(card._id || card.id || ''),
+    name: card.name,
+    rating: card.rating,
+    spCost: Number(card.spCost ?? 0),
+    potency: Number(card.potency ?? 0),
+    defense: Number(card.defense ?? 0),
+    // Normalize types
+    types: Array.isArray(card.types) ? card.types : (card.type ? [card.type] : []),
+    abilities: Array.isArray(card.abilities) ? card.abilities : []
+  };
+  // Trace what we pre-picked for child schedules on this snapshot
+  if (Object.keys(childTurnsByKey).length) {
+    log('[FIELD][SCHEDULES]', {
+      owner, card: card?.name, iid: String(card.instanceId),
+      childTurns: childTurnsByKey
+    });
+  }
+
+  log(`[FIELD][ADD] owner=${owner} card="${card.name}" iid=${card.instanceId} turns=${mh.multiHit.turns}`);
+  return {
+    instanceId: String(card.instanceId),
+    owner,                     // 'player' | 'enemy'
+    card: snapshot,
+    turnsRemaining: Math.max(0, Number(mh.multiHit.turns) - 1), // first hit was this turn
+    link: mh.multiHit.link || 'attack',
+    targeting: {
+      mode:  mh.multiHit.targeting?.mode  || 'lock',
+      scope: mh.multiHit.targeting?.scope || 'character'
+    },
+    targetRef: { kind: 'character' },    // default: hit the opposing character
+    scheduleState: {
+      turnIndex: 0,
+      dnAuto: !!(dnAb && (dnAb.durabilityNegation?.auto !== false)),
+      dnTurns: dnTurnsSet ? Array.from(dnTurnsSet) : null,
+      childTurns: Object.keys(childTurnsByKey).length ? childTurnsByKey : null
+    }
+  };
+}
+
+// Run one scheduled hit for each on-field card of `sideKey`
+// Returns { damageDone, onField: updatedArray, expired: { [sideKey]: CardSnapshot[] } }
+
+/* =========================
+   Helpers (pile moves)
+   ========================= */
+function moveCards(sourceArr, destArr, predicate) {
+  const remain = [];
+  for (const c of sourceArr) {
+    if (predicate(c)) destArr.push(c);
+    else remain.push(c);
+  }
+  return { remain, dest: destArr };
+}
+// Run one scheduled hit for each on-field card of `sideKey`.
+// Returns { damageDone, onField: { player:[], enemy:[] }, expired: { [sideKey]: CardSnapshot[] } }
+// `resistances` is the defender's Enemy.resistances snapshot (null for the player).
+function processFieldHits({ sideKey, onField, attackerBase, defenderBase, buckets, retargetPrompts, resistances = null, facts = null, rng = Math.random, events }) {
+  const mineKey  = sideKey === 'enemy' ? 'enemy' : 'player';
+  const otherKey = mineKey === 'player' ? 'enemy' : 'player';
+
+  const mine  = Array.isArray(onField?.[mineKey])  ? onField[mineKey]  : [];
+  const other = Array.isArray(onField?.[otherKey]) ? onField[otherKey] : [];
+  log('[FIELD][STATE]', {
+    side: mineKey,
+    mineCount: Array.isArray(onField?.[mineKey])  ? onField[mineKey].length  : 0,
+    otherCount: Array.isArray(onField?.[otherKey]) ? onField[otherKey].length : 0,
+    mine:  (onField?.[mineKey]  || []).map(f => `${f.card?.name || 'Card'}#${f.instanceId}(tRem=${f.turnsRemaining})`),
+    other: (onField?.[otherKey] || []).map(f => `${f.card?.name || 'Card'}#${f.instanceId}(tRem=${f.turnsRemaining})`)
+  });
+
+  let totalDamage = 0;
+  const updated = [];
+  const expiredMine = [];
+
+  function resolveTargetRef(fc) {
+    const targetRef  = fc?.targetRef ?? { kind: 'character' };
+    const targeting  = fc?.targeting ?? { mode: 'lock', scope: 'character' };
+
+    if (!targetRef || targetRef.kind === 'character') return targetRef;
+    if (targetRef.kind === 'field') {
+      const list = targetRef.side === mineKey ? mine : other;
+      const exists = list.some(x => String(x.instanceId) === String(targetRef.instanceId));
+      if (exists) return targetRef;
+
+      if (targeting.mode === 'lock') return null;
+      if (targeting.mode === 'retarget-random') return { kind: 'character' };
+      if (targeting.mode === 'retarget-choose') {
+        retargetPrompts?.push?.({
+          owner: mineKey,
+          instanceId: fc.instanceId,
+          options: [{ kind: 'character' }]
+        });
+        return null;
+      }
+      return null;
+    }
+    return { kind: 'character' };
+  }
+
+  for (const fc of mine) {
+    if (!fc || typeof fc.turnsRemaining !== 'number' || fc.turnsRemaining <= 0) continue;
+
+    const resolvedTarget = resolveTargetRef(fc);
+    const nextTurnIndex = (fc.scheduleState && typeof fc.scheduleState.turnIndex === 'number')
+      ? fc.scheduleState.turnIndex + 1
+      : 1;
+    // Overall "turn number" of the multi-hit window, where 1 = the initial play hit.
+    // Our first on-field tick is turn 2 overall.
+    const overallTurn = nextTurnIndex + 1;
+
+    // Should this tick bypass guard/durability due to DN?
+    const dnActive = !!(fc?.scheduleState?.dnAuto) ||
+      (Array.isArray(fc?.scheduleState?.dnTurns) && fc.scheduleState.dnTurns.includes(overallTurn));
+    log('[FIELD][TICK][BEGIN]', {
+      owner: mineKey,
+      card: fc.card?.name, iid: fc.instanceId,
+      turnIndex: nextTurnIndex, overallTurn,
+      target: (resolvedTarget?.kind || 'character'),
+      dnActive
+    });
+    const nextRemaining = fc.turnsRemaining - 1;
+
+    // Only “character” hits are implemented here; field→field could be extended later.
+    if (resolvedTarget && resolvedTarget.kind === 'character') {
+      // Skip malformed entries defensively
+      if (!fc?.card) {
+        warn('[FIELD][WARN] skipping malformed onField snapshot', fc);
+        // Keep it alive but don't advance turns if it's malformed
+        updated.push({ ...fc, turnsRemaining: Math.max(0, fc.turnsRemaining - 1) });
+        continue;
+      }
+      const types = Array.isArray(fc.card.types) ? fc.card.types : (fc.card.types ? [fc.card.types] : []);
+      const isPhysical = types.includes('Physical');
+      const isSupernatural = types.includes('Supernatural');
+
+      // Attack side
+      const atkPow  = Number(attackerBase.attackPower) || 0;
+      const potency = Number(fc.card?.potency) || 0;
+      const atkStat = isPhysical
+        ? (Number(attackerBase.physicalPower) || 0)
+        : (Number(attackerBase.supernaturalPower) || 0);
+
+      // Defense side
+      const defenderDur = dnActive ? 0 : (Number(defenderBase.durability) || 0);
+      const defenderStat = isPhysical
+        ? (Number(defenderBase.physicalPower) || 0)
+        : (Number(defenderBase.supernaturalPower) || 0);
+
+      const raw = (potency + atkStat) * atkPow;
+      const effDef = (defenderDur * defenderStat) / 2;
+      const mult = damageMultiplier(resistances, types);
+      const net = Math.max(raw - effDef, 0) * mult;
+      totalDamage += isNaN(net) ? 0 : net;
+      const fcRef = cardRef({ ...fc.card, instanceId: fc.instanceId });
+      const damageType = isPhysical ? 'Physical' : 'Supernatural';
+      if (mult === 0) emit(events, 'immune', { side: mineKey, target: otherKey, card: fcRef, kind: 'damage', damageType });
+      else if (mult < 1) emit(events, 'resisted', { side: mineKey, target: otherKey, card: fcRef, kind: 'damage', damageType, multiplier: mult });
+      emit(events, 'field_fired', {
+        side: mineKey, target: otherKey, card: fcRef,
+        overallTurn, damage: isNaN(net) ? 0 : net, durabilityNegation: dnActive,
+        ...(mult !== 1 ? { multiplier: mult } : {})
+      });
+      if (!isNaN(net) && net > 0) {
+        log(`[FIELD][HIT] owner=${mineKey} iid=${fc.instanceId} overallTurn=${overallTurn} dmg=${net}`);
+      } else {
+        log(`[FIELD][HIT] owner=${mineKey} iid=${fc.instanceId} overallTurn=${overallTurn} dmg=0`);
+      }
+      log('[FIELD][DMG]', {
+        owner: mineKey, iid: fc.instanceId, overallTurn,
+        potency, atkPow, atkStat,
+        defenderDur, defenderStat,
+        raw, effDef, net
+      });
+    }
+    // Trigger child abilities scheduled for this overallTurn.
+    // We only handle PERSISTENT_TYPES here; transient/on-hit accuracy/negation
+    // is already accounted for in damage or DN.
+    try {
+      const abs = Array.isArray(fc.card?.abilities) ? fc.card.abilities : [];
+      const norm = abs.map((ab, i) => normalizeAbility(ab, i));
+      const primary = norm.find(a => a.type === 'Multi-Hit');
+      if (primary) {
+        for (const ab of norm) {
+          if (ab.type === 'Multi-Hit' || ab.trigger !== 'onPlay') continue;
+
+          // Only abilities linked to the attack/primary may fire here
+          const linked = Array.isArray(ab.linkedTo) ? ab.linkedTo : [];
+          const linkedToPrimary = linked.includes('attack') || (primary.key && linked.includes(primary.key));
+          if (!linkedToPrimary) {
+            log('[FIELD][AB][LINK]', {
+              owner: mineKey,
+              card: fc.card?.name,
+              iid: fc.instanceId,
+              abKey: ab.key,
+              linkedTo: linked,
+              primaryKey: primary.key,
+              fcLink: fc.link,
+              note: 'not linked to primary/attack'
+            });
+            continue;
+          }
+
+          // Check schedule (list or pre-picked random turns stored in scheduleState.childTurns[ab.key])
+          // If no schedule is provided → fire on EVERY on-field tick by default.
+          let willFire = true, scheduleInfo = { type: 'none' };
+          if (ab?.multiHit?.schedule?.type === 'list') {
+            const list = Array.isArray(ab.multiHit.schedule.turns) ? ab.multiHit.schedule.turns : [];
+            scheduleInfo = { type: 'list', turns: list };
+            willFire = list.includes(overallTurn);
+          } else if (Array.isArray(fc?.scheduleState?.childTurns?.[ab.key])) {
+            const pre = fc.scheduleState.childTurns[ab.key];
+            scheduleInfo = { type: 'random-prepicked', turns: pre };
+            willFire = pre.includes(overallTurn);
+          }
+
+          log('[FIELD][AB][CHK]', {
+            owner: mineKey, card: fc.card?.name, iid: fc.instanceId,
+            key: ab.key, type: ab.type, overallTurn, schedule: scheduleInfo, willFire
+          });
+
+          if (!willFire) {
+            log('[FIELD][AB][SKIP]', {
+              owner: mineKey, card: fc.card?.name, iid: fc.instanceId,
+              key: ab.key, type: ab.type, overallTurn, schedule: scheduleInfo,
+              note: 'schedule did not include this turn'
+            });
+            continue;
+          }
+
+          // Determine owner/target buckets
+          const mine = mineKey;
+          const other = otherKey;
+          const targetsOpponent = OPPONENT_TYPES.has(ab.type);
+          const dest = targetsOpponent ? other : mine;
+
+          if (!conditionHolds(ab, mineKey, facts)) {
+            conditionSkipped(events, mineKey, { ...fc.card, instanceId: fc.instanceId }, ab);
+            continue;
+          }
+
+          // Field children have no activation roll; a resisting target gets one at its multiplier
+          const res = targetsOpponent ? abilityResistance(resistances, ab.type) : NO_RESISTANCE;
+          const abRef = { side: mineKey, target: other, card: cardRef({ ...fc.card, instanceId: fc.instanceId }), ability: ab.key, abilityType: ab.type };
+          if (res.immune) {
+            emit(events, 'immune', { ...abRef, kind: 'ability' });
+            continue;
+          }
+          if (res.chanceMultiplier < 1 && rollAgainst(100, res, rng) !== 'hit') {
+            emit(events, 'resisted', { ...abRef, kind: 'ability', chance: 100 * res.chanceMultiplier, multiplier: res.chanceMultiplier });
+            continue;
+          }
+
+          // For stat buffs/debuffs, resolve target stat if needed
+          const entry = { ...ab };
+          if (ab.type === 'Stats Up' || ab.type === 'Stats Down') {
+            entry.target = resolveStatTarget(ab, { types: fc.card.types });
+          }
+
+          log('[FIELD][AB][FIRE]', {
+            owner: mineKey, dest, key: ab.key, type: ab.type,
+            overallTurn, power: entry.power, duration: entry.duration, precedence: entry.precedence
+          });
+          upsertPersistentEffect(buckets[dest], entry, dest, events);
+          log(`[FIELD][AB] fired ${ab.type} (key=${ab.key}) on turn=${overallTurn} → ${dest}`);
+        }
+      }
+    } catch (e) {
+      console.error('[FIELD][AB][ERR]', e);
+    }
+
+    // Carry forward or expire
+    const carry = {
+      ...fc,
+      turnsRemaining: nextRemaining,
+      scheduleState: { ...(fc.scheduleState || {}), turnIndex: nextTurnIndex }
+    };
+    log('[FIELD][TICK][END]', {
+      owner: mineKey, iid: fc.instanceId, overallTurn,
+      damageSoFar: totalDamage,
+      nextTurnsRemaining: nextRemaining
+    });
+    if (nextRemaining > 0) updated.push(carry);
+    else {
+      expiredMine.push({ ...fc, turnsRemaining: 0 });
+      emit(events, 'field_expired', { side: mineKey, card: cardRef({ ...fc.card, instanceId: fc.instanceId }) });
+    }
+  }
+
+  const onFieldOut = {
+    player: mineKey === 'player' ? updated : (Array.isArray(onField?.player) ? onField.player : []),
+    enemy : mineKey === 'enemy'  ? updated : (Array.isArray(onField?.enemy ) ? onField.enemy  : [])
+  };
+  log('[FIELD][SUMMARY]', {
+    side: mineKey,
+    damageDone: totalDamage,
+    updatedCount: updated.length,
+    expiredCount: expiredMine.length
+  });
+
+  return { damageDone: totalDamage, onField: onFieldOut, expired: { [mineKey]: expiredMine } };
+}
+
+/* =========================
+   Ability triggers
+   ========================= */
+
+// Types an event trigger can carry: effects that stand on their own (no attack to ride on)
+const TRIGGERABLE_TYPES = new Set([...PERSISTENT_TYPES, 'Ability Negation', 'Instant Death']);
+
+// `trigger` abilities of `cards`, highest precedence first (card/ability order breaks ties)
+function collectTriggered(cards, trigger) {
+  const out = [];
+  for (const card of cards) {
+    for (const ab of getAbilities(card)) {
+      if (ab.trigger === trigger && TRIGGERABLE_TYPES.has(ab.type) && ab.activationChance > 0) {
+        out.push({ card, ability: ab });
+      }
+    }
+  }
+  return out.sort((a, b) => (b.ability.precedence || 0) - (a.ability.precedence || 0));
+}
+
+// Fire the `trigger` abilities of `owner`'s cards on a pairwise bucket view. Each one rolls
+// like a played ability (Lucky/Unluck, INT, Ability Shield, resistances) and lands in the
+// owner's or the opponent's bucket. Instant Death is returned for the caller to apply.
+function dispatchTrigger({ trigger, owner, cards, buckets, ownerStats, resistances = {}, facts = null, rng = Math.random, events }) {
+  const target = owner === 'player' ? 'enemy' : 'player';
+  const out = { instantDeath: false };
+  for (const { card, ability: ab } of collectTriggered(cards, trigger)) {
+    const ref = { side: owner, card: cardRef(card), ability: ab.key, abilityType: ab.type, trigger };
+    if (!conditionHolds(ab, owner, facts)) {
+      conditionSkipped(events, owner, card, ab, { trigger });
+      continue;
+    }
+    const targetsOpponent = OPPONENT_TYPES.has(ab.type);
+
+    const shield = buckets[target].get('Ability Shield');
+    if (targetsOpponent && shield?.remaining > 0 && (shield.precedence || 0) >= (ab.precedence || 0)) {
+      emit(events, 'ability_blocked', { ...ref, target, by: 'Ability Shield' });
+      continue;
+    }
+    const res = targetsOpponent ? abilityResistance(resistances[target], ab.type) : NO_RESISTANCE;
+    if (res.immune) {
+      emit(events, 'immune', { ...ref, target, kind: 'ability' });
+      continue;
+    }
+
+    const baseChance = clamp(ab.activationChance + effectPower(buckets[owner], 'Lucky') - effectPower(buckets[target], 'Unluck'), 0, 100);
+    const finalChance = intMult(baseChance, ownerStats.intelligence);
+    const chance = finalChance * res.chanceMultiplier;
+    const outcome = rollAgainst(finalChance, res, rng);
+    log(`[TRIGGER][${trigger}] ${owner} ${ab.type} (key=${ab.key}) final=${chance}% → ${outcome}`);
+    if (outcome === 'resisted') {
+      emit(events, 'resisted', { ...ref, target, kind: 'ability', chance, multiplier: res.chanceMultiplier });
+      continue;
+    }
+    if (outcome === 'failed') {
+      emit(events, 'ability_failed', { ...ref, chance });
+      continue;
+    }
+    emit(events, 'ability_activated', { ...ref, chance });
+
+    if (ab.type === 'Instant Death') {
+      out.instantDeath = true;
+      emit(events, 'instant_death', { side: owner, target, card: cardRef(card), chance, trigger });
+    } else if (ab.type === 'Ability Negation') {
+      if (ab.power > 0) negateEffects(buckets[target], ab, target, events);
+    } else {
+      const dest = targetsOpponent ? target : owner;
+      const entry = { ...ab };
+      if (ab.type === 'Stats Up' || ab.type === 'Stats Down') entry.target = resolveStatTarget(ab, card);
+      upsertPersistentEffect(buckets[dest], entry, dest, events);
+    }
+  }
+  return out;
+}
+
+/* =========================
+   Combat state setup
+   ========================= */
+const DEFAULT_STATS = Object.freeze({
+  attackPower:        10,
+  supernaturalPower:  10,
+  physicalPower:      10,
+  durability:         10,
+  vitality:            1,
+  intelligence:        1,
+  speed:               5,
+  sp:                  3,
+  maxSp:               5,
+});
+
+const shuffleCards = (arr, rng = Math.random) => {
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+};
+
+// Minimal player card DTO (instanceId is assigned when the deck is built)
+const toPlayerCard = (c) => ({
+  id: String(c._id),
+  name: c.name,
+  type: c.type || c.types,
+  rating: c.rating,
+  spCost: c.spCost ?? 0,
+  potency: c.potency ?? 0,
+  defense: c.defense ?? 0,
+  abilities: Array.isArray(c.abilities) ? c.abilities : [],
+  defaultAttackType: c.defaultAttackType || 'Single',
+});
+
+// Upgraded ("Card+") form of a card doc: upgrade overrides on top of the base card.
+// Cards without an upgrade come back unchanged.
+function upgradedCard(c) {
+  const up = c?.upgrade;
+  if (!up) return c;
+  const overrides = new Map((Array.isArray(up.abilities) ? up.abilities : []).map(o => [o.key, o]));
+  const abilities = (Array.isArray(c.abilities) ? c.abilities : []).map(ab => {
+    const o = overrides.get(ab?.key);
+    if (!o) return ab;
+    const next = { ...ab };
+    for (const k of ['power', 'duration', 'activationChance']) {
+      if (typeof o[k] === 'number') next[k] = o[k];
+    }
+    return next;
+  });
+  if (up.addAbility) abilities.push(up.addAbility);
+  return {
+    ...c,
+    name: up.name || `${c.name}+`,
+    potency: typeof up.potency === 'number' ? up.potency : c.potency,
+    defense: typeof up.defense === 'number' ? up.defense : c.defense,
+    spCost: typeof up.spCost === 'number' ? up.spCost : c.spCost,
+    abilities,
+  };
+}
+
+// Player base stats + max HP from campaign initialStats and additive run deltas (extraStats)
+function playerStatsFrom(initialStats, extraStats) {
+  const stats = { ...DEFAULT_STATS };
+  const initial = (initialStats && typeof initialStats === 'object') ? initialStats : {};
+  for (const k of Object.keys(initial)) {
+    if (k === 'hp') continue; // explicit base HP handled below
+    if (typeof initial[k] === 'number') stats[k] = Number(initial[k]);
+  }
+  let extraHp = 0;
+  const extra = (extraStats && typeof extraStats === 'object') ? extraStats : {};
+  for (const [k, delta] of Object.entries(extra)) {
+    if (typeof delta !== 'number') continue;
+    if (k === 'hp') { extraHp = delta; continue; }
+    stats[k] = Number(stats[k] ?? 0) + delta;
+  }
+
+  const baseHp = (typeof initial.hp === 'number' && initial.hp > 0)
+    ? initial.hp
+    : (Number(stats.vitality) || 1) * 100;
+  return { stats, maxHp: Math.max(1, baseHp + extraHp) };
+}
+
+// [{ cardId, qty }] → player card DTOs (qty clamped to 1..30); unknown ids are dropped.
+// `upgrades` ([{ cardId, qty }]) deals that many copies in their Card+ form, flagged `upgraded`.
+function expandDeck(entries, cardsById, upgrades = []) {
+  // upgraded copies still to deal per card id (first copies in entry order)
+  const pending = new Map();
+  for (const u of (Array.isArray(upgrades) ? upgrades : [])) {
+    if (!u?.cardId) continue;
+    const id = String(u.cardId);
+    pending.set(id, (pending.get(id) || 0) + Math.max(1, Number(u.qty || 1)));
+  }
+  const deck = [];
+  for (const e of (Array.isArray(entries) ? entries : [])) {
+    const base = e && cardsById.get(String(e.cardId));
+    if (!base) continue;
+    const id = String(e.cardId);
+    const qty = Math.max(1, Math.min(30, Number(e.qty || 1)));
+    for (let i = 0; i < qty; i++) {
+      const left = pending.get(id) || 0;
+      if (left > 0 && base.upgrade) {
+        pending.set(id, left - 1);
+        deck.push({ ...toPlayerCard(upgradedCard(base)), upgraded: true });
+      } else {
+        deck.push(toPlayerCard(base));
+      }
+    }
+  }
+  return deck;
+}
+
+// Shuffle a card list into a fresh side: instanceIds 1..N, opening hand drawn from the top
+function buildSide({ stats, hp, maxHp, cards = [], handSize = HAND_SIZE, rng = Math.random }) {
+  const deck = shuffleCards(cards, rng).map((c, i) => ({ ...c, instanceId: i + 1 }));
+  const hand = deck.splice(0, Math.min(Number(handSize) || 0, deck.length));
+  const fullStats = { ...DEFAULT_STATS, ...(stats || {}) };
+  const max = Math.max(1, Number(maxHp) || (Number(fullStats.vitality) || 1) * 100);
+  return {
+    stats: fullStats,
+    hp: (typeof hp === 'number' && hp > 0) ? Math.min(hp, max) : max,
+    maxHp: max,
+    sp: Number(fullStats.sp) || 0,
+    maxSp: Number(fullStats.maxSp) || 0,
+    hand,
+    deck,
+    discard: [],
+  };
+}
+
+// Fresh combat state from prebuilt sides (see buildSide). Each enemy carries its own
+// effects and field; `enemy` is still accepted for single-enemy callers.
+function createCombatState({ seed, rngState, player, enemy, enemies, rules }) {
+  const list = Array.isArray(enemies) && enemies.length ? enemies : (enemy ? [enemy] : []);
+  return {
+    seed,
+    rngState,
+    status: 'active',
+    turn: 0,
+    rules: normalizeRules(rules),
+    player,
+    enemies: list.map(e => ({ ...e, activeEffects: e.activeEffects || [], onField: e.onField || [] })),
+    activeEffects: { player: [] },
+    onField: { player: [] },
+  };
+}
+
+// States recorded before multi-enemy combat had a single `enemy` plus
+// activeEffects.enemy / onField.enemy; fold those into enemies[0]
+function normalizeCombatState(state) {
+  if (Array.isArray(state?.enemies) && state.enemies.length) return state;
+  const { enemy, ...rest } = state || {};
+  return {
+    ...rest,
+    enemies: enemy ? [{
+      ...enemy,
+      activeEffects: state.activeEffects?.enemy || [],
+      onField: state.onField?.enemy || [],
+    }] : [],
+    activeEffects: { player: state?.activeEffects?.player || [] },
+    onField: { player: state?.onField?.player || [] },
+  };
+}
+
+/* =========================
+   Targeting (Single vs AoE)
+   ========================= */
+
+// The base attack uses card.defaultAttackType; abilities linked to 'attack' inherit it
+const cardHitsAll = (card) => card?.defaultAttackType === 'AoE';
+function abilityHitsAll(ab, card) {
+  if (ab?.attackType === 'AoE') return true;
+  const linked = Array.isArray(ab?.linkedTo) ? ab.linkedTo : (typeof ab?.linkedTo === 'string' ? [ab.linkedTo] : []);
+  return linked.includes('attack') && cardHitsAll(card);
+}
+// Multi-Hit has no attackType of its own: it follows the ability (or attack) it links to
+function multiHitHitsAll(card) {
+  const raw = Array.isArray(card?.abilities) ? card.abilities : [];
+  const norm = raw.map((ab, i) => normalizeAbility(ab, i));
+  const mh = norm.find(a => a.type === 'Multi-Hit');
+  if (!mh) return false;
+  const link = mh.multiHit?.link || 'attack';
+  if (link === 'attack') return cardHitsAll(card);
+  const idx = norm.findIndex(a => a.key === link);
+  return idx >= 0 && abilityHitsAll(raw[idx], card);
+}
+
+// Copy of a card as seen by an enemy it does not target: only its AoE opponent abilities
+// (keys pinned so linkedTo references survive the filter)
+function aoeShareOf(card) {
+  const abilities = (Array.isArray(card?.abilities) ? card.abilities : [])
+    .map((ab, i) => ({ ...ab, key: normalizeAbility(ab, i).key }))
+    .filter(ab => OPPONENT_TYPES.has(ab.type) && abilityHitsAll(ab, card));
+  return { ...card, abilities };
+}
+
+const emptyCtxSide = () => ({
+  effects: [],
+  chanceUp: 0,
+  chanceDown: 0,
+  abilityShield: { active: false, precedence: 0, duration: 0 },
+  guard: { active: false, precedence: 0, duration: 0 },
+  frozenTurns: 0,
+  curseSuppress: 0,
+  perCard: new Map(),
+  revive: null,
+});
+
+const DEFAULT_AI = Object.freeze({
+  cardPriority: [], combos: [],
+  spSkipThreshold: 0.3,
+  defendHpThreshold: 0.5,
+  weights: { play: 1, skip: 1, defend: 1 }
+});
+
+/* =========================
+   Enemy intent (telegraphed next move)
+   ========================= */
+// The AI decision for an enemy's next turn, made when a round ends so the player can see it:
+// { action, cards, damage: { min, max }, effects }. damage is card damage against the
+// player's current stats, before dodge, Guard and the player's card defense; max also counts
+// chance-based Durability Negation. resolveRound carries the intent out next round unless
+// Freeze stops the enemy or the planned cards can no longer be played.
+function planEnemyIntent({ enemy, buckets, playerStats, rng = Math.random }) {
+  const silenced = hasEffect(buckets.enemy, 'Silence');
+  const hand = (Array.isArray(enemy.hand) ? enemy.hand : []).filter(c => c && (!silenced || isAttackCard(c)));
+  const stats = { ...enemy.stats, maxSp: enemy.maxSp ?? enemy.stats?.maxSp };
+  const { action, cards = [] } = chooseEnemyAction(stats, enemy.sp, enemy.hp, enemy.maxHp, hand, enemy.aiConfig || DEFAULT_AI, rng);
+  const intent = { action, cards: cards.map(cardRef), damage: { min: 0, max: 0 }, effects: [] };
+  if (action !== 'play') return intent;
+
+  const ctx = { enemy: emptyCtxSide(), player: emptyCtxSide() };
+  const enemyTemp = { ...stats };
+  const playerTemp = { ...playerStats };
+  applyPersistentToContext({ sideKey: 'enemy',  buckets, tempStats: enemyTemp,  ctx });
+  applyPersistentToContext({ sideKey: 'player', buckets, tempStats: playerTemp, ctx });
+
+  for (const card of cards) {
+    const abilities = getAbilities(card).filter(ab => ab.trigger === 'onPlay' && ab.type !== 'None');
+    if (isAttackCard(card)) {
+      const power = getTypes(card).includes('Physical') ? 'physicalPower' : 'supernaturalPower';
+      const raw = ((Number(card.potency) || 0) + (Number(enemyTemp[power]) || 0)) * (Number(enemyTemp.attackPower) || 0);
+      const hit = Math.max(raw - ((Number(playerTemp.durability) || 0) * (Number(playerTemp[power]) || 0)) / 2, 0);
+      const dn = abilities.find(ab => ab.type === 'Durability Negation');
+      intent.damage.min += (dn && (dn.activationChance ?? 100) >= 100) ? raw : hit;
+      intent.damage.max += dn ? raw : hit;
+    }
+    for (const ab of abilities) {
+      intent.effects.push({
+        card: cardRef(card), ability: ab.key, type: ab.type,
+        target: OPPONENT_TYPES.has(ab.type) ? 'player' : 'self',
+        chance: ab.activationChance ?? 100,
+        ...(ab.power ? { power: ab.power } : {}),
+        ...(ab.duration ? { duration: ab.duration } : {}),
+      });
+    }
+  }
+  intent.damage = { min: Math.floor(intent.damage.min), max: Math.floor(intent.damage.max) };
+  return intent;
+}
+
+// Opening intents for a fresh combat state (resolveRound plans the later ones)
+function planOpeningIntents(state, rng) {
+  const playerStats = { ...state.player.stats, hp: state.player.hp, sp: state.player.sp, maxSp: state.player.maxSp };
+  return {
+    ...state,
+    enemies: state.enemies.map(e => ({
+      ...e,
+      intent: e.hp > 0 ? planEnemyIntent({
+        enemy: e,
+        buckets: loadActiveBuckets({ player: state.activeEffects?.player, enemy: e.activeEffects }),
+        playerStats,
+        rng,
+      }) : null,
+    })),
+  };
+}
+
+// A boss phase without trigger.hpBelow or trigger.turn could never be entered and would hold back
+// every phase after it, so such phases are left out of the fight
+const hasPhaseTrigger = (p) => p?.trigger?.hpBelow != null || p?.trigger?.turn != null;
+
+/* =========================
+   Round resolution
+   ========================= */
+// Resolves one round against a plain combat state (same shape as CombatSession) and
+// returns { state, events, view } or { error }. The input state is not modified.
+// All randomness comes from state.seed/rngState (or opts.rng), so the same seed +
+// actions always rebuild the same fight.
+//
+// The 1v1 helpers (pre-damage phase, field hits, revive) work on pairwise views:
+// { player: playerBucket, enemy: thatEnemy's bucket }. Single attacks go to
+// input.targets[instanceId] ?? input.target (enemy index); AoE hits every living enemy.
+function resolveRound(state, input = {}, opts = {}) {
+  const rng = opts.rng || createRng(state.seed, state.rngState);
+  state = normalizeCombatState(JSON.parse(JSON.stringify(state)));
+  const { action, retargetChoices = [], negationTarget = null } = input;
+  const selectedIds = (Array.isArray(input.selectedIds) ? input.selectedIds : []).map(String);
+  const targetMap = (input.targets && typeof input.targets === 'object') ? input.targets : {};
+  const defaultTarget = input.target ?? null;
+  const arr = (v) => (Array.isArray(v) ? v : []);
+  const rules = normalizeRules(state.rules);
+  const drawLimit = rules.drawPerTurn || Infinity;
+  const discarding = rules.reshuffle === 'discard';
+
+  // Working copies of the persisted state (written back at the end of the round)
+  const playerStats = { ...state.player.stats, hp: state.player.hp, sp: state.player.sp, maxSp: state.player.maxSp };
+  const playerMaxHp = state.player.maxHp || (Number(playerStats.vitality) || 1) * 100;
+
+  // Ordered combat log for this round (see emit)
+  const events = [];
+
+  let oldPlayerHand = arr(state.player.hand);
+  let playerDeck    = arr(state.player.deck);
+  let playerDiscard = arr(state.player.discard);
+
+  const handById = new Map(oldPlayerHand.map(c => [String(c.instanceId), c]));
+  if (selectedIds.some(iid => !handById.has(iid))) {
+    return { error: { status: 400, message: 'Selected cards are not in your hand.' } };
+  }
+
+  // One entry per enemy: its own HP/SP/piles, effect bucket and field
+  const foes = state.enemies.map((e, index) => {
+    const stats = { ...e.stats, hp: e.hp, sp: e.sp, maxSp: e.maxSp };
+    return {
+      index,
+      name: e.name || `Enemy ${index + 1}`,
+      stats,
+      hp: e.hp,
+      sp: e.sp,
+      maxHp: e.maxHp || (Number(stats.vitality) || 1) * 100,
+      hand: arr(e.hand),
+      deck: arr(e.deck),
+      discard: arr(e.discard),
+      buckets: loadActiveBuckets({ enemy: e.activeEffects }).enemy,
+      field: arr(e.onField).slice(0, rules.maxFieldSlots),
+      buffDef: 0,
+      aiConfig: e.aiConfig || opts.enemyAi || DEFAULT_AI,
+      resistances: e.resistances || null,
+      intent: e.intent || null, // planned at the end of the previous round
+      played: 0, // cards played this turn (condition fact)
+      phases: arr(e.phases).filter(hasPhaseTrigger),
+      phase: Number(e.phase) || 0, // phases entered so far (0 = base form)
+      phaseState: null, // stats/aiConfig to persist once a phase changed them
+    };
+  });
+  if (!foes.length) {
+    return { error: { status: 400, message: 'This combat has no enemies.' } };
+  }
+  const alive = (foe) => foe.hp > 0;
+  const livingFoes = () => foes.filter(alive);
+
+  const playerBucket = loadActiveBuckets({ player: state.activeEffects?.player }).player;
+  const bucketsFor = (foe) => ({ player: playerBucket, enemy: foe.buckets });
+  let playerField = arr(state.onField?.player).slice(0, rules.maxFieldSlots);
+
+  // Stamp events from `from` onward with the enemy they involve
+  const tagEnemy = (from, foe) => {
+    for (let i = from; i < events.length; i++) {
+      if (events[i].enemyIndex == null) events[i].enemyIndex = foe.index;
+    }
+  };
+  // Requested enemy if still standing, else the first living one (null when all are down).
+  // While any living enemy has Taunt, single attacks must go to a taunting enemy.
+  const resolveTarget = (requested) => {
+    const idx = requested == null || requested === '' ? NaN : Number(requested);
+    const taunting = livingFoes().filter(f => hasEffect(f.buckets, 'Taunt'));
+    if (taunting.length && !taunting.some(f => f.index === idx)) return taunting[0].index;
+    if (Number.isInteger(idx) && foes[idx] && alive(foes[idx])) return idx;
+    const first = livingFoes()[0];
+    return first ? first.index : null;
+  };
+
+  log('[REQ][TURN]', {
+    sessionId: state._id ? String(state._id) : null,
+    turn: state.turn,
+    action,
+    selectedCards: selectedIds,
+    target: defaultTarget,
+  });
+
+  // [STATE][LOAD] — what server loaded as persistent state
+  {
+    const snap = (map) => Array.from(map.entries()).map(([k,e]) => `${k}[${e.remaining}]`).join(', ');
+    const fieldSnap = (list) => list.map(f => `${f.card?.name}#${f.instanceId}(tRem=${f.turnsRemaining})`);
+    log('[STATE][LOAD]', {
+      effectsPlayer: snap(playerBucket),
+      effectsEnemies: foes.map(f => snap(f.buckets)),
+      onFieldIn: {
+        player: fieldSnap(playerField),
+        enemies: foes.map(f => fieldSnap(f.field)),
+      }
+    });
+  }
+
+  // Apply UI retarget choices early. Player field cards may also switch enemy via
+  // targetRef.enemyIndex; enemy field cards are addressed with ch.enemyIndex.
+  for (const ch of arr(retargetChoices)) {
+    if (!ch) continue;
+    if (ch.owner === 'enemy') {
+      const foe = foes[Number(ch.enemyIndex) || 0];
+      const fc = foe?.field.find(f => String(f.instanceId) === String(ch.instanceId));
+      if (fc) fc.targetRef = ch.targetRef;
+      continue;
+    }
+    const fc = playerField.find(f => String(f.instanceId) === String(ch.instanceId));
+    if (!fc) continue;
+    fc.targetRef = ch.targetRef; // { kind:'character' | 'field', side:'player'|'enemy', instanceId?, enemyIndex? }
+    if (Number.isInteger(ch.targetRef?.enemyIndex)) fc.targetIndex = ch.targetRef.enemyIndex;
+  }
+
+  let playerHp = playerStats.hp;
+  let playerSp = playerStats.sp;
+
+  // Condition facts (engine/conditions.js) for the player vs `foe` pairing, read when called
+  const turnNo = Number(state.turn || 0) + 1;
+  let playerPlayed = 0;
+  const activeTypes = (bucket) => Array.from(bucket.values()).filter(e => e.remaining > 0).map(e => e.type);
+  const factsFor = (foe) => ({
+    turn: turnNo,
+    player: {
+      hp: playerHp, maxHp: playerMaxHp, sp: playerSp,
+      effects: activeTypes(playerBucket), fieldCount: playerField.length, cardsPlayed: playerPlayed,
+    },
+    enemy: {
+      hp: foe.hp, maxHp: foe.maxHp, sp: foe.sp,
+      effects: activeTypes(foe.buckets), fieldCount: foe.field.length, cardsPlayed: foe.played,
+    },
+  });
+
+  // Ability triggers (see dispatchTrigger). Side-wide triggers fire from the cards a side
+  // holds in hand or has on the field; onHit/onDodged/onKill from the attacking card.
+  // Effects of a trigger never set off further triggers, and a side that is down fires none.
+  let dispatching = false;
+  const fieldCards = (list) => list.map(fc => ({ ...fc.card, instanceId: fc.instanceId }));
+  // Enemy the player's side-wide triggers aim at (the default target, Taunt aware)
+  const playerFocus = () => foes[resolveTarget(defaultTarget) ?? 0];
+  const fire = (trigger, owner, foe, cards = null) => {
+    if (!foe || dispatching) return;
+    if ((owner === 'player' ? playerHp : foe.hp) <= 0) return;
+    const sources = cards || (owner === 'player'
+      ? [...oldPlayerHand, ...fieldCards(playerField)]
+      : [...foe.hand, ...fieldCards(foe.field)]);
+    if (!sources.length) return;
+    dispatching = true;
+    const from = events.length;
+    const { instantDeath } = dispatchTrigger({
+      trigger, owner, cards: sources,
+      buckets: bucketsFor(foe),
+      ownerStats: owner === 'player' ? playerStats : foe.stats,
+      resistances: { enemy: foe.resistances },
+      facts: factsFor(foe),
+      rng,
+      events
+    });
+    if (instantDeath && owner === 'player') foe.hp = reviveSide('enemy', foe, 0);
+    if (instantDeath && owner === 'enemy') playerHp = reviveSide('player', foe, 0);
+    tagEnemy(from, foe);
+    dispatching = false;
+  };
+  // applyRevive for one side of a pairwise view, then its onRevive triggers
+  const reviveSide = (side, foe, hp) => {
+    const maxHp = side === 'player' ? playerMaxHp : foe.maxHp;
+    const after = applyRevive({ side, hp, buckets: bucketsFor(foe), maxHp, events });
+    if (hp <= 0 && after > 0) fire('onRevive', side, foe);
+    return after;
+  };
+
+  // Thorns: the defender ('enemy' = foe, or 'player') sends part of `taken` back
+  const reflectThorns = (foe, defender, taken) => {
+    const amount = thornsDamage(defender === 'enemy' ? foe.buckets : playerBucket, taken);
+    if (!amount) return;
+    if (defender === 'enemy') {
+      playerHp = Math.max(0, playerHp - amount);
+      emit(events, 'damage', { side: 'enemy', target: 'player', amount, source: 'thorns', hp: playerHp });
+      playerHp = reviveSide('player', foe, playerHp);
+    } else {
+      foe.hp = Math.max(0, foe.hp - amount);
+      emit(events, 'damage', { side: 'player', target: 'enemy', amount, source: 'thorns', hp: foe.hp });
+      foe.hp = reviveSide('enemy', foe, foe.hp);
+    }
+  };
+  // `attacker`'s `cards` landed for `taken` damage (the other side had `hpBefore`): Thorns,
+  // then onHit → onDamaged → onKill triggers. Revive/onRevive follow at the call site.
+  const afterHits = (attacker, foe, cards, taken, hpBefore) => {
+    const defender = attacker === 'player' ? 'enemy' : 'player';
+    reflectThorns(foe, defender, taken);
+    fire('onHit', attacker, foe, cards);
+    if (taken > 0) fire('onDamaged', defender, foe);
+    const hp = defender === 'enemy' ? foe.hp : playerHp;
+    if (hpBefore > 0 && hp <= 0) fire('onKill', attacker, foe, cards);
+  };
+
+  let playerBuffDef = 0;
+  let message   = '';
+  let defendUsed = false;
+  // NEW: collect prompts to return to UI
+  const retargetPrompts = [];
+
+  // Player on-field activations (skip if frozen)
+  const playerFrozenPersist = Array.from(playerBucket.values()).some(
+    e => e.type === 'Freeze' && e.remaining > 0
+  );
+  if (playerFrozenPersist) log('[FREEZE][GATE] player main action is frozen (remaining > 0)');
+
+  fire('turnStart', 'player', playerFocus());
+
+  /* =========================
+     Process existing Player on-field hits (start of player turn)
+     ========================= */
+  {
+    const nextField = [];
+    const expired = [];
+    for (const fc of playerField) {
+      const targets = fc.aoe
+        ? livingFoes().map(f => f.index)
+        : [resolveTarget(fc.targetIndex)].filter(i => i != null);
+      if (!targets.length) { nextField.push(fc); continue; } // nobody left to hit
+
+      targets.forEach((ti, n) => {
+        const foe = foes[ti];
+        const from = events.length;
+        // An AoE card advances once; extra targets only add their hits/effects
+        const scratch = n === 0 ? events : [];
+        const pf = processFieldHits({
+          sideKey: 'player',
+          onField: { player: [fc], enemy: foe.field },
+          attackerBase: playerStats,
+          defenderBase: foe.stats,
+          buckets: bucketsFor(foe),
+          retargetPrompts: n === 0 ? retargetPrompts : [],
+          resistances: foe.resistances,
+          facts: factsFor(foe),
+          rng,
+          events: scratch
+        });
+        log('[FIELD][RET]', { side: 'player', enemy: ti, damageDone: pf.damageDone, expired: pf.expired?.player?.length || 0 });
+        if (n === 0) {
+          nextField.push(...pf.onField.player);
+          expired.push(...arr(pf.expired?.player));
+        } else {
+          for (const { seq, type, ...data } of scratch) {
+            if (type !== 'field_expired') emit(events, type, data);
+          }
+        }
+        const hpBefore = foe.hp;
+        if (pf.damageDone > 0) {
+          foe.hp = Math.max(0, foe.hp - pf.damageDone);
+          emit(events, 'damage', { side: 'player', target: 'enemy', amount: pf.damageDone, source: 'field', hp: foe.hp });
+        }
+        if (events.slice(from).some(e => e.type === 'field_fired')) {
+          afterHits('player', foe, fieldCards([fc]), pf.damageDone, hpBefore);
+        }
+        foe.hp = reviveSide('enemy', foe, foe.hp);
+        tagEnemy(from, foe);
+      });
+    }
+    playerField = nextField;
+    // recycle expired on-field snapshots back to deck (or discard)
+    if (expired.length) {
+      // Rebuild proper deck cards from field snapshots
+      const returned = expired.map(fc => ({ ...fc.card, instanceId: fc.instanceId }));
+      if (discarding) playerDiscard = [...playerDiscard, ...returned];
+      else playerDeck = [...playerDeck, ...returned];
+      log(`[FIELD][RECYCLE] player +${expired.length} → ${discarding ? 'discard' : 'deck'}`);
+    }
+  }
+
+  /* =========================
+     PLAYER TURN main action
+     ========================= */
+
+  const playedPlayerCards = selectedIds.map(iid => handById.get(iid));
+  const playedPlayerCardsIds = new Set(playedPlayerCards.map(c => String(c.instanceId)));
+  const playerCards = playedPlayerCards;
+  // instanceId -> enemy index the card's Single attack goes to
+  const targetOf = new Map(playerCards.map(c => {
+    const iid = String(c.instanceId);
+    return [iid, resolveTarget(targetMap[iid] ?? defaultTarget)];
+  }));
+
+  const totalPlayerSpCost = playerCards.reduce((sum, card) => {
+    const cost = (typeof card.spCost === 'number') ? card.spCost : 0;
+    return sum + cost;
+  }, 0);
+
+  // Forced skip if frozen (no SP change)
+  if (playerFrozenPersist) {
+    log('[FREEZE][AUTOSKIP]', { owner: 'player' });
+    log('[FREEZE][GATE]', { owner: 'player', blockedAction: action });
+    message = 'You are frozen and cannot act this turn.';
+    emit(events, 'action', { side: 'player', action: 'frozen' });
+  } else if (action === 'play') {
+    if (totalPlayerSpCost > playerSp) {
+      return { error: { status: 400, message: 'Not enough SP to play selected cards.' } };
+    }
+    if (hasEffect(playerBucket, 'Silence') && !playerCards.every(isAttackCard)) {
+      return { error: { status: 400, message: 'You are silenced: only attack cards can be played.' } };
+    }
+    emit(events, 'action', { side: 'player', action: 'play' });
+    playerPlayed = playerCards.length;
+    for (const card of playerCards) {
+      emit(events, 'card_played', {
+        side: 'player', card: cardRef(card), spCost: Number(card.spCost) || 0,
+        target: cardHitsAll(card) ? 'all' : targetOf.get(String(card.instanceId)),
+      });
+    }
+
+    // add card-level defense to this turn
+    for (const card of playerCards) {
+      if (typeof card.defense === 'number' && !isNaN(card.defense)) {
+        playerBuffDef += card.defense;
+      }
+    }
+
+    // What each living enemy faces: full cards aimed at it, AoE parts of the rest.
+    // Targeted enemies resolve first so the player's new self-buffs reach AoE bystanders.
+    const views = livingFoes()
+      .map(foe => ({
+        foe,
+        targeted: playerCards.some(c => targetOf.get(String(c.instanceId)) === foe.index),
+        cards: playerCards.map(card => {
+          if (targetOf.get(String(card.instanceId)) === foe.index) return { card, hits: true };
+          const shared = aoeShareOf(card);
+          return (cardHitsAll(card) || shared.abilities.length) ? { card: shared, hits: cardHitsAll(card) } : null;
+        }).filter(Boolean),
+      }))
+      .filter(v => v.cards.length)
+      .sort((a, b) => Number(b.targeted) - Number(a.targeted));
+
+    let negationHandled = false;
+    let totalNetDamageToEnemies = 0;
+    for (const { foe, cards: viewCards } of views) {
+      const from = events.length;
+      const buckets = bucketsFor(foe);
+      const cards = viewCards.map(v => v.card);
+
+      // Build temp stats & context
+      const playerTempStats = { ...playerStats };
+      const enemyTempStats  = { ...foe.stats };
+      const ctx = { player: emptyCtxSide(), enemy: emptyCtxSide() };
+
+      // apply carryover persistent effects
+      applyPersistentToContext({ sideKey: 'player', buckets, tempStats: playerTempStats, ctx });
+      applyPersistentToContext({ sideKey: 'enemy',  buckets, tempStats: enemyTempStats,  ctx });
+
+      // PRE-DAMAGE: apply new abilities & merge persistent (attack-linked are deferred)
+      const attackLinkedMap = new Map(); // instanceId -> [{card,ability,owner,target}]
+      applyAbilityPreDamagePhase({
+        attackerBase: playerStats, defenderBase: foe.stats,
+        attackerTemp: playerTempStats, defenderTemp: enemyTempStats,
+        attackerCards: cards, defenderCards: [],
+        context: ctx,
+        buckets,
+        sourceKey: 'player',
+        targetKey: 'enemy',
+        attackLinkedOut: attackLinkedMap,
+        resistances: { enemy: foe.resistances },
+        facts: factsFor(foe),
+        rng,
+        events
+      });
+
+      // Handle Ability Negation targeting on-field (once per round; enemy cards by enemyIndex)
+      if (negationTarget && !negationHandled) {
+        negationHandled = true;
+        const trgOwner = (negationTarget.owner === 'player' || negationTarget.owner === 'enemy') ? negationTarget.owner : 'enemy';
+        const instanceId = String(negationTarget.instanceId);
+        const owner = trgOwner === 'enemy' ? (foes[Number(negationTarget.enemyIndex)] || foe) : null;
+        const list = owner ? owner.field : playerField;
+        const negated = list.find(fc => String(fc.instanceId) === instanceId);
+        if (owner) owner.field = owner.field.filter(fc => String(fc.instanceId) !== instanceId);
+        else playerField = playerField.filter(fc => String(fc.instanceId) !== instanceId);
+        if (negated) {
+          emit(events, 'field_expired', {
+            side: trgOwner, card: cardRef({ ...negated.card, instanceId }), reason: 'negated',
+            ...(owner ? { enemyIndex: owner.index } : {}),
+          });
+        }
+      }
+
+      // INSTANT DEATH (player → enemy), before damage, with INT (from perCard flags)
+      for (const card of cards) {
+        const per = ctx.player.perCard.get(String(card.instanceId));
+        if (!per) continue;
+        if (per.instantDeath && !ctx.enemy.abilityShield.active) {
+          const ab = per.instantDeath;
+          const res = abilityResistance(foe.resistances, 'Instant Death');
+          if (res.immune) continue; // already reported by the pre-damage phase
+          const base = clamp((ab.activationChance ?? 100) + ctx.player.chanceUp - ctx.enemy.chanceDown, 0, 100);
+          const finalChance = intMult(base, playerTempStats.intelligence);
+          const chance = finalChance * res.chanceMultiplier;
+          const outcome = rollAgainst(finalChance, res, rng);
+          if (outcome === 'hit') {
+            const wasAlive = foe.hp > 0;
+            foe.hp = 0;
+            emit(events, 'instant_death', { side: 'player', target: 'enemy', card: cardRef(card), chance });
+            if (wasAlive) fire('onKill', 'player', foe, [card]);
+          } else if (outcome === 'resisted') {
+            emit(events, 'resisted', { side: 'player', target: 'enemy', card: cardRef(card), ability: ab.key, abilityType: ab.type, kind: 'ability', chance, multiplier: res.chanceMultiplier });
+          } else {
+            emit(events, 'ability_failed', { side: 'player', card: cardRef(card), ability: ab.key, abilityType: ab.type, chance });
+          }
+        }
+      }
+      foe.hp = reviveSide('enemy', foe, foe.hp);
+
+      // DAMAGE (respect Guard, Durability Negation (incl. attack-linked), Dodge and resistances)
+      const dnImmune = abilityResistance(foe.resistances, 'Durability Negation').immune;
+      let totalNetDamageToEnemy = 0;
+      const landed = []; // full played cards (not AoE shares) for onHit/onKill triggers
+      for (const { card, hits } of viewCards) {
+        if (!hits) continue;
+        const played = handById.get(String(card.instanceId)) || card;
+        const types = getTypes(card);
+        if (!types.includes('Physical') && !types.includes('Supernatural')) continue;
+
+        // Durability Negation either explicit flag OR via attack-linked abilities that include DN
+        const per = ctx.player.perCard.get(String(card.instanceId));
+        let bypassGuard = per?.durabilityNegation === true && !dnImmune;
+
+        const attackLinkedList = attackLinkedMap.get(String(card.instanceId)) || [];
+        if (!bypassGuard && attackLinkedList.length) {
+          if (attackLinkedList.some(x => x.ability.type === 'Durability Negation')) {
+            bypassGuard = true;
+          }
+        }
+
+        const guardActive = ctx.enemy.guard.active;
+        if (guardActive && !bypassGuard) {
+          emit(events, 'guard_block', { side: 'player', target: 'enemy', card: cardRef(card) });
+          continue;
+        }
+        if (willDodge(playerTempStats, enemyTempStats, ctx, 'player', 'enemy', rng)) {
+          emit(events, 'dodge', { side: 'player', target: 'enemy', card: cardRef(card) });
+          fire('onDodged', 'player', foe, [played]);
+          continue;
+        }
+        if (bypassGuard) emit(events, 'durability_negation', { side: 'player', target: 'enemy', card: cardRef(card), guardBypassed: guardActive });
+
+        const potency = Number(card.potency) || 0;
+        const powerStat = types.includes('Physical')
+          ? (Number(playerTempStats.physicalPower) || 0)
+          : (Number(playerTempStats.supernaturalPower) || 0);
+
+        const effAtkPow = Number(playerTempStats.attackPower) || 0;
+        const rawDamage = (potency + powerStat) * effAtkPow;
+
+        const defenderDurability = bypassGuard ? 0 : (Number(enemyTempStats.durability) || 0);
+        const defenderPowerStat = types.includes('Physical')
+          ? (Number(enemyTempStats.physicalPower) || 0)
+          : (Number(enemyTempStats.supernaturalPower) || 0);
+        const effDefenseEnemy = ((defenderDurability) * defenderPowerStat) / 2;
+
+        const damageType = types.includes('Physical') ? 'Physical' : 'Supernatural';
+        const mult = damageMultiplier(foe.resistances, types);
+        if (mult === 0) {
+          emit(events, 'immune', { side: 'player', target: 'enemy', card: cardRef(card), kind: 'damage', damageType });
+          continue;
+        }
+        if (mult < 1) emit(events, 'resisted', { side: 'player', target: 'enemy', card: cardRef(card), kind: 'damage', damageType, multiplier: mult });
+
+        const netDamage = Math.max(rawDamage - effDefenseEnemy, 0) * mult;
+        totalNetDamageToEnemy += isNaN(netDamage) ? 0 : netDamage;
+        emit(events, 'damage', {
+          side: 'player', target: 'enemy', amount: isNaN(netDamage) ? 0 : netDamage, source: 'card', card: cardRef(card),
+          ...(mult !== 1 ? { multiplier: mult } : {}),
+        });
+        landed.push(played);
+      }
+
+      const hpBefore = foe.hp;
+      foe.hp = Math.max(0, foe.hp - totalNetDamageToEnemy);
+      totalNetDamageToEnemies += totalNetDamageToEnemy;
+      if (landed.length) afterHits('player', foe, landed, totalNetDamageToEnemy, hpBefore);
+      foe.hp = reviveSide('enemy', foe, foe.hp);
+      tagEnemy(from, foe);
+    }
+
+    // spend SP
+    playerSp -= totalPlayerSpCost;
+
+    message = (totalNetDamageToEnemies > 0)
+      ? `You dealt ${Math.floor(totalNetDamageToEnemies)} damage.`
+      : 'No damage dealt this turn.';
+
+  } else if (action === 'skip' || action === 'defend') {
+    // New mechanics will manage piles below; keep only SP/message/flags here.
+    emit(events, 'action', { side: 'player', action });
+    if (action === 'skip') {
+      playerSp = Math.min(playerStats.maxSp, playerSp + rules.spOnSkip);
+      message = `Skipped turn. +${rules.spOnSkip} SP recovered.`;
+    } else {
+      playerSp = Math.min(playerStats.maxSp, playerSp + rules.spOnDefend);
+      defendUsed = true;
+      message = `Defended. +${rules.spOnDefend} SP and damage received halved.`;
+    }
+  }
+  // Helper: does this card have an active Multi-Hit?
+  const hasMultiHit = (card) =>
+    (getAbilities(card) || []).some(a => a.type === 'Multi-Hit' && a.multiHit?.turns > 0);
+
+  // --- RETURN CARDS LOGIC (new) ---
+  let newPlayerHand    = [...oldPlayerHand];
+  let newPlayerDeck    = [...playerDeck];
+  let newPlayerDiscard = [...playerDiscard];
+  let playedWithMHThisTurn = [];
+
+  try {
+    if (action === 'play') {
+      // Which cards were played this turn?
+      const played = oldPlayerHand.filter(c => playedPlayerCardsIds.has(String(c.instanceId)));
+      const playedNoMH  = played.filter(c => !hasMultiHit(c));
+      const playedWithMH = played.filter(c =>  hasMultiHit(c));
+
+      // Remove all played cards from hand
+      let h = oldPlayerHand.filter(c => !playedPlayerCardsIds.has(String(c.instanceId)));
+
+      // Only NON-Multi-Hit cards go back to the deck (or the discard pile)
+      newPlayerHand = h;
+      if (discarding) newPlayerDiscard = [...playerDiscard, ...playedNoMH];
+      else newPlayerDeck = [...playerDeck, ...playedNoMH];
+
+      // Stash the Multi-Hit we’ll schedule in the next step
+      playedWithMHThisTurn = playedWithMH;
+
+      log('[PILE][PLAY] return -> deck (non-MH):', playedNoMH.length, '| schedule MH:', playedWithMH.length);
+    } else if (action === 'defend') {
+      // NOTHING returns
+      log('[PILE][DEFEND] no-op (keep hand)');
+    } else if (action === 'skip') {
+      // ENTIRE hand returns to deck (or the discard pile)
+      const { remain, dest } = moveCards(
+        newPlayerHand,
+        discarding ? newPlayerDiscard : newPlayerDeck,
+        _c => true
+      );
+      newPlayerHand = remain; // becomes []
+      if (discarding) newPlayerDiscard = dest;
+      else newPlayerDeck = dest;
+      log('[PILE][SKIP] hand ->', discarding ? 'discard' : 'deck');
+    } else {
+      log('[PILE][OTHER] action=', action);
+    }
+  } catch (e) {
+    console.error('[PILE][ERR]', e);
+    throw e; // surface as 500 with our label
+  }
+
+  // --- DRAW up to rules.handSize (at most drawPerTurn; an empty deck reshuffles the discard) ---
+  {
+    const drawn = drawUpToHand(newPlayerHand, newPlayerDeck, newPlayerDiscard, [], rules.handSize, rng, drawLimit);
+    newPlayerHand    = drawn.newHand;
+    newPlayerDeck    = drawn.newDeck;
+    newPlayerDiscard = drawn.newDiscard;
+  }
+
+  // write back piles into variables used later/response
+  oldPlayerHand = newPlayerHand;
+  playerDeck    = newPlayerDeck;
+  playerDiscard = newPlayerDiscard;
+
+  // --- schedule player's multi-hit cards to the field (if any) ---
+  const existingIds = new Set(playerField.map(f => String(f.instanceId)));
+  const mhToSchedule = playedWithMHThisTurn.filter(c => !existingIds.has(String(c.instanceId)));
+
+  const capacity = Math.max(0, rules.maxFieldSlots - playerField.length);
+  const toAdd = mhToSchedule.slice(0, capacity);
+  const overflow = mhToSchedule.slice(capacity);
+
+  // Add field snapshots (remembering which enemy, or all of them, later hits go to)
+  for (const c of toAdd) {
+    const snap = makeFieldCard('player', c, rng);
+    if (snap) {
+      snap.aoe = multiHitHitsAll(c);
+      snap.targetIndex = snap.aoe ? null : targetOf.get(String(c.instanceId));
+      playerField = [...playerField, snap];
+      emit(events, 'field_scheduled', {
+        side: 'player', card: cardRef(c), turns: snap.turnsRemaining,
+        target: snap.aoe ? 'all' : snap.targetIndex,
+      });
+    }
+  }
+
+  // Anything that couldn't fit goes back to the deck/discard (so we don’t lose the card)
+  if (overflow.length) {
+    if (discarding) playerDiscard = [...playerDiscard, ...overflow];
+    else playerDeck = [...playerDeck, ...overflow];
+    log('[FIELD][CAP] player overflow', overflow.length, '→ returned to', discarding ? 'discard' : 'deck');
+  }
+
+  if (livingFoes().length) fire('turnEnd', 'player', playerFocus());
+
+  /* =========================
+     ENEMY TURNS (each living enemy, in order)
+     ========================= */
+  const enemyTurn = (foe) => {
+    const enemyStats = foe.stats;
+    const buckets = bucketsFor(foe);
+    foe.buffDef = 0;
+    foe.played = 0;
+
+    // Enemy on-field activations (always run; Freeze only blocks enemy main action)
+    const enemyFrozenPersist = Array.from(foe.buckets.values()).some(
+      e => e.type === 'Freeze' && e.remaining > 0
+    );
+    if (enemyFrozenPersist) log('[FREEZE][GATE] enemy main action is frozen (remaining > 0)', { enemy: foe.index });
+
+    const fieldBefore = fieldCards(foe.field);
+    const fieldFrom = events.length;
+    const ef = processFieldHits({
+      sideKey: 'enemy',
+      onField: { player: playerField, enemy: foe.field },
+      attackerBase: enemyStats,
+      // Defense from your played cards applies when YOU are the defender
+      defenderBase: { ...playerStats, durability: (playerStats.durability || 0) + (playerBuffDef || 0) },
+      buckets,
+      retargetPrompts,
+      facts: factsFor(foe),
+      events
+    });
+    log('[FIELD][RET]', { side: 'enemy', enemy: foe.index, damageDone: ef.damageDone, expired: ef.expired?.enemy?.length || 0 });
+    foe.field = ef.onField.enemy;
+    const firedIds = new Set(events.slice(fieldFrom).filter(e => e.type === 'field_fired').map(e => e.card?.instanceId));
+    const hpBeforeField = playerHp;
+    if (ef.damageDone > 0) {
+      playerHp = Math.max(0, playerHp - ef.damageDone);
+      emit(events, 'damage', { side: 'enemy', target: 'player', amount: ef.damageDone, source: 'field', hp: playerHp });
+    }
+    if (firedIds.size) {
+      afterHits('enemy', foe, fieldBefore.filter(c => firedIds.has(String(c.instanceId))), ef.damageDone, hpBeforeField);
+    }
+    if (ef.damageDone > 0) playerHp = reviveSide('player', foe, playerHp);
+    // recycle expired on-field snapshots back to deck
+    if (ef.expired?.enemy?.length) {
+      const returnedE = ef.expired.enemy.map(fc => ({ ...fc.card, instanceId: fc.instanceId }));
+      if (discarding) foe.discard = [...foe.discard, ...returnedE];
+      else foe.deck = [...foe.deck, ...returnedE];
+      log(`[FIELD][RECYCLE] enemy#${foe.index} +${ef.expired.enemy.length} → ${discarding ? 'discard' : 'deck'}`);
+    }
+
+    // Silenced enemies only consider attack cards
+    const enemySilenced = hasEffect(foe.buckets, 'Silence');
+    const enemyHandForAI = foe.hand.filter(c => c && (!enemySilenced || isAttackCard(c)));
+
+    // [AI][HAND] — final enemy hand snapshot before AI
+    log('[AI][HAND]', {
+      enemy: foe.index,
+      handSize: enemyHandForAI.length,
+      hand: enemyHandForAI.map(c => `${c?.name || 'Card'}#${c?.instanceId ?? '?'}`),
+      sp: foe.sp,
+      hp: foe.hp
+    });
+
+    // Carry out the telegraphed intent; replan when its cards can no longer be played
+    const intended = () => {
+      const intent = foe.intent;
+      if (!intent) return null;
+      if (intent.action !== 'play') return { action: intent.action, cards: [] };
+      const byIid = new Map(enemyHandForAI.map(c => [String(c.instanceId), c]));
+      const cards = arr(intent.cards).map(c => byIid.get(String(c.instanceId)));
+      const cost = cards.reduce((sum, c) => sum + (Number(c?.spCost) || 0), 0);
+      if (cards.some(c => !c) || cost > foe.sp) {
+        emit(events, 'intent_changed', { side: 'enemy', reason: 'unplayable' });
+        return null;
+      }
+      return { action: 'play', cards };
+    };
+    const { action: enemyAction, cards: enemyPlayableCards = [] } =
+      enemyFrozenPersist
+        ? { action: 'frozen', cards: [] }
+        : (intended() || chooseEnemyAction(enemyStats, foe.sp, foe.hp, foe.maxHp, enemyHandForAI, foe.aiConfig, rng));
+    foe.intent = null;
+    // Normalize AI picks to actual card objects and drop any falsy
+    const _enemyPlayableCardsSAFE = (enemyPlayableCards || [])
+      .map(x => (x && typeof x === 'object')
+        ? x
+        : foe.hand.find(c => String(c.instanceId) === String(x)))
+      .filter(Boolean);
+
+    // [AI][DECIDE] — include reason context
+    const handPlayableCount = enemyHandForAI.filter(c => (c?.spCost ?? 0) <= foe.sp).length;
+    log('[AI][DECIDE]', {
+      enemy: foe.index,
+      enemyAction,
+      picks: _enemyPlayableCardsSAFE.map(c => `${c.name}#${c.instanceId}`),
+      reason: {
+        sp: foe.sp,
+        frozen: !!enemyFrozenPersist,
+        handPlayable: handPlayableCount,
+        deckCount: foe.deck.length
+      }
+    });
+
+    // Rotate the whole hand back into the deck (or discard) and redraw (frozen / skip / defend)
+    const rotateHand = () => {
+      if (discarding) {
+        foe.discard = [...foe.discard, ...foe.hand];
+      } else {
+        foe.deck = [...foe.deck, ...foe.hand];
+        foe.discard = [];
+      }
+      foe.hand = [];
+      const drawRes = drawUpToHand(foe.hand, foe.deck, foe.discard, [], rules.enemyHandSize, rng, drawLimit);
+      foe.hand    = drawRes.newHand;
+      foe.deck    = drawRes.newDeck;
+      foe.discard = drawRes.newDiscard;
+    };
+
+    if (enemyAction === 'play' && _enemyPlayableCardsSAFE.length > 0) {
+      log('[AI][PLAY]', _enemyPlayableCardsSAFE.map(c => c.name));
+      emit(events, 'action', { side: 'enemy', action: 'play' });
+      foe.played = _enemyPlayableCardsSAFE.length;
+      for (const card of _enemyPlayableCardsSAFE) emit(events, 'card_played', { side: 'enemy', card: cardRef(card), spCost: Number(card.spCost) || 0 });
+
+      // enemy card-level defense
+      for (const card of _enemyPlayableCardsSAFE) {
+        if (typeof card.defense === 'number' && !isNaN(card.defense)) {
+          foe.buffDef += card.defense;
+        }
+      }
+
+      // enemy PRE-DAMAGE
+      const enemyTempStats  = { ...enemyStats };
+      const playerTempStats = { ...playerStats };
+      const ctx = { enemy: emptyCtxSide(), player: emptyCtxSide() };
+
+      // apply persistent carryover
+      applyPersistentToContext({ sideKey: 'enemy',  buckets, tempStats: enemyTempStats,  ctx });
+      applyPersistentToContext({ sideKey: 'player', buckets, tempStats: playerTempStats, ctx });
+
+      // PRE-DMG (attack-linked deferred)
+      const attackLinkedMapE = new Map();
+      applyAbilityPreDamagePhase({
+        attackerBase: enemyStats, defenderBase: playerStats,
+        attackerTemp: enemyTempStats, defenderTemp: playerTempStats,
+        attackerCards: _enemyPlayableCardsSAFE, defenderCards: [],
+        context: ctx,
+        buckets,
+        sourceKey: 'enemy',
+        targetKey: 'player',
+        attackLinkedOut: attackLinkedMapE,
+        facts: factsFor(foe),
+        rng,
+        events
+      });
+
+      // INSTANT DEATH (enemy → player), with INT
+      for (const card of _enemyPlayableCardsSAFE) {
+        const per = ctx.enemy.perCard.get(String(card.instanceId));
+        if (!per) continue;
+        if (per.instantDeath && !ctx.player.abilityShield.active) {
+          const ab = per.instantDeath;
+          const base = clamp((ab.activationChance ?? 100) + ctx.enemy.chanceUp - ctx.player.chanceDown, 0, 100);
+          const finalChance = intMult(base, enemyTempStats.intelligence);
+          if (roll(finalChance, rng)) {
+            const wasAlive = playerHp > 0;
+            playerHp = 0;
+            emit(events, 'instant_death', { side: 'enemy', target: 'player', card: cardRef(card), chance: finalChance });
+            if (wasAlive) fire('onKill', 'enemy', foe, [card]);
+          } else {
+            emit(events, 'ability_failed', { side: 'enemy', card: cardRef(card), ability: ab.key, abilityType: ab.type, chance: finalChance });
+          }
+        }
+      }
+      playerHp = reviveSide('player', foe, playerHp);
+
+      // Spend enemy SP
+      const totalEnemySpCost = _enemyPlayableCardsSAFE.reduce((sum, card) => {
+        const cost = (typeof card.spCost === 'number') ? card.spCost : 0;
+        return sum + cost;
+      }, 0);
+      foe.sp -= totalEnemySpCost;
+
+      // Enemy DAMAGE (respect Guard, Durability Negation)
+      let totalNetDamageToPlayer = 0;
+      const landed = [];
+      for (const card of _enemyPlayableCardsSAFE) {
+        const types = getTypes(card);
+        if (!types.includes('Physical') && !types.includes('Supernatural')) continue;
+
+        const per = ctx.enemy.perCard.get(String(card.instanceId));
+        let bypassGuard = per?.durabilityNegation === true;
+
+        const attackLinkedList = attackLinkedMapE.get(String(card.instanceId)) || [];
+        if (!bypassGuard && attackLinkedList.length) {
+          if (attackLinkedList.some(x => x.ability.type === 'Durability Negation')) {
+            bypassGuard = true;
+          }
+        }
+
+        const guardActive = ctx.player.guard.active;
+        if (guardActive && !bypassGuard) {
+          emit(events, 'guard_block', { side: 'enemy', target: 'player', card: cardRef(card) });
+          continue;
+        }
+        if (willDodge(enemyTempStats, playerTempStats, ctx, 'enemy', 'player', rng)) {
+          emit(events, 'dodge', { side: 'enemy', target: 'player', card: cardRef(card) });
+          fire('onDodged', 'enemy', foe, [card]);
+          continue;
+        }
+        if (bypassGuard) emit(events, 'durability_negation', { side: 'enemy', target: 'player', card: cardRef(card), guardBypassed: guardActive });
+
+        const potency = Number(card.potency) || 0;
+        const powerStat = types.includes('Physical')
+          ? (Number(enemyTempStats.physicalPower) || 0)
+          : (Number(enemyTempStats.supernaturalPower) || 0);
+
+        const effAtkPow = Number(enemyTempStats.attackPower) || 0;
+        const rawDamage = (potency + powerStat) * effAtkPow;
+
+        const defenderDurability = bypassGuard ? 0 : ((Number(playerTempStats.durability) || 0) + (playerBuffDef || 0));
+        const defenderPowerStat = types.includes('Physical')
+          ? (Number(playerTempStats.physicalPower) || 0)
+          : (Number(playerTempStats.supernaturalPower) || 0);
+        const effDefensePlayer = ((defenderDurability) * defenderPowerStat) / 2;
+
+        const netDamage = Math.max(rawDamage - effDefensePlayer, 0);
+        totalNetDamageToPlayer += isNaN(netDamage) ? 0 : netDamage;
+        emit(events, 'damage', { side: 'enemy', target: 'player', amount: isNaN(netDamage) ? 0 : netDamage, source: 'card', card: cardRef(card) });
+        landed.push(card);
+      }
+
+      const hpBeforeCards = playerHp;
+      playerHp = Math.max(0, playerHp - totalNetDamageToPlayer);
+      if (landed.length) afterHits('enemy', foe, landed, totalNetDamageToPlayer, hpBeforeCards);
+
+      // --- Schedule enemy Multi-Hit cards onto its field (no re-adding the same instanceId)
+      {
+        const existingE = new Set(foe.field.map(fc => String(fc.instanceId)));
+        for (const card of _enemyPlayableCardsSAFE) {
+          if (!hasMultiHit(card)) continue;
+          if (foe.field.length >= rules.maxFieldSlots) break;
+          const iid = String(card.instanceId);
+          if (existingE.has(iid)) continue;
+          const fieldCard = makeFieldCard('enemy', card, rng);
+          if (fieldCard) {
+            foe.field.push(fieldCard);
+            existingE.add(iid);
+            emit(events, 'field_scheduled', { side: 'enemy', card: cardRef(card), turns: fieldCard.turnsRemaining });
+            log('[FIELD][ADD] owner=enemy#%s card="%s" iid=%s turns=%s',
+              foe.index,
+              card?.name ?? 'Card',
+              fieldCard.instanceId,
+              fieldCard.turnsRemaining
+            );
+          }
+        }
+      }
+      // ---- Return played enemy cards to bottom of deck or the discard (non–Multi-Hit only)
+      const playedEnemyCardIds = new Set(_enemyPlayableCardsSAFE.map(c => String(c.instanceId)));
+      const toDeckE = foe.hand.filter(c => playedEnemyCardIds.has(String(c.instanceId)) && !hasMultiHit(c));
+      if (discarding) foe.discard = [...foe.discard, ...toDeckE];
+      else foe.deck = [...foe.deck, ...toDeckE];
+
+      // Remove the just-played cards (both the fielded and the ones returned to deck) from hand
+      foe.hand = foe.hand.filter(c => !playedEnemyCardIds.has(String(c.instanceId)));
+
+      // Draw back up to rules.enemyHandSize
+      const enemyDrawRes = drawUpToHand(foe.hand, foe.deck, foe.discard, [], rules.enemyHandSize, rng, drawLimit);
+      foe.hand    = enemyDrawRes.newHand;
+      foe.deck    = enemyDrawRes.newDeck;
+      foe.discard = enemyDrawRes.newDiscard;
+
+      // Debug piles after enemy action
+      log('[EPILE][AFTER]', {
+        enemy: foe.index,
+        eHand: foe.hand.length,
+        eDeck: foe.deck.length,
+        eDiscard: foe.discard.length
+      });
+
+    } else if (enemyAction === 'frozen') {
+      log('[FREEZE][GATE]', { owner: 'enemy', enemy: foe.index, blockedAction: enemyAction });
+      log('[FREEZE][AUTOSKIP]', { owner: 'enemy', enemy: foe.index });
+      emit(events, 'action', { side: 'enemy', action: 'frozen' });
+      // Enemy frozen: cannot act; rotate hand but no SP recovery
+      rotateHand();
+
+    } else if (enemyAction === 'skip' || enemyAction === 'defend') {
+      emit(events, 'action', { side: 'enemy', action: enemyAction });
+      foe.sp = Math.min(enemyStats.maxSp, foe.sp + (enemyAction === 'skip' ? rules.spOnSkip : rules.spOnDefend));
+      rotateHand();
+    }
+  };
+
+  for (const foe of foes) {
+    if (!alive(foe) || playerHp <= 0) continue;
+    const from = events.length;
+    fire('turnStart', 'enemy', foe);
+    if (playerHp > 0) enemyTurn(foe);
+    if (alive(foe)) fire('turnEnd', 'enemy', foe);
+    tagEnemy(from, foe);
+  }
+
+  // Status effects (end of round): Poison/Burn/Regen on every side still standing
+  if (playerHp > 0) {
+    playerHp = applyStatusTicks({ side: 'player', hp: playerHp, maxHp: playerMaxHp, bucket: playerBucket, events });
+    playerHp = reviveSide('player', playerFocus(), playerHp);
+  }
+  for (const foe of livingFoes()) {
+    const from = events.length;
+    foe.hp = applyStatusTicks({ side: 'enemy', hp: foe.hp, maxHp: foe.maxHp, bucket: foe.buckets, events });
+    foe.hp = reviveSide('enemy', foe, foe.hp);
+    tagEnemy(from, foe);
+  }
+
+  // Per-round SP regeneration (rules.spPerTurn)
+  if (rules.spPerTurn) {
+    if (playerHp > 0) playerSp = Math.min(playerStats.maxSp, playerSp + rules.spPerTurn);
+    for (const foe of livingFoes()) foe.sp = Math.min(foe.stats.maxSp, foe.sp + rules.spPerTurn);
+  }
+
+  // Clamp vital stats
+  playerHp = Math.max(0, playerHp);
+  playerSp = Math.max(0, playerSp);
+  for (const foe of foes) {
+    foe.hp = Math.max(0, foe.hp);
+    foe.sp = Math.max(0, foe.sp);
+    // A defeated enemy's scheduled hits leave with it
+    if (!alive(foe) && foe.field.length) {
+      for (const fc of foe.field) {
+        emit(events, 'field_expired', {
+          side: 'enemy', card: cardRef({ ...fc.card, instanceId: fc.instanceId }), reason: 'defeated', enemyIndex: foe.index,
+        });
+      }
+      foe.field = [];
+    }
+  }
+
+  // === Duration tick (end of round) with snapshots ===
+  const snap = (map) => Array.from(map.entries()).map(([k,e]) => `${k}[${e.remaining}]`).join(', ');
+  log('[PERSIST][BEFORE_TICK]', {
+    player: snap(playerBucket),
+    enemies: foes.map(f => snap(f.buckets)),
+  });
+
+  const tickBuckets = (map, who) => {
+    for (const eff of map.values()) {
+      const before = eff.remaining;
+      if (eff.remaining > 0) eff.remaining -= 1;
+      log(`[DUR][TICK] ${who} ${eff.type}${eff.target?`(${eff.target})`:''} ${before} -> ${eff.remaining}`);
+      emit(events, 'effect_ticked', { side: who, effect: eff.type, target: eff.target || null, remaining: eff.remaining });
+      if (eff.remaining <= 0) {
+        log(`[DUR][EXPIRE] ${who} ${eff.type}${eff.target?`(${eff.target})`:''}`);
+        emit(events, 'effect_expired', { side: who, effect: eff.type, target: eff.target || null, reason: 'duration' });
+        map.delete(eff.type + (eff.target ? `:${eff.target}` : ''));
+      }
+    }
+  };
+  tickBuckets(playerBucket, 'player');
+  for (const foe of foes) {
+    const from = events.length;
+    tickBuckets(foe.buckets, 'enemy');
+    tagEnemy(from, foe);
+  }
+
+  log('[PERSIST][AFTER_TICK]', {
+    player: snap(playerBucket),
+    enemies: foes.map(f => snap(f.buckets)),
+  });
+
+  // End-of-round summary logs
+  const summarize = (map) => Array.from(map.values()).map(e => `${e.type}${e.target?`(${e.target})`:''} x${e.power} [${e.remaining}]`).join(', ');
+  const fieldLine = (list) => list.map(f => `${f.card.name}(${f.turnsRemaining})`).join(',') || '-';
+  log(`[ROUND][EFFECTS] player: ${summarize(playerBucket) || '-'} | ${foes.map(f => `enemy#${f.index}: ${summarize(f.buckets) || '-'}`).join(' | ')}`);
+  log(`[ROUND][FIELD] player=${fieldLine(playerField)} | ${foes.map(f => `enemy#${f.index}=${fieldLine(f.field)}`).join(' | ')}`);
+
+  // Build effective stats (for UI display)
+  const effectiveOf = (sideKey, base, buckets) => {
+    const eff = { ...base };
+    applyPersistentToContext({ sideKey, buckets, tempStats: eff, ctx: { [sideKey]: emptyCtxSide() } });
+    return {
+      attackPower:       eff.attackPower,
+      physicalPower:     eff.physicalPower,
+      supernaturalPower: eff.supernaturalPower,
+    };
+  };
+  const playerEff = effectiveOf('player', playerStats, { player: playerBucket });
+  const enemyEffs = foes.map(f => effectiveOf('enemy', f.stats, { enemy: f.buckets }));
+
+  const playerEffects = dumpActiveBuckets({ player: playerBucket, enemy: new Map() }).player;
+
+  // [RESP][PILES] — sizes for FE reconciliation
+  log('[RESP][PILES]', {
+    pHand: oldPlayerHand.length,
+    pDeck: playerDeck.length,
+    pDiscard: playerDiscard.length,
+    enemies: foes.map(f => ({ hand: f.hand.length, deck: f.deck.length, discard: f.discard.length })),
+  });
+
+  // === RESPONSE (base stats persisted; effective sent separately) ===
+  log('[RESP][STATS]', {
+    hp: { playerHp, enemies: foes.map(f => f.hp) },
+    sp: { playerSp, enemies: foes.map(f => f.sp) },
+    effective: { player: playerEff, enemies: enemyEffs },
+  });
+
+  const status = foes.every(f => !alive(f)) ? 'won' : (playerHp <= 0 ? 'lost' : 'active');
+
+  // Boss phases (Enemy.phases) are entered in order at the end of the round their trigger
+  // holds, before the next intent is planned
+  const phaseDue = (foe, p) => {
+    const t = p?.trigger || {};
+    return (t.hpBelow != null && foe.hp / foe.maxHp * 100 < t.hpBelow) ||
+      (t.turn != null && turnNo + 1 >= t.turn);
+  };
+  const enterPhase = (foe, p) => {
+    const from = events.length;
+    foe.phase += 1;
+    emit(events, 'phase_changed', { side: 'enemy', phase: foe.phase, name: p.name || null, dialogue: p.dialogue || null });
+    const stats = { ...state.enemies[foe.index].stats, ...(foe.phaseState?.stats || {}) };
+    for (const [k, delta] of Object.entries(p.stats || {})) {
+      if (typeof delta !== 'number') continue;
+      foe.stats[k] = stats[k] = Math.max(0, (Number(foe.stats[k]) || 0) + delta);
+    }
+    foe.sp = Math.min(foe.sp, foe.stats.maxSp);
+    if (p.aiConfig) foe.aiConfig = { ...foe.aiConfig, ...p.aiConfig };
+    // New moveSet: fresh hand and deck; instanceIds continue past the old ones still on the field
+    if (arr(p.cards).length) {
+      const used = [...foe.hand, ...foe.deck, ...foe.discard, ...foe.field].map(c => Number(c.instanceId) || 0);
+      const next = Math.max(0, ...used) + 1;
+      foe.deck = shuffleCards(p.cards, rng).map((c, i) => ({ ...c, instanceId: next + i }));
+      foe.hand = foe.deck.splice(0, Math.min(rules.enemyHandSize, foe.deck.length));
+      foe.discard = [];
+    }
+    if (p.clearDebuffs) {
+      for (const [key, eff] of foe.buckets) {
+        if (!OPPONENT_TYPES.has(eff.type)) continue;
+        foe.buckets.delete(key);
+        emit(events, 'effect_expired', { side: 'enemy', effect: eff.type, target: eff.target || null, reason: 'cleansed' });
+      }
+    }
+    for (const eff of arr(p.selfEffects)) upsertPersistentEffect(foe.buckets, eff, 'enemy', events);
+    foe.phaseState = { phase: foe.phase, stats, maxSp: foe.stats.maxSp, aiConfig: foe.aiConfig };
+    tagEnemy(from, foe);
+  };
+
+  // Telegraph each living enemy's next move
+  if (status === 'active') {
+    const nextPlayerStats = { ...playerStats, hp: playerHp, sp: playerSp };
+    for (const foe of livingFoes()) {
+      while (foe.phase < foe.phases.length && phaseDue(foe, foe.phases[foe.phase])) {
+        enterPhase(foe, foe.phases[foe.phase]);
+      }
+      foe.intent = planEnemyIntent({ enemy: foe, buckets: bucketsFor(foe), playerStats: nextPlayerStats, rng });
+    }
+  }
+
+  return {
+    events,
+    state: {
+      ...state,
+      status,
+      turn: Number(state.turn || 0) + 1,
+      rngState: typeof rng.state === 'function' ? rng.state() : state.rngState,
+      player: {
+        ...state.player,
+        hp: playerHp, sp: playerSp,
+        hand: oldPlayerHand, deck: playerDeck, discard: playerDiscard,
+      },
+      enemies: foes.map(f => ({
+        ...state.enemies[f.index],
+        hp: f.hp, sp: f.sp,
+        hand: f.hand, deck: f.deck, discard: f.discard,
+        activeEffects: dumpActiveBuckets({ player: new Map(), enemy: f.buckets }).enemy,
+        onField: f.field,
+        intent: alive(f) ? f.intent : null,
+        ...(f.phaseState || {}),
+      })),
+      activeEffects: { player: playerEffects },
+      onField: { player: playerField },
+    },
+    // Per-round extras for the play response (not persisted)
+    view: {
+      message,
+      defendUsed,
+      retargetPrompts,
+      playerBuffDef,
+      enemyBuffDef: foes[0].buffDef,
+      enemies: foes.map(f => ({ index: f.index, buffDef: f.buffDef, effectiveStats: enemyEffs[f.index] })),
+      effectiveStats: {
+        player: playerEff,
+        enemy: enemyEffs[0],
+      },
+    },
+  };
+}
+
+// Rebuild a recorded fight ({ seed, initial, actions, enemyAi }) round by round.
+// Recordings from before multi-enemy combat (initial.enemy) still play back.
+function playbackReplay(replay) {
+  const initial = normalizeCombatState(JSON.parse(JSON.stringify(replay.initial || {})));
+  let state = {
+    _id: replay.session,
+    seed: replay.seed,
+    rngState: initial.rngState,
+    status: 'active',
+    turn: 0,
+    player: initial.player,
+    enemies: initial.enemies,
+    activeEffects: initial.activeEffects || { player: [] },
+    onField: initial.onField || { player: [] },
+    rules: initial.rules, // unset on older recordings → DEFAULT_RULES
+  };
+  const sideView = (side) => ({
+    hp: side.hp, maxHp: side.maxHp, sp: side.sp, maxSp: side.maxSp,
+    hand: side.hand, deck: side.deck, discard: side.discard,
+  });
+  const enemyView = (e) => ({
+    enemyId: e.enemyId || null, name: e.name || null, ...sideView(e),
+    activeEffects: e.activeEffects || [], onField: e.onField || [], intent: e.intent || null,
+    phase: e.phase || 0,
+  });
+
+  const turns = [];
+  let desync = null;
+  for (const a of (replay.actions || [])) {
+    const round = resolveRound(
+      state,
+      {
+        action: a.action,
+        selectedIds: (a.selectedCards || []).map(String),
+        target: a.target ?? null,
+        targets: a.targets || {},
+        retargetChoices: a.retargetChoices || [],
+        negationTarget: a.negationTarget || null,
+      },
+      { enemyAi: replay.enemyAi }
+    );
+    if (round.error) {
+      desync = { turn: a.turn, message: round.error.message };
+      break;
+    }
+    state = round.state;
+    const enemies = state.enemies.map(enemyView);
+    turns.push({
+      turn: a.turn,
+      action: a.action,
+      selectedCards: a.selectedCards || [],
+      target: a.target ?? null,
+      events: round.events,
+      message: round.view.message,
+      player: sideView(state.player),
+      enemy: enemies[0],
+      enemies,
+      activeEffects: state.activeEffects,
+      onField: state.onField,
+      status: state.status,
+    });
+    // Recorded HP lets us flag rule changes since the fight was played
+    const enemyHps = state.enemies.map(e => e.hp);
+    const recordedHps = Array.isArray(a.enemyHps) && a.enemyHps.length ? a.enemyHps
+      : (typeof a.enemyHp === 'number' ? [a.enemyHp] : []);
+    if ((typeof a.playerHp === 'number' && a.playerHp !== state.player.hp) ||
+        recordedHps.some((hp, i) => typeof hp === 'number' && hp !== enemyHps[i])) {
+      desync = desync || { turn: a.turn, message: 'Rebuilt HP differs from the recorded fight' };
+    }
+  }
+
+  const initialEnemies = (initial.enemies || []).map(enemyView);
+  return {
+    initial: { player: sideView(initial.player || {}), enemy: initialEnemies[0] || null, enemies: initialEnemies },
+    turns,
+    finalStatus: state.status,
+    desync,
+  };
+}
+
+module.exports = {
+  HAND_SIZE,
+  MAX_FIELD_SLOTS,
+  DEFAULT_RULES,
+  normalizeRules,
+  MAX_ENEMIES,
+  TRIGGERS,
+  DEFAULT_STATS,
+  // state
+  playerStatsFrom,
+  expandDeck,
+  upgradedCard,
+  buildSide,
+  createCombatState,
+  normalizeCombatState,
+  resolveRound,
+  playbackReplay,
+  loadActiveBuckets,
+  dumpActiveBuckets,
+  // building blocks
+  chooseEnemyAction,
+  planEnemyIntent,
+  planOpeningIntents,
+  applyAbilityPreDamagePhase,
+  processFieldHits,
+  dispatchTrigger,
+  applyPersistentToContext,
+  makeFieldCard,
+  drawUpToHand,
+  shuffleCards,
+  toPlayerCard,
+  getTypes,
+  getAbilities,
+  isAttackCard,
+  normalizeAbility,
+  quietly,
+};
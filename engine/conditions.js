@@ -0,0 +1,107 @@
+// engine/conditions.js
+// Declarative ability conditions (AbilitySchema.condition), checked before activationChance.
+//
+//   leaf:     { fact: 'opponent.hpPct', op: '<', value: 30 }
+//             { fact: 'self.effects', op: 'has', value: 'Guard' }
+//   combine:  { all: [ ... ] }  { any: [ ... ] }  { not: { ... } }
+//
+// Facts are read from the ability owner's point of view (self / opponent).
+
+const NUMERIC_FACTS = new Set([
+  'self.hpPct', 'opponent.hpPct',
+  'self.hp', 'opponent.hp',
+  'self.sp', 'opponent.sp',
+  'self.fieldCount', 'opponent.fieldCount',
+  'turn',         // current round, 1-based
+  'cardsPlayed',  // cards the owner played this turn
+]);
+const LIST_FACTS = new Set(['self.effects', 'opponent.effects']); // active effect types
+
+const NUMERIC_OPS = new Set(['<', '<=', '>', '>=', '==', '!=']);
+const LIST_OPS = new Set(['has', 'lacks']);
+
+const MAX_DEPTH = 5;
+const MAX_NODES = 20;
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// A node is one combinator or a leaf: its combinator key, null for a leaf, false when it mixes them
+const COMBINATORS = ['all', 'any', 'not'];
+const combinatorOf = (c) => {
+  const keys = COMBINATORS.filter(k => k in c);
+  if (keys.length > 1 || (keys.length && ('fact' in c || 'op' in c))) return false;
+  return keys[0] || null;
+};
+
+// Returns an error message for a malformed condition, or null when it is valid
+function validateCondition(cond) {
+  let nodes = 0;
+  const check = (c, depth, path) => {
+    if (++nodes > MAX_NODES) return `condition has more than ${MAX_NODES} clauses`;
+    if (depth > MAX_DEPTH) return `condition is nested deeper than ${MAX_DEPTH} levels`;
+    if (!isPlainObject(c)) return `${path} must be an object`;
+
+    const key = combinatorOf(c);
+    if (key === false) return `${path} must be one of all, any, not or a fact, not a mix`;
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(c[key]) || !c[key].length) return `${path}.${key} must be a non-empty array`;
+      for (let i = 0; i < c[key].length; i++) {
+        const err = check(c[key][i], depth + 1, `${path}.${key}[${i}]`);
+        if (err) return err;
+      }
+      return null;
+    }
+    if (key === 'not') return check(c.not, depth + 1, `${path}.not`);
+
+    const { fact, op, value } = c;
+    if (NUMERIC_FACTS.has(fact)) {
+      if (!NUMERIC_OPS.has(op)) return `${path}: "${fact}" needs one of ${[...NUMERIC_OPS].join(' ')}`;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${path}: value must be a number`;
+      return null;
+    }
+    if (LIST_FACTS.has(fact)) {
+      if (!LIST_OPS.has(op)) return `${path}: "${fact}" needs has or lacks`;
+      if (typeof value !== 'string' || !value.trim()) return `${path}: value must be an effect type`;
+      return null;
+    }
+    return `${path}: unknown fact "${fact}"`;
+  };
+  return check(cond, 1, 'condition');
+}
+
+// Fact lookup from { self, opponent, turn } where each side is
+// { hp, maxHp, sp, effects: string[], fieldCount, cardsPlayed }
+function readFact(fact, facts) {
+  if (fact === 'turn') return Number(facts.turn) || 0;
+  if (fact === 'cardsPlayed') return Number(facts.self?.cardsPlayed) || 0;
+  const [who, key] = fact.split('.');
+  const side = facts[who] || {};
+  if (key === 'hpPct') return side.maxHp > 0 ? (Number(side.hp) || 0) / side.maxHp * 100 : 0;
+  if (key === 'effects') return Array.isArray(side.effects) ? side.effects : [];
+  return Number(side[key]) || 0;
+}
+
+// True when `cond` holds for `facts`. No condition always holds; without facts to read
+// (callers outside a round) a condition never does, and neither does a malformed node.
+function evaluateCondition(cond, facts) {
+  if (!cond) return true;
+  if (!facts || !isPlainObject(cond) || combinatorOf(cond) === false) return false;
+  if (Array.isArray(cond.all)) return cond.all.every(c => evaluateCondition(c, facts));
+  if (Array.isArray(cond.any)) return cond.any.some(c => evaluateCondition(c, facts));
+  if (cond.not) return !evaluateCondition(cond.not, facts);
+
+  const actual = readFact(cond.fact, facts);
+  switch (cond.op) {
+    case '<':     return actual <  cond.value;
+    case '<=':    return actual <= cond.value;
+    case '>':     return actual >  cond.value;
+    case '>=':    return actual >= cond.value;
+    case '==':    return actual === cond.value;
+    case '!=':    return actual !== cond.value;
+    case 'has':   return actual.includes(cond.value);
+    case 'lacks': return !actual.includes(cond.value);
+    default:      return false;
+  }
+}
+
+module.exports = { NUMERIC_FACTS, LIST_FACTS, validateCondition, evaluateCondition };
@@ -0,0 +1,196 @@
+// engine/simulator.js
+// Automated duels on top of the combat engine (balance testing; no DB access).
+const { createRng } = require('../utils/rng');
+const { buildSide, createCombatState, planOpeningIntents, resolveRound, quietly, isAttackCard } = require('./combatEngine');
+
+// Cards the player may play this round (Silence only lets attack cards through)
+const playableHand = (state) => {
+  const hand = state.player.hand || [];
+  const silenced = (state.activeEffects?.player || []).some(e => e.type === 'Silence' && e.remaining > 0);
+  return silenced ? hand.filter(isAttackCard) : hand;
+};
+
+// Simple player policies: state → { action, selectedIds }
+const POLICIES = {
+  // Highest-potency cards first while SP lasts; defend when low on HP, otherwise skip to recover SP
+  greedy(state) {
+    const { sp = 0, hp = 0, maxHp = 1 } = state.player;
+    const hand = playableHand(state);
+    const picks = [];
+    let cost = 0;
+    for (const c of [...hand].sort((a, b) => (Number(b.potency) || 0) - (Number(a.potency) || 0))) {
+      const k = Number(c.spCost) || 0;
+      if (cost + k <= sp) { picks.push(c); cost += k; }
+    }
+    if (picks.length) return { action: 'play', selectedIds: picks.map(c => String(c.instanceId)) };
+    return { action: hp < maxHp * 0.3 ? 'defend' : 'skip' };
+  },
+  // Random affordable subset (baseline to compare decks against)
+  random(state, rng) {
+    const { sp = 0 } = state.player;
+    const hand = playableHand(state);
+    const picks = [];
+    let cost = 0;
+    for (const c of hand) {
+      const k = Number(c.spCost) || 0;
+      if (rng() < 0.5 && cost + k <= sp) { picks.push(c); cost += k; }
+    }
+    if (picks.length) return { action: 'play', selectedIds: picks.map(c => String(c.instanceId)) };
+    return { action: rng() < 0.5 ? 'skip' : 'defend' };
+  },
+};
+
+// One fight to the end (or maxTurns). Templates are { stats, maxHp, cards, handSize }
+// (the enemy's may add resistances and phases, see Enemy.phases); rules are the fight's pacing rules (Campaign.rules).
+function simulateDuel({ player, enemy, enemyAi, rules, seed, policy = 'greedy', maxTurns = 100 }) {
+  const rng = createRng(seed);
+  const playerSide = buildSide({ ...player, rng });
+  const enemySide  = buildSide({ ...enemy, rng });
+  let state = planOpeningIntents(createCombatState({
+    seed,
+    player: playerSide,
+    enemies: [{
+      ...enemySide,
+      aiConfig: enemyAi || null,
+      resistances: enemy.resistances || null,
+      phases: enemy.phases || [],
+      phase: 0,
+    }],
+    rules,
+  }), rng);
+  state.rngState = rng.state();
+
+  // instanceId → base card, so events can be attributed per card
+  const baseOf = {
+    player: new Map([...playerSide.hand, ...playerSide.deck].map(c => [String(c.instanceId), c])),
+    enemy:  new Map([...enemySide.hand, ...enemySide.deck].map(c => [String(c.instanceId), c])),
+  };
+  const choose = POLICIES[policy] || POLICIES.greedy;
+  const policyRng = createRng(`${seed}:policy`);
+  const events = [];
+
+  while (state.status === 'active' && state.turn < maxTurns) {
+    const round = resolveRound(state, choose(state, policyRng));
+    if (round.error) break; // policy only picks from hand within SP; treat as a stalled fight
+    for (const ev of round.events) events.push(ev);
+    state = round.state;
+    // a boss phase deals a new moveSet with fresh instanceIds
+    for (const c of [...state.enemies[0].hand, ...state.enemies[0].deck]) {
+      if (!baseOf.enemy.has(String(c.instanceId))) baseOf.enemy.set(String(c.instanceId), c);
+    }
+  }
+
+  return {
+    status: state.status === 'active' ? 'draw' : state.status,
+    turns: state.turn,
+    playerHp: state.player.hp,
+    playerMaxHp: state.player.maxHp,
+    enemyHp: state.enemies[0].hp,
+    events,
+    baseOf,
+  };
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+// Lets the event loop serve other requests between duels
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// Run N duels and aggregate win rate, turns, HP left, damage per card and ability activity.
+// Each duel runs synchronously; the batch yields between duels so a long one never blocks the server.
+async function runDuels({ player, enemy, enemyAi, rules, runs = 100, seed = 'sim', policy = 'greedy', maxTurns = 100 }) {
+  const totals = { won: 0, lost: 0, draw: 0, turns: 0, playerHp: 0, playerHpOnWin: 0, enemyHp: 0 };
+  const cards = { player: new Map(), enemy: new Map() };
+  const abilities = { player: {}, enemy: {} };
+
+  const cardRow = (side, base) => {
+    const key = String(base?.id || base?._id || base?.name);
+    if (!cards[side].has(key)) {
+      cards[side].set(key, { cardId: key, name: base?.name || null, timesPlayed: 0, damage: 0, fieldDamage: 0 });
+    }
+    return cards[side].get(key);
+  };
+  const abilityRow = (side, type) => {
+    abilities[side][type] = abilities[side][type] || { activated: 0, failed: 0, blocked: 0, resisted: 0, immune: 0 };
+    return abilities[side][type];
+  };
+
+  for (let i = 0; i < runs; i++) {
+    if (i) await nextTick();
+    const fight = quietly(() => simulateDuel({ player, enemy, enemyAi, rules, seed: `${seed}:${i}`, policy, maxTurns }));
+    totals[fight.status] += 1;
+    totals.turns += fight.turns;
+    totals.playerHp += fight.playerHp;
+    totals.enemyHp += fight.enemyHp;
+    if (fight.status === 'won') totals.playerHpOnWin += fight.playerHp;
+
+    for (const ev of fight.events) {
+      const side = ev.side === 'enemy' ? 'enemy' : 'player';
+      const base = ev.card?.instanceId != null ? fight.baseOf[side].get(ev.card.instanceId) : null;
+      switch (ev.type) {
+        case 'card_played':
+          if (base) cardRow(side, base).timesPlayed += 1;
+          break;
+        case 'damage':
+          if (ev.source === 'card' && base) cardRow(side, base).damage += ev.amount || 0;
+          break;
+        case 'field_fired':
+          if (base) cardRow(side, base).fieldDamage += ev.damage || 0;
+          break;
+        case 'ability_activated':
+          abilityRow(side, ev.abilityType).activated += 1;
+          break;
+        case 'ability_failed':
+          abilityRow(side, ev.abilityType).failed += 1;
+          break;
+        case 'ability_blocked':
+          abilityRow(side, ev.abilityType).blocked += 1;
+          break;
+        case 'resisted':
+        case 'immune':
+          if (ev.kind === 'ability') abilityRow(side, ev.abilityType)[ev.type] += 1;
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  const n = Math.max(1, runs);
+  const cardList = (side) => Array.from(cards[side].values())
+    .map(c => ({
+      ...c,
+      totalDamage: round2(c.damage + c.fieldDamage),
+      damage: round2(c.damage),
+      fieldDamage: round2(c.fieldDamage),
+      damagePerPlay: c.timesPlayed ? round2((c.damage + c.fieldDamage) / c.timesPlayed) : 0,
+      damagePerFight: round2((c.damage + c.fieldDamage) / n),
+    }))
+    .sort((a, b) => b.totalDamage - a.totalDamage);
+  const abilityList = (side) => Object.entries(abilities[side]).map(([type, a]) => {
+    const tries = a.activated + a.failed + a.blocked + a.resisted + a.immune;
+    return {
+      type,
+      ...a,
+      activationRate: tries ? round2(a.activated / tries) : 0,
+      perFight: round2(a.activated / n),
+    };
+  });
+
+  return {
+    runs,
+    seed,
+    policy,
+    wins: totals.won,
+    losses: totals.lost,
+    draws: totals.draw,
+    winRate: round2(totals.won / n),
+    avgTurns: round2(totals.turns / n),
+    avgHpLeft: round2(totals.playerHp / n),
+    avgHpLeftOnWin: totals.won ? round2(totals.playerHpOnWin / totals.won) : 0,
+    avgEnemyHpLeft: round2(totals.enemyHp / n),
+    cards: { player: cardList('player'), enemy: cardList('enemy') },
+    abilities: { player: abilityList('player'), enemy: abilityList('enemy') },
+  };
+}
+
+module.exports = { POLICIES, simulateDuel, runDuels };
@@ -92,6 +92,9 @@ mount('/api/campaigns', './routes/campaignRoutes');
 mount('/api/enemies', './routes/enemyRoutes');
 mount('/api/cards', './routes/cardRoutes');
 mount('/api/rooms', './routes/roomRoutes');
+mount('/api/sim', './routes/simRoutes');
+mount('/api/runs', './routes/runRoutes');
+mount('/api/daily', './routes/dailyRoutes');
 
 // Swagger
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
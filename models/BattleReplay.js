@@ -0,0 +1,43 @@
+// models/BattleReplay.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const Any = Schema.Types.Mixed;
+
+// One accepted /api/game/play submission; HP after the round is kept to detect replay desyncs
+const ReplayActionSchema = new Schema({
+  turn:            { type: Number, required: true },
+  action:          { type: String, enum: ['play','skip','defend'], required: true },
+  selectedCards:   { type: [String], default: [] },   // instanceIds
+  target:          { type: Any, default: null },      // default enemy index for Single attacks
+  targets:         { type: Any, default: {} },        // instanceId -> enemy index
+  retargetChoices: { type: Any, default: [] },
+  negationTarget:  { type: Any, default: null },
+  playerHp:        { type: Number },
+  enemyHp:         { type: Number },                  // first enemy (recordings before enemyHps)
+  enemyHps:        { type: [Number], default: undefined },
+}, { _id: false });
+
+// Recording of one combat: opening state + seed + actions. Playback re-runs the
+// same round resolution as /api/game/play, so nothing else needs storing.
+const battleReplaySchema = new Schema({
+  user:       { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  session:    { type: Schema.Types.ObjectId, ref: 'CombatSession', index: true },
+  shareId:    { type: String, required: true, unique: true },
+  campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+  roomIndex:  { type: Number, default: 0 },
+  enemyId:    { type: Schema.Types.ObjectId, ref: 'Enemy' },   // first enemy of the encounter
+  enemyName:  { type: String },
+  enemies:    { type: [{ enemyId: { type: Schema.Types.ObjectId, ref: 'Enemy' }, name: String, _id: false }], default: [] },
+  enemyAi:    { type: Any, default: null },          // single-enemy recordings; newer ones keep aiConfig per initial.enemies[i]
+
+  seed:       { type: String, required: true },
+  // CombatSession state before the first action (player + enemies sides, effects, field, rngState)
+  initial:    { type: Any, required: true },
+  actions:    { type: [ReplayActionSchema], default: [] },
+
+  status:     { type: String, enum: ['active','won','lost','abandoned'], default: 'active' },
+  turns:      { type: Number, default: 0 },
+}, { timestamps: true });
+
+module.exports = mongoose.model('BattleReplay', battleReplaySchema);
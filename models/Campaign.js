@@ -36,6 +36,27 @@ const RandomLootSchema = new mongoose.Schema({
   maxPicks: { type: Number, min: 1, max: 3, default: 1 }  // “max 3 loots at once” from your doc
 }, { _id: false });
 
+// Stock of generated merchant rooms (shops without authored items); prices come from Card.rating
+const MerchantGeneratorSchema = new mongoose.Schema({
+  cardPool:       [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }], // empty = cards the campaign uses
+  cardOffers:     { type: Number, min: 0, max: 8, default: 4 },
+  statBuffOffers: { type: Number, min: 0, max: 3, default: 1 },
+  discountChance: { type: Number, min: 0, max: 1, default: 0.25 },  // per offer
+}, { _id: false });
+
+// Pacing rules for every fight of the campaign; unset keys use the engine defaults
+// (DEFAULT_RULES in engine/combatEngine.js)
+const RulesSchema = new mongoose.Schema({
+  handSize:      { type: Number, min: 1, max: 10 },  // player's refill target; unset = playerSetup.startingHandSize
+  enemyHandSize: { type: Number, min: 1, max: 10 },  // default 3
+  drawPerTurn:   { type: Number, min: 0, max: 10 },  // cards drawn per turn; 0 = refill the hand
+  maxFieldSlots: { type: Number, min: 1, max: 5 },   // Multi-Hit cards on the field per side (default 3)
+  spPerTurn:     { type: Number, min: 0, max: 10 },  // SP regained every round (default 0)
+  spOnSkip:      { type: Number, min: 0, max: 10 },  // default 2
+  spOnDefend:    { type: Number, min: 0, max: 10 },  // default 1
+  reshuffle:     { type: String, enum: ['recycle', 'discard'] }, // used cards to deck bottom, or discard until the deck runs out
+}, { _id: false });
+
 const CampaignSchema = new mongoose.Schema({
   name:        { type: String, required: true, trim: true },
   cover:       { type: TinyImage, default: undefined },
@@ -43,6 +64,7 @@ const CampaignSchema = new mongoose.Schema({
   owner:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
   likes:       { type: Number, default: 0 },
   likedByEmails: [{ type: String, lowercase: true, trim: true }],
+  published:   { type: Boolean, default: false }, // owner opt-in; only published campaigns can become the daily challenge
   playerSetup: {
     startingDeck: { type: [DeckEntrySchema], default: [] }, // array of { cardId, qty }
     startingHandSize: { type: Number, min: 0, max: 10, default: 5 },
@@ -50,6 +72,7 @@ const CampaignSchema = new mongoose.Schema({
     maxDeckSize: { type: Number, min: 1, max: 30, default: 30 },
     initialStats: { type: PlayerInitialStatsSchema, default: undefined }
   },
+  rules: { type: RulesSchema, default: undefined },
   // Editable generator:
   generator: {
     useWeighted: { type: Boolean, default: true },
@@ -62,6 +85,7 @@ const CampaignSchema = new mongoose.Schema({
     bossMin:    { type: Number, min: 1, max: 4, default: 1 },
     bossMax:    { type: Number, min: 1, max: 4, default: 3 },
     randomLoot: { type: RandomLootSchema, default: undefined }, // used by LootRoom when room.loot not set
+    merchant:   { type: MerchantGeneratorSchema, default: undefined }, // generated shop stock
   },
   // Hand-crafted campaign path (optional)
   roomSequence: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Room' }], // if provided, overrides generator
@@ -17,7 +17,10 @@ const AbilitySchema = new Schema({
     enum: [
       'Stats Up', 'Stats Down', 'Freeze', 'Unluck', 'Curse', 'Lucky', 'Guard',
       'Ability Shield', 'Revive', 'Durability Negation', 'Ability Negation',
-      'Instant Death', 'Multi-Hit', 'None'
+      'Instant Death', 'Multi-Hit',
+      // status effects ticked each round (power: Poison/Regen HP, Burn % max HP, Thorns % reflected)
+      'Poison', 'Burn', 'Regen', 'Silence', 'Taunt', 'Thorns',
+      'None'
     ],
     required: true,
     default: 'None'
@@ -37,6 +40,15 @@ const AbilitySchema = new Schema({
   activationChance: { type: Number, default: 100 },
   precedence:       { type: Number, default: 0 },
 
+  // when it fires: with the card (onPlay) or on a later combat event; higher precedence first
+  trigger: {
+    type: String,
+    enum: ['onPlay', 'turnStart', 'turnEnd', 'onDamaged', 'onHit', 'onDodged', 'onKill', 'onRevive'],
+    default: 'onPlay'
+  },
+  // declarative gate checked before activationChance (see engine/conditions.js)
+  condition: { type: Schema.Types.Mixed, default: undefined },
+
   // identity + lore
   key:  { type: String, trim: true },                         // unique within card (enforced below)
   desc: { type: String, trim: true, maxlength: MAX_ABILITY_DESC_LEN },
@@ -66,6 +78,23 @@ const AbilitySchema = new Schema({
   _legacyLinkedToIndex: { type: Number, default: null, select: false },
 }, { _id: false });
 
+// Upgraded ("Card+") form handed to combat for upgraded run copies; unset fields keep the base value
+const UpgradeSchema = new Schema({
+  name:    { type: String, trim: true },            // defaults to "<name>+"
+  potency: { type: Number, default: undefined },
+  defense: { type: Number, default: undefined },
+  spCost:  { type: Number, min: 0, default: undefined },
+  // per-ability overrides, matched by ability key
+  abilities: [{
+    _id: false,
+    key:              { type: String, required: true, trim: true },
+    power:            { type: Number, default: undefined },
+    duration:         { type: Number, min: 0, default: undefined },
+    activationChance: { type: Number, min: 0, max: 100, default: undefined },
+  }],
+  addAbility: { type: AbilitySchema, default: undefined },
+}, { _id: false });
+
 const CardSchema = new Schema({
   name:  { type: String, required: true, trim: true },
   type:  {
@@ -137,6 +166,7 @@ const CardSchema = new Schema({
   },
 
   spCost: { type: Number, default: 0 },
+  upgrade: { type: UpgradeSchema, default: undefined },
   owner:  { type: Schema.Types.ObjectId, ref: 'User' },
 }, { timestamps: true });
 
@@ -184,6 +214,18 @@ CardSchema.pre('validate', function(next) {
     }
   });
 
+  // Upgrade overrides must point at this card's abilities; an added ability gets its own key
+  if (card.upgrade) {
+    const missing = (card.upgrade.abilities || []).find(o => !seen.has(o.key));
+    if (missing) return next(new Error(`Upgrade overrides unknown ability "${missing.key}".`));
+    const added = card.upgrade.addAbility;
+    if (added) {
+      let base = (added.key || '').trim() || `${(added.type || 'None').replace(/\s+/g, '_')}_plus`, k = base, i = 1;
+      while (seen.has(k)) k = `${base}_${++i}`;
+      added.key = k;
+    }
+  }
+
   // --- Enforce single "primary" Multi-Hit and constrain child multi-hits ---
   const abilities = Array.isArray(card.abilities) ? card.abilities : [];
 
@@ -0,0 +1,64 @@
+// models/CombatSession.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { EffectSchema, FieldCardSchema } = require('./_CombatState');
+
+const Any = Schema.Types.Mixed;
+
+// One side of the fight; piles hold card DTOs with server-assigned instanceIds
+const CombatantSchema = new Schema({
+  stats:   { type: Any, default: {} },   // base stats (campaign initial + extraStats, or Enemy.stats)
+  hp:      { type: Number, default: 0 },
+  maxHp:   { type: Number, default: 0 },
+  sp:      { type: Number, default: 0 },
+  maxSp:   { type: Number, default: 0 },
+  hand:    { type: [Any], default: [] },
+  deck:    { type: [Any], default: [] },
+  discard: { type: [Any], default: [] },
+}, { _id: false });
+
+// An enemy in the encounter: its side plus its own effects and on-field cards
+const EnemyCombatantSchema = new Schema({
+  ...CombatantSchema.obj,
+  enemyId:       { type: Schema.Types.ObjectId, ref: 'Enemy' },
+  name:          { type: String },
+  aiConfig:      { type: Any, default: null },   // snapshot, so edits mid-fight don't apply
+  resistances:   { type: Any, default: null },   // Enemy.resistances snapshot, same reason
+  intent:        { type: Any, default: null },   // next move, planned when the previous round ended
+  phases:        { type: [Any], default: [] },   // Enemy.phases snapshot with moveSets resolved to cards
+  phase:         { type: Number, default: 0 },   // phases entered so far (0 = base form)
+  activeEffects: { type: [EffectSchema], default: [] },
+  onField:       { type: [FieldCardSchema], default: [] },
+}, { _id: false });
+
+// Server-owned combat state; /api/game/play only submits actions against it
+const combatSessionSchema = new Schema({
+  user:       { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  savedGame:  { type: Schema.Types.ObjectId, ref: 'SavedGame' },
+  campaignId: { type: Schema.Types.ObjectId, ref: 'Campaign' },
+  roomIndex:  { type: Number, default: 0 },
+  enemyIds:   { type: [{ type: Schema.Types.ObjectId, ref: 'Enemy' }], default: [] },
+  status:     { type: String, enum: ['active','won','lost','abandoned'], default: 'active' },
+  turn:       { type: Number, default: 0 },
+  rules:      { type: Any, default: undefined }, // Campaign.rules snapshot (normalized by the engine)
+
+  // Seeded combat RNG (see utils/rng.js); rngState is advanced and saved every turn
+  seed:       { type: String },
+  rngState:   { type: Number },
+  replayId:   { type: String },          // BattleReplay.shareId recording this fight
+
+  player:  { type: CombatantSchema, default: () => ({}) },
+  enemies: { type: [EnemyCombatantSchema], default: [] },
+
+  // Player-side effects/field (each enemy keeps its own inside enemies[])
+  activeEffects: {
+    player: { type: [EffectSchema], default: [] },
+  },
+  onField: {
+    player: { type: [FieldCardSchema], default: [] },
+  },
+}, { timestamps: true });
+
+combatSessionSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('CombatSession', combatSessionSchema);
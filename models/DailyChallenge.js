@@ -0,0 +1,21 @@
+// models/DailyChallenge.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One shared run per calendar day (UTC), created by the first GET /api/daily of that day.
+// The room path is frozen here, so every attempt plays the same rooms even if the campaign,
+// its rooms or the enemy pool change later in the day.
+const dailyChallengeSchema = new Schema({
+  date:         { type: String, required: true, unique: true },  // YYYY-MM-DD
+  campaignId:   { type: Schema.Types.ObjectId, ref: 'Campaign', required: true },
+  campaignName: { type: String },
+  generated:    { type: Boolean, default: false },  // campaign built for the day (no playable one existed)
+  seed:         { type: String, required: true },
+  difficulty:   { type: Number, default: 0 },
+  modifiers:    { type: [String], default: [] },    // RUN_MODIFIERS ids (utils/difficulty.js)
+  sequence:     { type: [Schema.Types.Mixed], default: [] },
+  // users who started it: one scored attempt each
+  attempts:     { type: [{ type: Schema.Types.ObjectId, ref: 'User' }], default: [], select: false },
+}, { timestamps: true });
+
+module.exports = mongoose.model('DailyChallenge', dailyChallengeSchema);
@@ -1,5 +1,70 @@
 const mongoose = require('mongoose');
 
+// Enemy AI tuning (also used by boss phases that swap it)
+const aiConfigFields = {
+  cardPriority: [
+    {
+      cardId:  { type: mongoose.Schema.Types.ObjectId, ref: 'Card' },
+      priority: Number
+    }
+  ],
+  combos: [
+    {
+      cards:   [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }],
+      priority: Number
+    }
+  ],
+  spSkipThreshold:       { type: Number, default: 0.3 },
+  defendHpThreshold:     { type: Number, default: 0.5 },
+  skipForComboThreshold: { type: Number, default: 1.25 }, // smart skip AI
+  weights: {
+    play:   { type: Number, default: 1 },
+    skip:   { type: Number, default: 1 },
+    defend: { type: Number, default: 1 }
+  },
+  greedChance: { type: Number, default: 0.15 },
+};
+
+// Stats a boss phase may shift (additive deltas, negatives allowed)
+const phaseStat = { type: Number, default: undefined };
+
+// Scripted boss phase, entered in order at the end of the round its trigger is met
+const phaseSchema = new mongoose.Schema({
+  name: { type: String, trim: true },
+  trigger: {
+    hpBelow: { type: Number, min: 0, max: 100, default: undefined }, // HP % strictly below
+    turn:    { type: Number, min: 2, default: undefined },           // active from this round on
+  },
+  // replace the moveSet (hand and deck are rebuilt) and/or aiConfig; unset keeps the current one
+  moveSet:  { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }], default: undefined },
+  aiConfig: { type: new mongoose.Schema(aiConfigFields, { _id: false }), default: undefined },
+  stats: {
+    attackPower:       phaseStat,
+    supernaturalPower: phaseStat,
+    physicalPower:     phaseStat,
+    durability:        phaseStat,
+    intelligence:      phaseStat,
+    speed:             phaseStat,
+    maxSp:             phaseStat,
+  },
+  // effects the enemy puts on itself when the phase starts
+  selfEffects: [
+    {
+      _id: false,
+      type: {
+        type: String,
+        enum: ['Stats Up', 'Lucky', 'Guard', 'Ability Shield', 'Revive', 'Regen', 'Taunt', 'Thorns'],
+        required: true
+      },
+      target:   { type: String, enum: ['attackPower','physicalPower','supernaturalPower','durability','speed'], default: undefined },
+      power:    { type: Number, default: 0 },
+      duration: { type: Number, min: 1, default: 1 },
+    }
+  ],
+  clearDebuffs: { type: Boolean, default: false },
+  dialogue:     { type: String, trim: true, maxlength: 300 },
+}, { _id: false });
+
 const enemySchema = new mongoose.Schema({
   name: { type: String, required: true },
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
@@ -16,32 +81,42 @@ const enemySchema = new mongoose.Schema({
     // NEW: ensure DB matches runtime
     defense:           { type: Number, default: 10 }
   },
-  imageUrl:   { type: String, default: '' },
-  moveSet:    [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }],
-  description:{ type: String, default: '' },
-  aiConfig: {
-    cardPriority: [
-      {
-        cardId:  { type: mongoose.Schema.Types.ObjectId, ref: 'Card' },
-        priority: Number
-      }
-    ],
-    combos: [
+  // Damage taken per card type: 1 normal, <1 resisted, 0 immune, >1 weakness
+  // and per-ability defences against abilities aimed at this enemy
+  resistances: {
+    damage: {
+      Physical:     { type: Number, min: 0, max: 5, default: 1 },
+      Supernatural: { type: Number, min: 0, max: 5, default: 1 },
+    },
+    abilities: [
       {
-        cards:   [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }],
-        priority: Number
+        _id: false,
+        type: {
+          type: String,
+          enum: [
+            'Stats Down', 'Freeze', 'Unluck', 'Curse', 'Ability Negation', 'Instant Death', 'Durability Negation',
+            'Poison', 'Burn', 'Silence'
+          ],
+          required: true
+        },
+        immune:           { type: Boolean, default: false },
+        chanceMultiplier: { type: Number, min: 0, max: 1, default: 1 }, // scales activation chance
       }
     ],
-    spSkipThreshold:       { type: Number, default: 0.3 },
-    defendHpThreshold:     { type: Number, default: 0.5 },
-    skipForComboThreshold: { type: Number, default: 1.25 }, // smart skip AI
-    weights: {
-      play:   { type: Number, default: 1 },
-      skip:   { type: Number, default: 1 },
-      defend: { type: Number, default: 1 }
-    },
-    greedChance: { type: Number, default: 0.15 },
-  }
+  },
+  imageUrl:   { type: String, default: '' },
+  moveSet:    [{ type: mongoose.Schema.Types.ObjectId, ref: 'Card' }],
+  description:{ type: String, default: '' },
+  aiConfig: aiConfigFields,
+  // Boss phases, in order (see phaseSchema)
+  phases: {
+    type: [phaseSchema],
+    default: [],
+    validate: {
+      validator: list => list.every(p => p.trigger?.hpBelow != null || p.trigger?.turn != null),
+      message: 'Each phase needs trigger.hpBelow or trigger.turn.'
+    }
+  },
 }, { timestamps: true });
 enemySchema.index({ owner: 1, createdAt: -1 });
 module.exports = mongoose.model('Enemy', enemySchema);
\ No newline at end of file
@@ -24,6 +24,7 @@ const MerchantItemSchema = new mongoose.Schema({
   stat:   { type: String, enum: ['attackPower','physicalPower','supernaturalPower','durability','vitality','intelligence','speed'] },
   value:  { type: Number, default: 0 },
   price:  { type: Number, min: 0, default: 0 },
+  stock:  { type: Number, min: 1, max: 99, default: 1 },  // copies for sale per run
 }, { _id: false });
 
 const DialogueSchema = new mongoose.Schema({
@@ -32,9 +33,20 @@ const DialogueSchema = new mongoose.Schema({
   onExit:  { type: String, maxlength: 300 },
 }, { _id: false });
 
+// Rest: the player picks one option per visit
+const RestSchema = new mongoose.Schema({
+  healPercent: { type: Number, min: 0, max: 100, default: 30 },   // % of max HP restored by "heal"
+  options: {
+    type: [{ type: String, enum: ['heal','upgrade','remove'] }],
+    default: ['heal','upgrade','remove'],
+    validate: [ arr => arr.length > 0, 'Rest room needs at least one option' ]
+  },
+  text: { type: String, maxlength: 300 },
+}, { _id: false });
+
 const RoomSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
-  type: { type: String, enum: ['loot','merchant','event','combat','boss'], required: true },
+  type: { type: String, enum: ['loot','merchant','event','combat','boss','rest'], required: true },
   owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
 
   // shared visuals
@@ -62,8 +74,17 @@ const RoomSchema = new mongoose.Schema({
     vnText: { type: [String], default: [] },
   },
 
-  // COMBAT/BOSS
-  enemyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Enemy' }
+  // REST
+  rest: { type: RestSchema, default: undefined },
+
+  // COMBAT/BOSS — enemyIds is the encounter (one entry per enemy, duplicates allowed);
+  // enemyId is the single-enemy form kept for older rooms
+  enemyId:  { type: mongoose.Schema.Types.ObjectId, ref: 'Enemy' },
+  enemyIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Enemy' }],
+    default: undefined,
+    validate: [ arr => !arr || arr.length <= 4, 'Max 4 enemies per room' ]
+  },
 }, { timestamps: true });
 
 RoomSchema.index({ owner: 1, createdAt: -1 });
@@ -0,0 +1,55 @@
+// models/RunRecord.js
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const DeckEntrySchema = new Schema({
+  cardId: { type: Schema.Types.ObjectId, ref: 'Card', required: true },
+  qty:    { type: Number, min: 1, default: 1 }
+}, { _id: false });
+
+// One finished run, written by utils/runLifecycle.js when the run ends (won/lost) or is
+// thrown away (abandoned: save cleared or a new run started). Never edited afterwards.
+const runRecordSchema = new Schema({
+  user:         { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  campaignId:   { type: Schema.Types.ObjectId, ref: 'Campaign' },
+  campaignName: { type: String },
+  seed:         { type: String },
+  difficulty:   { type: Number, default: 0 },
+  modifiers:    { type: [String], default: [] },
+  daily:        { type: String, default: null },  // YYYY-MM-DD for a daily challenge attempt
+  outcome:      { type: String, enum: ['won', 'lost', 'abandoned'], required: true },
+  reason:       { type: String },   // boss_defeated, path_complete, player_died, deck_too_small, cleared, restarted
+
+  roomReached:  { type: Number, default: 0 },  // roomIndex the run ended in
+  roomsCleared: { type: Number, default: 0 },
+  totalRooms:   { type: Number, default: 0 },
+  fightsWon:       { type: Number, default: 0 },
+  enemiesDefeated: { type: Number, default: 0 },
+  turns:        { type: Number, default: 0 },
+  damageDealt:  { type: Number, default: 0 },
+  damageTaken:  { type: Number, default: 0 },
+  moneyEarned:  { type: Number, default: 0 },
+  money:        { type: Number, default: 0 },  // left at the end
+  playerHp:     { type: Number, default: null },
+  finalDeck:    { type: [DeckEntrySchema], default: [] },
+  deckSize:     { type: Number, default: 0 },
+  cardsPlayed:  { type: Schema.Types.Mixed, default: {} }, // cardId -> times played
+  // server-side counters only; what leaderboards rank (GET /api/campaigns/:id/leaderboard)
+  verified: {
+    turns:     { type: Number, default: 0 },
+    cardsUsed: { type: Number, default: 0 },
+    hp:        { type: Number, default: null },  // HP after the last fight won or rest
+    money:     { type: Number, default: null },  // starting money minus purchases
+  },
+
+  startedAt:    { type: Date },
+  endedAt:      { type: Date, required: true },
+  timePlayedMs: { type: Number, default: 0 },
+}, { timestamps: true });
+
+runRecordSchema.index({ user: 1, endedAt: -1 });
+runRecordSchema.index({ user: 1, campaignId: 1 });
+runRecordSchema.index({ campaignId: 1, difficulty: 1, outcome: 1 });
+runRecordSchema.index({ daily: 1, outcome: 1 });
+
+module.exports = mongoose.model('RunRecord', runRecordSchema);
@@ -1,23 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
-
-const EffectSchema = new Schema({
-  type:        { type: String, required: true },   // e.g. 'Stats Up', 'Guard', 'Freeze', .
-  target:      { type: String, default: null },    // null or one of: attackPower, physicalPower, supernaturalPower, durability, speed
-  power:       { type: Number, default: 0 },
-  precedence:  { type: Number, default: 0 },
-  remaining:   { type: Number, default: 0 },       // turns left
-}, { _id: false });
-
-// On-field multi-hit persistence
-const FieldCardSchema = new mongoose.Schema({
-  instanceId:     { type: String, required: true },
-  card:           { type: mongoose.Schema.Types.Mixed, required: true }, // snapshot
-  owner:          { type: String, enum: ['player','enemy'], required: false },
-  turnsRemaining: { type: Number, min: 0, required: true },
-  link:           { type: String, default: 'attack' },   // what it’s repeating
-  scheduleState:  { type: Object, default: {} },         // runtime state for random/list schedules
-}, { _id: false });
+const { EffectSchema, FieldCardSchema } = require('./_CombatState');
 
 const Any = Schema.Types.Mixed;
 
@@ -90,12 +73,43 @@ const savedGameSchema = new Schema({
 
   // ==== NEW: campaign progress & roster/decks (additive; does not replace legacy fields) ====
   money:   { type: Number, default: 0 }, // parallel to legacy gold
+  playerHp:{ type: Number, default: undefined },                // carried between combats; unset = full HP
   minDeck: { type: Number, default: 30 },                       // creator-set per campaign
   maxDeck: { type: Number, default: 30 },                       // global 30 cap
   progress:{ type: ProgressSchema, default: undefined },        // generator-driven path
+  seed:    { type: String, default: undefined },                // run seed: path generation + per-room combat RNG
+  difficulty: { type: Number, min: 0, max: 10, default: 0 },   // run difficulty level (utils/difficulty.js)
+  modifiers:  { type: [String], default: [] },                  // run modifiers (RUN_MODIFIERS in utils/difficulty.js)
+  daily:      { type: String, default: undefined },             // YYYY-MM-DD when this run is that day's daily challenge
   // Run-scoped additive deck & stats (do not mutate campaign baselines)
   extraDeck:  { type: [ExtraDeckEntrySchema], default: [] },
+  // Copies dealt in their upgraded (Card+) form: the first qty copies of cardId across startingDeck + extraDeck.
+  // Server-written only (rest room upgrade/remove); never accepted from save/patch.
+  upgradedCards: { type: [ExtraDeckEntrySchema], default: [] },
+  // Copies taken out of the run deck (rest rooms); subtracted from extraDeck first, then startingDeck
+  removedCards:  { type: [ExtraDeckEntrySchema], default: [] },
+  restTakenAt:   { type: Number, default: undefined },        // roomIndex whose rest was already used
+  lootClaimedAt: { type: Number, default: undefined },        // roomIndex whose loot was already claimed
+  eventResolvedAt: { type: Number, default: undefined },      // roomIndex whose event was already resolved
+  merchantBought:{ type: Any, default: undefined },           // "<roomIndex>_<itemIndex>" -> copies bought this run
   extraStats: { type: ExtraStatsSchema, default: undefined },
+  // Run lifecycle (utils/runLifecycle.js); a won/lost run is frozen until the next start
+  runStatus:    { type: String, enum: ['active', 'won', 'lost'], default: undefined },
+  runStartedAt: { type: Date, default: undefined },
+  runStats: {
+    fightsWon:       { type: Number, default: 0 },
+    enemiesDefeated: { type: Number, default: 0 },
+    turns:           { type: Number, default: 0 },
+    damageDealt:     { type: Number, default: 0 },
+    damageTaken:     { type: Number, default: 0 },
+    startingMoney:   { type: Number, default: 0 },
+    moneySpent:      { type: Number, default: 0 },
+    cardsPlayed:     { type: Any, default: {} },          // cardId -> times played
+    // only changed by the server (fights, rests, purchases): what leaderboards rank
+    hp:              { type: Number, default: undefined },
+    money:           { type: Number, default: undefined },
+  },
+  runSummary: { type: Any, default: undefined },                // set when the run ends
   // Optional versioning for future migrations
   version:   { type: Number, default: 3 },
 }, { timestamps: true });
@@ -0,0 +1,27 @@
+// models/_CombatState.js
+const { Schema } = require('mongoose');
+
+// Persistent effect entry (one per type[:target] in a side's bucket)
+const EffectSchema = new Schema({
+  type:        { type: String, required: true },   // e.g. 'Stats Up', 'Guard', 'Freeze', .
+  target:      { type: String, default: null },    // null or one of: attackPower, physicalPower, supernaturalPower, durability, speed
+  power:       { type: Number, default: 0 },
+  precedence:  { type: Number, default: 0 },
+  remaining:   { type: Number, default: 0 },       // turns left
+}, { _id: false });
+
+// On-field multi-hit persistence
+const FieldCardSchema = new Schema({
+  instanceId:     { type: String, required: true },
+  card:           { type: Schema.Types.Mixed, required: true }, // snapshot
+  owner:          { type: String, enum: ['player','enemy'], required: false },
+  turnsRemaining: { type: Number, min: 0, required: true },
+  link:           { type: String, default: 'attack' },   // what it’s repeating
+  targeting:      { type: Object, default: undefined },  // { mode, scope } from multiHit.targeting
+  targetRef:      { type: Object, default: undefined },  // { kind:'character' } or { kind:'field', side, instanceId }
+  scheduleState:  { type: Object, default: {} },         // runtime state for random/list schedules
+  targetIndex:    { type: Number, default: null },       // player cards: enemy hit by later ticks
+  aoe:            { type: Boolean, default: false },     // player cards: later ticks hit every enemy
+}, { _id: false });
+
+module.exports = { EffectSchema, FieldCardSchema };
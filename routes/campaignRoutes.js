@@ -16,6 +16,7 @@ const {
   likeCampaign,
   startRun
 } = require('../controllers/campaignController');
+const { getLeaderboard, getMyRank } = require('../controllers/leaderboardController');
 
 /**
  * @swagger
@@ -60,6 +61,23 @@ const {
  *         initialStats:
  *           $ref: '#/components/schemas/PlayerInitialStats'
  *
+ *     CampaignRules:
+ *       type: object
+ *       description: Pacing rules snapshotted into every fight of the campaign; omitted keys use the defaults
+ *       properties:
+ *         handSize:      { type: integer, minimum: 1, maximum: 10, description: "Player hand refill target (default playerSetup.startingHandSize)" }
+ *         enemyHandSize: { type: integer, minimum: 1, maximum: 10, default: 3 }
+ *         drawPerTurn:   { type: integer, minimum: 0, maximum: 10, default: 0, description: "Cards drawn per turn; 0 refills the hand" }
+ *         maxFieldSlots: { type: integer, minimum: 1, maximum: 5, default: 3 }
+ *         spPerTurn:     { type: integer, minimum: 0, maximum: 10, default: 0, description: "SP regained by each side every round" }
+ *         spOnSkip:      { type: integer, minimum: 0, maximum: 10, default: 2 }
+ *         spOnDefend:    { type: integer, minimum: 0, maximum: 10, default: 1 }
+ *         reshuffle:
+ *           type: string
+ *           enum: [recycle, discard]
+ *           default: recycle
+ *           description: "recycle: used cards go to the bottom of the deck; discard: they wait in the discard pile, which is shuffled back when the deck runs out"
+ *
  *     RandomLootItem:
  *       type: object
  *       properties:
@@ -88,6 +106,34 @@ const {
  *           minimum: 1
  *           maximum: 3
  *
+ *     MerchantGenerator:
+ *       type: object
+ *       description: >
+ *         Stock of merchant rooms without authored items. Card prices come from the card
+ *         rating (N 40, R 75, G 120, U 200), stat buffs cost 50 per point; each offer may
+ *         roll a 30% discount. Stock is frozen into the run's generatedPath at start.
+ *       properties:
+ *         cardPool:
+ *           type: array
+ *           description: Card ObjectIds to sell; empty = starting deck and random loot cards
+ *           items:
+ *             type: string
+ *         cardOffers:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 8
+ *           default: 4
+ *         statBuffOffers:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 3
+ *           default: 1
+ *         discountChance:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           default: 0.25
+ *
  *     Campaign:
  *       type: object
  *       properties:
@@ -106,8 +152,14 @@ const {
  *           type: integer
  *           minimum: 0
  *           default: 0
+ *         published:
+ *           type: boolean
+ *           default: false
+ *           description: Owner opt-in; only published campaigns with a starting deck can become the daily challenge
  *         playerSetup:
  *           $ref: '#/components/schemas/PlayerSetup'
+ *         rules:
+ *           $ref: '#/components/schemas/CampaignRules'
  *         generator:
  *           type: object
  *           properties:
@@ -122,8 +174,10 @@ const {
  *               type: string
  *               enum: [combat, boss, none]
  *               default: boss
+ *               description: Generated paths get a rest room ahead of every room of this type (unless one already precedes it)
  *             enemiesMin:
  *               type: integer
+ *               description: Enemies per generated combat room (min..max); bossMin..bossMax for the boss room
  *               minimum: 1
  *               maximum: 4
  *               default: 1
@@ -144,6 +198,8 @@ const {
  *               default: 3
  *             randomLoot:
  *               $ref: '#/components/schemas/RandomLoot'
+ *             merchant:
+ *               $ref: '#/components/schemas/MerchantGenerator'
  *         roomSequence:
  *           type: array
  *           description: Hand-crafted room order; if present, overrides generator
@@ -343,9 +399,26 @@ router.post('/:id/heartbeat', auth, heartbeat);
  *                 type: integer
  *                 minimum: 1
  *                 maximum: 100
+ *               seed:
+ *                 type: string
+ *                 maxLength: 64
+ *                 description: Optional; the same seed always yields the same rooms (daily- seeds are reserved)
  *     responses:
  *       200:
- *         description: Generated room DTOs
+ *         description: Generated room DTOs and the seed they came from (rolled when none was given)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rooms:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 seed:
+ *                   type: string
+ *       400:
+ *         description: A daily challenge seed
  *       404:
  *         description: Campaign not found
  */
@@ -364,9 +437,16 @@ router.post('/:id/generate', generateCampaign);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: seed
+ *         schema:
+ *           type: string
+ *         description: Seed for the generated fallback; the same seed gives the same rooms (daily- seeds are reserved)
  *     responses:
  *       200:
- *         description: Room list (populated or generated)
+ *         description: Room list (populated or generated); a generated list also returns its seed
+ *       400:
+ *         description: A daily challenge seed
  *       404:
  *         description: Campaign not found
  */
@@ -385,10 +465,165 @@ router.get('/:id/sequence', getSequence);
  *         required: true
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: seed
+ *         schema:
+ *           type: string
+ *         description: Optional; the same seed gives the same rooms (daily- seeds are reserved)
  *     responses:
  *       200:
- *         description: Campaign generated
+ *         description: Campaign generated, with the seed it came from (rolled when none was given)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rooms:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 seed:
+ *                   type: string
+ *       400:
+ *         description: A daily challenge seed
  */
 router.get('/default/:length', getDefaultCampaign);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/start:
+ *   post:
+ *     summary: Start a run (freezes the room path into the user's SavedGame)
+ *     description: |
+ *       Resets the run: progress, money, HP, run-only deck changes (extraDeck, upgradedCards,
+ *       removedCards) and extraStats. runStatus becomes `active`, which also unfreezes a won/lost run.
+ *     tags:
+ *       - Campaigns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               seed:
+ *                 type: string
+ *                 maxLength: 64
+ *                 description: Optional shareable seed; same seed gives the same path, draws and rolls (daily- seeds are reserved)
+ *               difficulty:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 default: 0
+ *                 description: |
+ *                   Ascension level, kept on the SavedGame for the whole run. Each level stacks:
+ *                   enemy attack/power/durability and HP +10%, enemy greedChance -0.03,
+ *                   starting money -10%, rest heals -10% and +0.5 combat weight in the generator.
+ *     responses:
+ *       200:
+ *         description: Frozen sequence, progress, the run seed and difficulty
+ *       400:
+ *         description: Invalid difficulty, or a daily challenge seed
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Campaign not found
+ */
 router.post('/:id/start', auth, startRun);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/leaderboard:
+ *   get:
+ *     summary: Leaderboard of won runs for a campaign and difficulty
+ *     description: |
+ *       Ranks each player's best won run by one server-verified counter. Values come from the
+ *       server's own run counters (played rounds, buys, fights and rests), never from the client's
+ *       save; ties go to the run finished first. Daily challenge runs rank on GET /api/daily/leaderboard.
+ *     tags:
+ *       - Campaigns
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: board
+ *         schema:
+ *           type: string
+ *           enum: [turns, cards, hp, money]
+ *           default: turns
+ *         description: |
+ *           turns = fastest clear, cards = fewest cards used, hp = highest remaining HP, money = most money
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 10
+ *           default: 0
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: |
+ *           { board, difficulty, entries, total, page, limit }. Each entry has rank, user, username,
+ *           runId, value, verified { turns, cardsUsed, hp, money }, seed and endedAt.
+ *       400:
+ *         description: Invalid campaign id, board or difficulty
+ */
+router.get('/:id/leaderboard', getLeaderboard);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/leaderboard/me:
+ *   get:
+ *     summary: Your best entry and rank on a campaign leaderboard
+ *     tags:
+ *       - Campaigns
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: board
+ *         schema:
+ *           type: string
+ *           enum: [turns, cards, hp, money]
+ *           default: turns
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: "{ board, difficulty, rank, entry }; rank and entry are null without a won run"
+ *       400:
+ *         description: Invalid campaign id, board or difficulty
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/:id/leaderboard/me', auth, getMyRank);
 module.exports = router;
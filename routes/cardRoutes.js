@@ -77,6 +77,8 @@ const cardController = require('../controllers/cardController');
  *         spCost:
  *           type: number
  *           default: 1
+ *         upgrade:
+ *           $ref: '#/components/schemas/CardUpgrade'
  *         owner:
  *           type: string
  *
@@ -111,9 +113,52 @@ const cardController = require('../controllers/cardController');
  *         spCost:
  *           type: number
  *           default: 1
+ *         upgrade:
+ *           $ref: '#/components/schemas/CardUpgrade'
  *         owner:
  *           type: string
  *
+ *     CardUpgrade:
+ *       type: object
+ *       description: |
+ *         Upgraded (Card+) form dealt for copies listed in SavedGame.upgradedCards.
+ *         Omitted fields keep the base card's value; send null on update to remove the upgrade.
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Defaults to the base name with a "+" suffix
+ *         potency:
+ *           type: number
+ *         defense:
+ *           type: number
+ *         spCost:
+ *           type: number
+ *           minimum: 0
+ *         abilities:
+ *           type: array
+ *           description: Overrides for existing abilities, matched by key
+ *           items:
+ *             type: object
+ *             required: [key]
+ *             properties:
+ *               key:
+ *                 type: string
+ *               power:
+ *                 type: number
+ *               duration:
+ *                 type: number
+ *               activationChance:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *         addAbility:
+ *           $ref: '#/components/schemas/AbilityV2'
+ *       example:
+ *         potency: 40
+ *         spCost: 1
+ *         abilities:
+ *           - { key: "Burn_1", power: 15 }
+ *
  *     UpdateCardRequest:
  *       allOf:
  *         - $ref: '#/components/schemas/CreateCardRequest'
@@ -129,7 +174,11 @@ const cardController = require('../controllers/cardController');
  *       properties:
  *         type:
  *           type: string
- *           description: Effect type (e.g., Stats Up, Freeze, Ability Shield, Multi-Hit, Durability Negation)
+ *           description: |
+ *             Effect type (e.g., Stats Up, Freeze, Ability Shield, Multi-Hit, Durability Negation).
+ *             Status effects need duration >= 1: Poison (power HP per round), Burn (power % of max HP per round),
+ *             Regen (heals power HP per round), Silence (target may only play Physical/Supernatural cards),
+ *             Taunt (single attacks must target this enemy), Thorns (reflects power % of damage taken).
  *         key:
  *           type: string
  *           description: Unique key for this ability within a card (used for linking)
@@ -146,6 +195,29 @@ const cardController = require('../controllers/cardController');
  *         precedence:
  *           type: integer
  *           description: Higher precedence resolves earlier; can block/negate lower precedence effects
+ *         trigger:
+ *           type: string
+ *           enum: [onPlay, turnStart, turnEnd, onDamaged, onHit, onDodged, onKill, onRevive]
+ *           default: onPlay
+ *           description: |
+ *             When the ability fires. onPlay (default) fires with the card. turnStart, turnEnd, onDamaged
+ *             (owner took card/field damage) and onRevive fire from cards the owner holds in hand or has on
+ *             the field. onHit, onDodged and onKill fire from the attacking card. Each event dispatches its
+ *             abilities by precedence (highest first). Triggered abilities cannot be linked or Multi-Hit
+ *             scheduled, and Durability Negation/Multi-Hit cannot be triggered.
+ *         condition:
+ *           type: object
+ *           description: |
+ *             Optional gate checked before activationChance; unmet conditions skip the ability
+ *             (ability_skipped event, reason "condition"). A leaf is { fact, op, value }:
+ *             numeric facts self.hpPct, opponent.hpPct, self.hp, opponent.hp, self.sp, opponent.sp,
+ *             self.fieldCount, opponent.fieldCount, turn, cardsPlayed with < <= > >= == !=;
+ *             self.effects / opponent.effects with has / lacks and an effect type.
+ *             Combine with { all: [...] }, { any: [...] } and { not: {...} } (up to 5 levels, 20 clauses).
+ *           example:
+ *             all:
+ *               - { fact: opponent.hpPct, op: "<", value: 30 }
+ *               - { fact: self.effects, op: has, value: Guard }
  *         linkedTo:
  *           oneOf:
  *             - type: string
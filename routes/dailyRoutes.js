@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { getDaily, startDaily, getDailyLeaderboard } = require('../controllers/dailyController');
+const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuth = require('../middleware/optionalAuth');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Daily
+ *     description: One shared run a day, same campaign, seed, modifiers and path for everyone
+ */
+
+/**
+ * @swagger
+ * /api/daily:
+ *   get:
+ *     summary: Today's daily challenge (UTC day)
+ *     description: |
+ *       Picked on the day's first request from the published campaigns that have a starting deck (or a
+ *       campaign generated for the day when there are none), with a fixed seed and two run modifiers.
+ *       Daily seeds (daily-YYYY-MM-DD) are reserved: other runs, sequences and simulations refuse them. The path
+ *       is frozen when the challenge is created. Signed in, the response also says whether you used
+ *       your attempt and, once that run has ended, its RunRecord and rank.
+ *     tags: [Daily]
+ *     responses:
+ *       200:
+ *         description: |
+ *           { date, campaignId, campaignName, generated, seed, difficulty, modifiers [{ id, name, description }],
+ *           totalRooms } plus attempted, result and rank when signed in.
+ */
+router.get('/', optionalAuth, getDaily);
+
+/**
+ * @swagger
+ * /api/daily/start:
+ *   post:
+ *     summary: Start your attempt at today's daily challenge
+ *     description: |
+ *       Same as POST /api/campaigns/{id}/start with the day's campaign, seed, modifiers and path; the run
+ *       replaces your current save. One attempt per user and day: abandoning it still uses it up.
+ *     tags: [Daily]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Frozen sequence, progress, seed, difficulty, modifiers and daily (the date)
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: The day's campaign was deleted
+ *       409:
+ *         description: Already attempted today
+ */
+router.post('/start', authMiddleware, startDaily);
+
+/**
+ * @swagger
+ * /api/daily/leaderboard:
+ *   get:
+ *     summary: Finished attempts of a daily challenge
+ *     description: |
+ *       Won runs first, then by rooms cleared, fewest turns, fewest cards used and earliest finish.
+ *       Turns and cards come from the server's own run counters.
+ *     tags: [Daily]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           example: '2026-01-31'
+ *         description: YYYY-MM-DD, default today
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: |
+ *           { date, entries, total, page, limit }. Each entry has rank, runId, user, username, outcome,
+ *           reason, roomsCleared, totalRooms, verified { turns, cardsUsed, hp, money } and endedAt.
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/leaderboard', getDailyLeaderboard);
+
+module.exports = router;
@@ -87,7 +87,13 @@ router.post('/', authMiddleware, createEnemy);
  * /api/enemies/bulk:
  *   post:
  *     summary: Create multiple enemies
- *     description: Accepts either an array of enemies or an object with an `enemies` array.
+ *     description: |
+ *       Accepts either an array of enemies or an object with an `enemies` array.
+ *       `phases` scripts a boss: each phase is entered in order at the end of the round its trigger
+ *       holds (`trigger.hpBelow` HP % or `trigger.turn`, the round it is active from). A phase can
+ *       replace the moveSet (hand and deck are rebuilt) and aiConfig, add stat deltas, apply
+ *       `selfEffects` (Stats Up, Lucky, Guard, Ability Shield, Revive, Regen, Taunt, Thorns),
+ *       clear the enemy's debuffs and show a `dialogue` line.
  *     tags: [Enemies]
  *     security:
  *       - bearerAuth: []
@@ -128,12 +134,33 @@ router.post('/', authMiddleware, createEnemy);
  *                 - name: "Hex Wisp"
  *                   stats: { supernaturalPower: 14, durability: 5, vitality: 1, sp: 4, maxSp: 6 }
  *                   description: "A whispering spirit of curses."
+ *                   resistances:
+ *                     damage: { Physical: 0.5, Supernatural: 1.5 }
+ *                     abilities:
+ *                       - { type: "Instant Death", immune: true }
+ *                       - { type: "Freeze", chanceMultiplier: 0.5 }
  *                   moveSet: ["<CARD_ID_CURSE_BLADE>", "<CARD_ID_TIME_FREEZE>", "<CARD_ID_INSTANT_DOOM>"]
  *                   aiConfig:
  *                     cardPriority:
  *                       - { cardId: "<CARD_ID_INSTANT_DOOM>", priority: 9 }
  *                     combos:
  *                       - { cards: ["<CARD_ID_TIME_FREEZE>","<CARD_ID_INSTANT_DOOM>"], priority: 13 }
+ *                 - name: "Ash Tyrant"
+ *                   stats: { physicalPower: 16, durability: 10, vitality: 4, sp: 3, maxSp: 6 }
+ *                   description: "Boss that enrages as it burns down."
+ *                   moveSet: ["<CARD_ID_FLURRY>", "<CARD_ID_GUARD>"]
+ *                   phases:
+ *                     - name: "Smoulder"
+ *                       trigger: { hpBelow: 50 }
+ *                       moveSet: ["<CARD_ID_FLURRY>", "<CARD_ID_INFERNO>", "<CARD_ID_INFERNO>"]
+ *                       stats: { attackPower: 3, speed: 2 }
+ *                       clearDebuffs: true
+ *                       dialogue: "You only fan the flames!"
+ *                     - name: "Enrage"
+ *                       trigger: { turn: 12 }
+ *                       selfEffects:
+ *                         - { type: "Stats Up", target: "attackPower", power: 10, duration: 99 }
+ *                       aiConfig: { weights: { play: 3, skip: 0, defend: 0 } }
  *             objectPayload:
  *               summary: Object with `enemies` array
  *               value:
@@ -174,6 +201,8 @@ router.post('/bulk', authMiddleware, createEnemiesBulk);
  *     responses:
  *       200:
  *         description: Enemy updated
+ *       400:
+ *         description: Invalid ID, or the update fails schema validation (e.g. a phase without a trigger)
  *       404:
  *         description: Enemy not found
  */
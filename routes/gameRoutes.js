@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { saveState, loadState, clearState, playTurn, patchState } = require('../controllers/gameController');
+const {
+  saveState, loadState, clearState, playTurn, patchState, advanceRoom, getReplay, listReplays,
+} = require('../controllers/gameController');
 const authMiddleware = require('../middleware/authMiddleware');
 
 /**
@@ -10,11 +12,40 @@ const authMiddleware = require('../middleware/authMiddleware');
  *     description: Game state and play routes
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClientGameState:
+ *       type: object
+ *       description: |
+ *         The only fields save/patch write: the legacy single-actor UI state. Any other key (money,
+ *         playerHp, extraDeck, upgradedCards, removedCards, extraStats, progress, roomIndex, ...) is
+ *         ignored and listed in `ignored`; those change through POST /api/game/play, POST
+ *         /api/game/advance and the room routes (card upgrades only through POST /api/rooms/{id}/rest).
+ *       properties:
+ *         playerStats:   { type: object }
+ *         deck:          { type: array, items: { type: object } }
+ *         hand:          { type: array, items: { type: object } }
+ *         discardPile:   { type: array, items: { type: object } }
+ *         selectedCards: { type: array, items: { type: object } }
+ *         enemy:         { type: object }
+ *         enemyDeck:     { type: array, items: { type: object } }
+ *         enemyHand:     { type: array, items: { type: object } }
+ *         enemyDiscard:  { type: array, items: { type: object } }
+ *         activeEffects: { type: object }
+ *         onField:       { type: object }
+ *         checkpoint:
+ *           type: object
+ *           nullable: true
+ *           description: PATCH only; null clears it
+ */
+
 /**
  * @swagger
  * /api/game/save:
  *   post:
- *     summary: Save the current game state (shallow merge)
+ *     summary: Save the client's UI state (shallow merge)
  *     tags: [Game]
  *     security:
  *       - bearerAuth: []
@@ -23,73 +54,14 @@ const authMiddleware = require('../middleware/authMiddleware');
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               campaignId:
- *                 type: string
- *                 description: When provided and player piles are empty, seed from Campaign.playerSetup
- *               roomIndex:
- *                 type: number
- *               money:
- *                 type: number
- *               extraDeck:
- *                 type: array
- *                 description: Run-only additive deck entries
- *                 items:
- *                   type: object
- *                   properties:
- *                     cardId:
- *                       type: string
- *                     qty:
- *                       type: integer
- *                       minimum: 1
- *                       maximum: 30
- *                       default: 1
- *               extraStats:
- *                 type: object
- *                 description: Run-only additive stat deltas; allow negatives
- *                 properties:
- *                   attackPower:        { type: number, default: 0 }
- *                   physicalPower:      { type: number, default: 0 }
- *                   supernaturalPower:  { type: number, default: 0 }
- *                   durability:         { type: number, default: 0 }
- *                   vitality:           { type: number, default: 0 }
- *                   intelligence:       { type: number, default: 0 }
- *                   speed:              { type: number, default: 0 }
- *                   sp:                 { type: number, default: 0 }
- *                   maxSp:              { type: number, default: 0 }
- *                   hp:                 { type: number, default: 0, description: Optional additive HP delta }
- *               playerStats:
- *                 type: object
- *               enemy:
- *                 type: object
- *               deck:
- *                 type: array
- *                 items:
- *                   type: object
- *               hand:
- *                 type: array
- *                 items:
- *                   type: object
- *               selectedCards:
- *                 type: array
- *                 items:
- *                   type: object
- *               discardPile:
- *                 type: array
- *                 items:
- *                   type: object
- *               campaign:
- *                 type: object
- *               gold:
- *                 type: number
- *                 deprecated: true
- *                 description: Legacy currency; prefer "money"
+ *             $ref: '#/components/schemas/ClientGameState'
  *     responses:
  *       '200':
- *         description: Game state updated
+ *         description: "{ message, savedGame, ignored }: ignored lists the keys that were not written"
  *       '400':
- *         description: Bad request (e.g., empty body)
+ *         description: No writable field in the body (writable and ignored are returned)
+ *       '409':
+ *         description: Run is over (runStatus and runSummary are returned); start a new run first
  */
 router.post('/save', authMiddleware, saveState);
 
@@ -97,7 +69,7 @@ router.post('/save', authMiddleware, saveState);
  * @swagger
  * /api/game/save:
  *   patch:
- *     summary: Partially update the saved game (PATCH)
+ *     summary: Partially update the client's UI state (PATCH)
  *     tags: [Game]
  *     security:
  *       - bearerAuth: []
@@ -106,43 +78,48 @@ router.post('/save', authMiddleware, saveState);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             description: Provide only the fields you want to update
- *             properties:
- *               money:
- *                 type: number
- *               extraDeck:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     cardId:
- *                       type: string
- *                     qty:
- *                       type: integer
- *                       minimum: 1
- *                       maximum: 30
- *               extraStats:
- *                 type: object
- *                 properties:
- *                   attackPower:        { type: number }
- *                   physicalPower:      { type: number }
- *                   supernaturalPower:  { type: number }
- *                   durability:         { type: number }
- *                   vitality:           { type: number }
- *                   intelligence:       { type: number }
- *                   speed:              { type: number }
- *                   sp:                 { type: number }
- *                   maxSp:              { type: number }
- *                   hp:                 { type: number }
+ *             $ref: '#/components/schemas/ClientGameState'
  *     responses:
  *       '200':
- *         description: Game state patched
+ *         description: "{ message, savedGame, ignored }"
  *       '400':
- *         description: No game data provided
+ *         description: No writable field in the body
+ *       '409':
+ *         description: Run is over
  */
 router.patch('/save', authMiddleware, patchState);
 
+/**
+ * @swagger
+ * /api/game/advance:
+ *   post:
+ *     summary: Move the run to its next room
+ *     description: |
+ *       Only once the current room of progress.generatedPath is resolved: a combat/boss room needs a
+ *       fight won in this run, a loot room must be claimed or skipped (`skip: true`) and an event
+ *       resolved (POST /api/rooms/{id}/event/resolve). Merchant and rest rooms can always be left. Leaving the last room wins the run (reason `path_complete`).
+ *     tags: [Game]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               skip:
+ *                 type: boolean
+ *                 description: Leave a loot room without claiming it
+ *     responses:
+ *       '200':
+ *         description: "{ ok, roomIndex, room, run }: room is the new current room, run is set when the run ended"
+ *       '404':
+ *         description: No active run
+ *       '409':
+ *         description: Run is over, the current room is not resolved, or the run moved on meanwhile
+ */
+router.post('/advance', authMiddleware, advanceRoom);
+
 /**
  * @swagger
  * /api/game/load:
@@ -165,6 +142,13 @@ router.delete('/save', authMiddleware, clearState);
  * /api/game/play:
  *   post:
  *     summary: Play a turn in combat
+ *     description: |
+ *       Combat state (piles, HP/SP, effects, on-field cards) is held server-side in a CombatSession.
+ *       The first call for a room creates the session and returns the opening state without advancing;
+ *       later calls submit only an action plus the instanceIds of cards in the current hand.
+ *       A combat/boss room may hold several enemies (room.enemyIds); each has its own HP/SP/hand/effects
+ *       and takes its own AI turn. Single attacks hit the chosen enemy, AoE attacks hit every living one,
+ *       and the fight is won when all enemies are down.
  *     tags: [Game]
  *     security:
  *       - bearerAuth: []
@@ -175,20 +159,161 @@ router.delete('/save', authMiddleware, clearState);
  *           schema:
  *             type: object
  *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [play, skip, defend]
+ *                 description: Omit (with no selectedCards) to fetch the current state without advancing
  *               selectedCards:
  *                 type: array
+ *                 description: instanceIds of cards in the session hand
  *                 items:
  *                   type: string
- *               playerStats:
+ *               target:
+ *                 type: integer
+ *                 description: Enemy index for Single attacks (defaults to the first living enemy)
+ *               targets:
  *                 type: object
+ *                 description: Per-card enemy index, keyed by instanceId (overrides target)
+ *                 additionalProperties:
+ *                   type: integer
+ *               enemyIds:
+ *                 type: array
+ *                 description: Only used outside a run; inside a run the current room decides the enemies
+ *                 items:
+ *                   type: string
  *               enemyId:
  *                 type: string
+ *                 description: Single-enemy form of enemyIds
+ *               campaignId:
+ *                 type: string
+ *                 description: Only used outside a run to seed the deck and stats
+ *               seed:
+ *                 type: boolean
+ *                 description: Return the current session state without advancing
+ *               retargetChoices:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               negationTarget:
+ *                 type: object
  *     responses:
  *       200:
- *         description: Combat results
+ *         description: Session id, status (active/won/lost), the round's event log and the resulting combat state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessionId:
+ *                   type: string
+ *                 replayId:
+ *                   type: string
+ *                   description: Shareable id of this fight's recording (see /api/game/replays/{id})
+ *                 status:
+ *                   type: string
+ *                 run:
+ *                   type: object
+ *                   nullable: true
+ *                   description: |
+ *                     Set when this fight ended the run: { status (won/lost), summary }. The run is won by
+ *                     beating the last boss (or the last room) and lost when the player dies. summary holds
+ *                     outcome, reason, seed, difficulty, roomsCleared/totalRooms, fightsWon, enemiesDefeated,
+ *                     turns, money, deckSize, startedAt and endedAt.
+ *                 events:
+ *                   type: array
+ *                   description: |
+ *                     Ordered log of what happened this round (empty when the round did not advance).
+ *                     Types: action, card_played, ability_activated, ability_failed, ability_blocked, ability_skipped,
+ *                     resisted, immune, dodge, guard_block, durability_negation, damage, heal, revive, instant_death,
+ *                     effect_applied, effect_ticked, effect_expired, field_scheduled, field_fired, field_expired,
+ *                     intent_changed, phase_changed.
+ *                     resisted/immune come from the enemy's resistances: `kind` is `ability` (with abilityType)
+ *                     or `damage` (with damageType); damage/field_fired carry `multiplier` when it is not 1.
+ *                     damage.source is card, field, thorns or effect (Poison/Burn, named in `effect`); heal comes from Regen.
+ *                     Ability events from an event trigger carry `trigger` (turnStart, onHit, ...).
+ *                     ability_skipped (reason `condition`) marks an ability whose condition was not met.
+ *                     intent_changed means an enemy could no longer play its telegraphed cards and chose again.
+ *                     phase_changed (phase, name, dialogue) marks a boss entering its next scripted phase at
+ *                     the end of the round; its new deck, stats and effects apply from the next round and
+ *                     debuffs it shrugs off expire with reason `cleansed`.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       seq:
+ *                         type: integer
+ *                       type:
+ *                         type: string
+ *                       side:
+ *                         type: string
+ *                         enum: [player, enemy]
+ *                       enemyIndex:
+ *                         type: integer
+ *                         description: Enemy the event involves (unset for player-only events)
+ *                 result:
+ *                   type: object
+ *                   description: |
+ *                     player, enemies[] (one entry per enemy, by index) and effects/field state.
+ *                     enemy, activeEffects.enemy and onField.enemy mirror enemies[0] for single-enemy clients.
+ *                     Each living enemy carries `intent`, its telegraphed move for the next round:
+ *                     { action (play/skip/defend), cards [{ instanceId, name }], damage { min, max },
+ *                     effects [{ card, ability, type, target (player/self), chance, power?, duration? }] }.
+ *                     damage is estimated against your current stats, before dodge, Guard and card defense
+ *                     (max includes chance-based Durability Negation). The enemy carries it out next round
+ *                     unless it is frozen.
+ *                     `phase` counts the boss phases the enemy has entered (0 = base form).
  *       400:
- *         description: Invalid request
+ *         description: Invalid action, unknown card instanceIds, not enough SP or non-attack cards while silenced
+ *       404:
+ *         description: Enemy not found
+ *       409:
+ *         description: Combat is already over, the run is over, or a parallel request already played this turn
  */
 router.post('/play', authMiddleware, playTurn);
 
+/**
+ * @swagger
+ * /api/game/replays:
+ *   get:
+ *     summary: List your recorded fights (newest first)
+ *     tags: [Game]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Replay summaries (replayId, seed, status, turns, enemy, room)
+ */
+router.get('/replays', authMiddleware, listReplays);
+
+/**
+ * @swagger
+ * /api/game/replays/{id}:
+ *   get:
+ *     summary: Rebuild a recorded fight turn by turn
+ *     description: |
+ *       Re-runs the recorded opening state, seed and actions through the same round resolution as
+ *       /api/game/play. Public so replays can be shared; `desync` is set when the rebuilt fight no
+ *       longer matches what was recorded (e.g. rules changed since).
+ *     tags: [Game]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Shareable replayId (or the replay _id)
+ *     responses:
+ *       200:
+ *         description: Opening state plus one entry per turn (action, events, player and enemies, effects, field)
+ *       404:
+ *         description: Replay not found
+ */
+router.get('/replays/:id', getReplay);
+
 module.exports = router;
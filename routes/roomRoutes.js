@@ -7,7 +7,7 @@ const {
   // NEW CRUD (controller exports)
   createRoom, listRooms, getRoomById, updateRoom, deleteRoom,
   // NEW typed actions (controller exports)
-  getMerchantItems, buyFromMerchant, getLootForRoom, getEventForRoom,
+  getMerchantItems, buyFromMerchant, getLootForRoom, claimLoot, getEventForRoom, resolveEvent, restAtRoom,
   // LEGACY stubs (controller exports)
   getMerchantItemsLegacy, getLoot, getEvent
 } = require('../controllers/roomController');
@@ -61,6 +61,10 @@ const buyMerchantItem = buyFromMerchant;
  *             - speed
  *         value:  { type: number }
  *         price:  { type: number }
+ *         stock:  { type: integer, minimum: 1, maximum: 99, default: 1, description: "Copies for sale per run" }
+ *         rating:    { type: string, enum: [N, R, G, U], description: "Generated stock only: card rating" }
+ *         basePrice: { type: number, description: "Generated stock only: price before discount" }
+ *         discount:  { type: number, description: "Generated stock only: fraction off basePrice (0 = none)" }
  *     Room:
  *       type: object
  *       properties:
@@ -68,7 +72,7 @@ const buyMerchantItem = buyFromMerchant;
  *         name: { type: string }
  *         type:
  *           type: string
- *           enum: [loot, merchant, event, combat, boss]
+ *           enum: [loot, merchant, event, combat, boss, rest]
  *         backgrounds:
  *           type: array
  *           items: { $ref: '#/components/schemas/TinyImage' }
@@ -88,6 +92,23 @@ const buyMerchantItem = buyFromMerchant;
  *             kind:  { type: string, enum: [meet-loot, no-meet-loot, story-only] }
  *             effects: { type: array, items: { $ref: '#/components/schemas/LootItem' } }
  *             vnText:  { type: array, items: { type: string } }
+ *         rest:
+ *           type: object
+ *           properties:
+ *             healPercent: { type: number, minimum: 0, maximum: 100, default: 30, description: "% of max HP restored by heal" }
+ *             options:
+ *               type: array
+ *               items: { type: string, enum: [heal, upgrade, remove] }
+ *               default: [heal, upgrade, remove]
+ *             text: { type: string, maxLength: 300 }
+ *         enemyIds:
+ *           type: array
+ *           items: { type: string }
+ *           maxItems: 4
+ *           description: "combat/boss: the encounter's enemies (duplicates allowed)"
+ *         enemyId:
+ *           type: string
+ *           description: "combat/boss: single-enemy form kept for older rooms"
  */
 
 /**
@@ -199,6 +220,9 @@ router.delete('/:id', auth, deleteRoom);
  * /api/rooms/{id}/merchant:
  *   get:
  *     summary: Get merchant shop for a specific room
+ *     description: |
+ *       When the room is the current room of your run, the run's frozen shop is returned and each
+ *       item also has `remaining` (stock left this run); otherwise the authored room.
  *     tags: [Rooms]
  *     security:
  *       - bearerAuth: []
@@ -221,6 +245,10 @@ router.get('/:id/merchant', auth, getMerchantForRoom);
  * /api/rooms/{id}/merchant/buy:
  *   post:
  *     summary: Buy an item from the merchant
+ *     description: |
+ *       The room must be the current room of your run (progress.generatedPath). Payment, the item's
+ *       per-run stock and the reward are applied together: a card goes to extraDeck (up to
+ *       playerSetup.maxDeckSize), a stat buff adds `value` to extraStats.
  *     tags: [Rooms]
  *     security:
  *       - bearerAuth: []
@@ -240,11 +268,13 @@ router.get('/:id/merchant', auth, getMerchantForRoom);
  *               itemIndex: { type: integer, minimum: 0 }
  *     responses:
  *       200:
- *         description: Purchase result
+ *         description: "{ ok, money, item, remaining, extraDeck, extraStats, dialogue }: dialogue is the merchant's onBuy line"
  *       400:
- *         description: Not enough money / invalid
+ *         description: Not enough money, deck full, invalid itemIndex, or not the current room of your run
  *       404:
- *         description: Not found
+ *         description: Item or SavedGame not found
+ *       409:
+ *         description: Sold out, run is over, or the run changed meanwhile
  */
 router.post('/:id/merchant/buy', auth, buyMerchantItem);
 
@@ -270,11 +300,55 @@ router.post('/:id/merchant/buy', auth, buyMerchantItem);
  */
 router.get('/:id/loot', auth, getLootForRoom);
 
+/**
+ * @swagger
+ * /api/rooms/{id}/loot/claim:
+ *   post:
+ *     summary: Claim items from the loot room your run is in
+ *     description: |
+ *       The room must be the current room of your run (progress.generatedPath). Up to the campaign's
+ *       generator.randomLoot.maxPicks items (default 1, max 3), once per visit. Rewards are applied on the
+ *       server: cards go to extraDeck (up to playerSetup.maxDeckSize), money to money and stat buffs to
+ *       extraStats. Afterwards POST /api/game/advance can leave the room.
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [picks]
+ *             properties:
+ *               picks:
+ *                 type: array
+ *                 items: { type: integer, minimum: 0 }
+ *                 description: Indexes into the room's loot
+ *     responses:
+ *       200:
+ *         description: "{ ok, claimed, money, extraDeck, extraStats }"
+ *       400:
+ *         description: Invalid picks, too many picks, deck full, or not the current loot room of your run
+ *       409:
+ *         description: Loot already claimed in this room, the run is over, or the run changed meanwhile (reload it)
+ */
+router.post('/:id/loot/claim', auth, claimLoot);
+
 /**
  * @swagger
  * /api/rooms/{id}/event:
  *   get:
  *     summary: Get event data for a specific room
+ *     description: |
+ *       When the room is the current room of your run, returns the run's frozen copy and
+ *       `resolved` (POST /api/rooms/{id}/event/resolve was already called for this visit).
  *     tags: [Rooms]
  *     security:
  *       - bearerAuth: []
@@ -292,6 +366,82 @@ router.get('/:id/loot', auth, getLootForRoom);
  */
 router.get('/:id/event', auth, getEventForRoom);
 
+/**
+ * @swagger
+ * /api/rooms/{id}/event/resolve:
+ *   post:
+ *     summary: Finish the event your run is in
+ *     description: |
+ *       The room must be the current room of your run (progress.generatedPath). Applies the event's
+ *       effects on the server, once per visit, like loot: cards go to extraDeck (cards that no longer
+ *       fit playerSetup.maxDeckSize are left out), money to money and stat buffs to extraStats.
+ *       POST /api/game/advance can only leave an event room after this.
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: _id of the current room in the run path
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ ok, applied, money, extraDeck, extraStats, run }"
+ *       400:
+ *         description: Not the current event room of your run
+ *       404:
+ *         description: No saved game
+ *       409:
+ *         description: Event already resolved in this room, the run is over, or the run changed meanwhile (reload it)
+ */
+router.post('/:id/event/resolve', auth, resolveEvent);
+
+/**
+ * @swagger
+ * /api/rooms/{id}/rest:
+ *   post:
+ *     summary: Take one rest option in the run's current rest room
+ *     description: |
+ *       Applied server-side to the saved run, once per rest room visit.
+ *       heal restores rest.healPercent of max HP; upgrade adds a copy of cardId to upgradedCards
+ *       (the card must define an upgrade); remove takes a copy of cardId out of the run deck.
+ *       Removing a card below the campaign's playerSetup.minDeckSize loses the run (deck_too_small).
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: _id of the current room in the run path
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [choice]
+ *             properties:
+ *               choice: { type: string, enum: [heal, upgrade, remove] }
+ *               cardId: { type: string, description: "Required for upgrade/remove" }
+ *     responses:
+ *       200:
+ *         description: |
+ *           Updated playerHp, upgradedCards and removedCards; run is { status, summary } when the
+ *           removal ended the run, else null
+ *       400:
+ *         description: Not the current rest room, option not offered, or invalid card
+ *       404:
+ *         description: No saved game
+ *       409:
+ *         description: Rest already taken in this room, the run is over, or the run changed meanwhile (reload it)
+ */
+router.post('/:id/rest', auth, restAtRoom);
+
 /**
  * @swagger
  * /api/rooms/merchant:
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { listRuns, getRunStats } = require('../controllers/runController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Runs
+ *     description: History and statistics of your finished runs
+ */
+
+/**
+ * @swagger
+ * /api/runs:
+ *   get:
+ *     summary: List your finished runs (newest first)
+ *     description: |
+ *       A run is recorded when it is won or lost, and as `abandoned` when its save is cleared
+ *       (DELETE /api/game/save) or a new run is started over it.
+ *     tags: [Runs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [won, lost, abandoned]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: |
+ *           { runs, total, page, limit }. Each run has campaignId/campaignName, seed, difficulty, outcome,
+ *           reason, roomReached, roomsCleared/totalRooms, fightsWon, enemiesDefeated, turns, damageDealt,
+ *           damageTaken, moneyEarned, money, playerHp, finalDeck [{ cardId, qty }], deckSize, startedAt,
+ *           endedAt and timePlayedMs.
+ *       400:
+ *         description: Invalid campaignId or outcome
+ */
+router.get('/', authMiddleware, listRuns);
+
+/**
+ * @swagger
+ * /api/runs/stats:
+ *   get:
+ *     summary: Your run statistics
+ *     tags: [Runs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: |
+ *           totals (runs, wins, losses, abandoned, turns, damage, money earned, time played),
+ *           campaigns[] (runs, wins, highestDifficultyWon, fewestTurnsWon, ... per campaign),
+ *           favouriteCards[] (top 10 by times played) and bestClears[] (top 5 wins by difficulty, then turns).
+ */
+router.get('/stats', authMiddleware, getRunStats);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { simulateDuels } = require('../controllers/simController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Simulation
+ *     description: Automated fights for balance testing
+ */
+
+/**
+ * @swagger
+ * /api/sim/duels:
+ *   post:
+ *     summary: Run N automated duels between a deck/stat profile and an enemy
+ *     description: |
+ *       Uses the same combat engine as /api/game/play. The enemy plays with its aiConfig and boss
+ *       phases; the player side follows a simple policy. Results are deterministic for a given seed.
+ *       A request may simulate at most 20000 rounds (runs × maxTurns).
+ *     tags: [Simulation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [enemyId]
+ *             properties:
+ *               enemyId:
+ *                 type: string
+ *               campaignId:
+ *                 type: string
+ *                 description: |
+ *                   Use this campaign's playerSetup (startingDeck, initialStats) and rules (hand size,
+ *                   draws, SP, field slots); without it the default rules apply
+ *               deck:
+ *                 type: array
+ *                 description: Overrides the campaign starting deck
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     cardId:
+ *                       type: string
+ *                     qty:
+ *                       type: number
+ *               stats:
+ *                 type: object
+ *                 description: Overrides the campaign initialStats (hp, attackPower, vitality, ...)
+ *               runs:
+ *                 type: number
+ *                 default: 100
+ *                 maximum: 500
+ *               maxTurns:
+ *                 type: number
+ *                 default: 100
+ *                 maximum: 300
+ *                 description: Fights still going after this many rounds count as draws
+ *               policy:
+ *                 type: string
+ *                 enum: [greedy, random]
+ *                 default: greedy
+ *               seed:
+ *                 type: string
+ *                 description: Optional; daily challenge seeds (daily-...) are reserved
+ *     responses:
+ *       200:
+ *         description: |
+ *           wins/losses/draws, winRate, avgTurns, avgHpLeft, avgHpLeftOnWin, avgEnemyHpLeft,
+ *           per-card damage (cards.player / cards.enemy) and ability activity (abilities.player / abilities.enemy)
+ *       400:
+ *         description: Missing enemyId, no deck source, empty deck, unknown policy, runs × maxTurns over 20000 or a daily seed
+ *       404:
+ *         description: Enemy or campaign not found
+ */
+router.post('/duels', authMiddleware, simulateDuels);
+
+module.exports = router;
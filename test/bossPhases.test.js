@@ -0,0 +1,66 @@
+// test/bossPhases.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Enemy = require('../models/Enemy');
+const { resolveRound, quietly } = require('../engine/combatEngine');
+const { updateEnemy } = require('../controllers/enemyController');
+const { openingState, call } = require('./helpers');
+
+const round = (state, input = { action: 'skip' }) => quietly(() => resolveRound(state, input));
+const phaseEvents = (r) => r.events.filter(e => e.type === 'phase_changed');
+
+test('a turn phase is entered at the end of the round before that turn', () => {
+  const state = openingState('phase-turn', {
+    enemyFields: { phases: [{ name: 'Rage', trigger: { turn: 3 }, stats: { attackPower: 3 } }], phase: 0 },
+  });
+  const first = round(state);
+  assert.deepEqual(phaseEvents(first), []);
+  const second = round(first.state);
+  assert.deepEqual(phaseEvents(second).map(e => e.name), ['Rage']);
+  assert.equal(second.state.enemies[0].phase, 1);
+  assert.equal(second.state.enemies[0].stats.attackPower, state.enemies[0].stats.attackPower + 3);
+});
+
+test('an hpBelow phase is entered once HP drops under it', () => {
+  const state = openingState('phase-hp', {
+    enemyFields: { phases: [{ name: 'Cornered', trigger: { hpBelow: 50 } }], phase: 0 },
+  });
+  state.enemies[0].hp = Math.floor(state.enemies[0].maxHp * 0.4);
+  assert.deepEqual(phaseEvents(round(state)).map(e => e.name), ['Cornered']);
+});
+
+test('a phase without a trigger is skipped instead of holding back later phases', () => {
+  const state = openingState('phase-broken', {
+    enemyFields: { phases: [{ name: 'Broken' }, { name: 'Rage', trigger: { turn: 2 } }], phase: 0 },
+  });
+  const first = round(state);
+  assert.deepEqual(phaseEvents(first).map(e => e.name), ['Rage']);
+  assert.deepEqual(phaseEvents(round(first.state)), []);
+});
+
+const owner = new mongoose.Types.ObjectId();
+const current = new Enemy({ name: 'Boss', owner });
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+  mock.method(Enemy, 'findById', async () => current);
+});
+afterEach(() => mock.restoreAll());
+
+const update = (body) => call(updateEnemy, { params: { id: String(current._id) }, body, user: { _id: owner } });
+
+test('updateEnemy: a phase without a trigger is rejected', async () => {
+  const { status, body } = await update({ phases: [{ name: 'Broken' }] });
+  assert.equal(status, 400);
+  assert.match(body.error, /Each phase needs trigger\.hpBelow or trigger\.turn/);
+});
+
+test('updateEnemy: runs the schema validators', async () => {
+  const updated = mock.method(Enemy, 'findByIdAndUpdate', async () => current);
+  Enemy.findById.mock.mockImplementation(() => ({ populate: async () => current, then: (r) => r(current) }));
+  assert.equal((await update({ name: 'Boss II' })).status, 200);
+  assert.equal(updated.mock.calls[0].arguments[2].runValidators, true);
+});
@@ -0,0 +1,115 @@
+// test/campaignSequence.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Room = require('../models/Room');
+const Enemy = require('../models/Enemy');
+const Card = require('../models/Card');
+const SavedGame = require('../models/SavedGame');
+const { buildRunSequence, getCampaignSequence, getDefaultCampaign, generateCampaignRooms } = require('../controllers/campaignController');
+const { createRng } = require('../utils/rng');
+const { query, call } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const enemies = Array.from({ length: 5 }, () => ({ _id: oid() }));
+const rooms = [
+  ...Array.from({ length: 3 }, (_, i) => ({ _id: oid(), type: 'event', name: `e${i}` })),
+  ...Array.from({ length: 3 }, (_, i) => ({ _id: oid(), type: 'loot', name: `l${i}`, loot: [] })),
+];
+const cards = Array.from({ length: 5 }, (_, i) => ({ _id: oid(), rating: 'NRGU'[i % 4] }));
+const campaign = {
+  _id: oid(),
+  length: 12,
+  playerSetup: { startingDeck: cards.map(c => ({ cardId: c._id, qty: 1 })) },
+  generator: {
+    roomWeights: ['combat', 'event', 'loot', 'merchant'].map(type => ({ type, weight: 2 })),
+    enemiesMin: 1,
+    enemiesMax: 3,
+  },
+};
+
+// Generated rooms get fresh ObjectIds; authored picks and everything else must match
+const authored = new Set(rooms.map(r => String(r._id)));
+const shape = (sequence) => sequence.map(r => ({ ...r, _id: authored.has(String(r._id)) ? String(r._id) : null }));
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(Campaign, 'findById', () => query(campaign));
+  mock.method(Enemy, 'find', () => query(enemies));
+  mock.method(Room, 'find', (filter) => query(rooms.filter(r => filter.type.$in.includes(r.type))));
+  mock.method(Card, 'find', () => query(cards));
+  mock.method(SavedGame, 'findOne', () => query(null));
+});
+afterEach(() => mock.restoreAll());
+
+test('buildRunSequence: the same seed builds the same run', async () => {
+  const build = (seed) => buildRunSequence(campaign, { seed, rng: createRng(seed) });
+  const a = await build('run-1');
+  const b = await build('run-1');
+  const c = await build('run-2');
+  assert.deepEqual(shape(a), shape(b));
+  assert.notDeepEqual(shape(a), shape(c));
+});
+
+test('buildRunSequence: difficulty weighs a seeded path towards combat', async () => {
+  const long = { ...campaign, length: 60 };
+  const build = (difficulty, modifiers) => buildRunSequence(long, { seed: 'asc', difficulty, modifiers, rng: createRng('asc') });
+  const combats = (sequence) => sequence.filter(r => r.type === 'combat').length;
+  const hard = await build(10, ['gauntlet']);
+  assert.deepEqual(shape(hard), shape(await build(10, ['gauntlet'])));
+  assert.ok(combats(hard) > combats(await build(0, [])));
+});
+
+test('getCampaignSequence: the fallback path is seeded by ?seed=', async () => {
+  const req = (seed) => ({ params: { id: String(campaign._id) }, query: { seed }, user: { _id: oid() } });
+  const a = await call(getCampaignSequence, req('abc'));
+  const b = await call(getCampaignSequence, req('abc'));
+  const c = await call(getCampaignSequence, req('xyz'));
+  assert.equal(a.status, 200);
+  assert.equal(a.body.seed, 'abc');
+  assert.deepEqual(shape(a.body.sequence), shape(b.body.sequence));
+  assert.notDeepEqual(shape(a.body.sequence), shape(c.body.sequence));
+});
+
+test('getDefaultCampaign: the same seed gives the same rooms', async () => {
+  const a = await call(getDefaultCampaign, { params: { length: '10' }, query: { seed: 's' } });
+  const b = await call(getDefaultCampaign, { params: { length: '10' }, query: { seed: 's' } });
+  assert.equal(a.status, 200);
+  assert.equal(a.body.seed, 's');
+  assert.equal(a.body.rooms.length, 10);
+  assert.deepEqual(a.body, b.body);
+});
+
+test('getDefaultCampaign: without a seed, the rolled one is returned and replays the rooms', async () => {
+  const a = await call(getDefaultCampaign, { params: { length: '10' }, query: {} });
+  assert.equal(typeof a.body.seed, 'string');
+  const b = await call(getDefaultCampaign, { params: { length: '10' }, query: { seed: a.body.seed } });
+  assert.deepEqual(b.body, a.body);
+});
+
+const generate = (body) => call(generateCampaignRooms, { params: { id: String(campaign._id) }, body });
+
+test('generateCampaignRooms: the same seed gives the same rooms', async () => {
+  const a = await generate({ length: 8, seed: 'gen' });
+  assert.equal(a.status, 200);
+  assert.equal(a.body.seed, 'gen');
+  assert.deepEqual((await generate({ length: 8, seed: 'gen' })).body, a.body);
+  assert.notDeepEqual((await generate({ length: 8, seed: 'other' })).body.rooms, a.body.rooms);
+});
+
+test('generateCampaignRooms: without a seed, the rolled one is returned and replays the rooms', async () => {
+  const a = await generate({ length: 8 });
+  assert.equal(typeof a.body.seed, 'string');
+  assert.deepEqual((await generate({ length: 8, seed: a.body.seed })).body, a.body);
+});
+
+test('daily challenge seeds are reserved on the generators', async () => {
+  const message = 'Seeds starting with "daily-" are reserved for the daily challenge';
+  const fromDefault = await call(getDefaultCampaign, { params: { length: '10' }, query: { seed: 'daily-2026-10-19' } });
+  const fromGenerate = await generate({ seed: 'daily-2026-10-19' });
+  for (const { status, body } of [fromDefault, fromGenerate]) {
+    assert.equal(status, 400);
+    assert.equal(body.message, message);
+  }
+});
@@ -0,0 +1,179 @@
+// test/combat.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SavedGame = require('../models/SavedGame');
+const Campaign = require('../models/Campaign');
+const Card = require('../models/Card');
+const Enemy = require('../models/Enemy');
+const CombatSession = require('../models/CombatSession');
+const BattleReplay = require('../models/BattleReplay');
+const RunRecord = require('../models/RunRecord');
+const { playTurn } = require('../controllers/gameController');
+const { playbackReplay, quietly } = require('../engine/combatEngine');
+const { query, call } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const cards = [0, 1, 2, 3].map(i => new Card({
+  _id: oid(), name: `C${i}`, type: ['Physical'], rating: 'N', description: 'd',
+  potency: 10 + i, spCost: 1, defaultAttackType: 'Single', abilities: [],
+}).toObject());
+const campaign = {
+  _id: oid(),
+  playerSetup: {
+    startingDeck: cards.map(c => ({ cardId: c._id, qty: 2 })),
+    initialStats: { attackPower: 4, physicalPower: 10, vitality: 3, sp: 5, maxSp: 8 },
+    startingHandSize: 5,
+  },
+};
+const enemy = (vitality) => new Enemy({
+  _id: oid(), name: 'Goblin', stats: { attackPower: 5, physicalPower: 5, vitality }, moveSet: cards.map(c => c._id),
+});
+
+let saved;
+let session;
+let replay;
+
+beforeEach(() => {
+  session = null;
+  replay = null;
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(Campaign, 'findById', () => query(campaign));
+  mock.method(Card, 'find', (filter) => {
+    const ids = filter._id.$in.map(String);
+    const found = cards.filter(c => ids.includes(String(c._id)));
+    return { lean: async () => found, then: (resolve, reject) => Promise.resolve(found.map(c => new Card(c))).then(resolve, reject) };
+  });
+  mock.method(SavedGame, 'findOne', () => query(saved));
+  mock.method(SavedGame, 'updateOne', async (_filter, update) => Object.assign(saved, update.$set || {}));
+  mock.method(SavedGame, 'findOneAndUpdate', (filter, update) => {
+    if (filter.runStatus?.$nin?.includes(saved.runStatus)) return query(null);
+    Object.assign(saved, update.$set);
+    return query({ ...saved });
+  });
+  mock.method(RunRecord, 'create', async (doc) => doc);
+  // findOne hands out snapshots, so parallel plays both read the same turn
+  mock.method(CombatSession, 'findOne', async () => {
+    if (session?.status !== 'active') return null;
+    const snapshot = CombatSession.hydrate(session.toObject());
+    snapshot.save = async () => snapshot;
+    return snapshot;
+  });
+  mock.method(CombatSession, 'create', async (doc) => {
+    session = new CombatSession(doc);
+    session.save = async () => session;
+    return session;
+  });
+  mock.method(CombatSession, 'updateOne', async (filter, update) => {
+    if (filter.turn !== undefined && (session.turn !== filter.turn || session.status !== filter.status)) return { matchedCount: 0 };
+    for (const [path, v] of Object.entries(update.$set)) session.set(path, v);
+    return { matchedCount: 1 };
+  });
+  mock.method(BattleReplay, 'create', async (doc) => { replay = { ...JSON.parse(JSON.stringify(doc)), actions: [] }; return replay; });
+  mock.method(BattleReplay, 'updateOne', async (_filter, update) => {
+    if (update.$push) replay.actions.push(JSON.parse(JSON.stringify(update.$push.actions)));
+    if (update.$set) Object.assign(replay, update.$set);
+  });
+});
+afterEach(() => mock.restoreAll());
+
+function runAt(foe, type = 'boss') {
+  mock.method(Enemy, 'find', () => ({ populate: () => query([foe]) }));
+  saved = {
+    _id: oid(),
+    user: oid(),
+    seed: 'combat-seed',
+    playerHp: 120,
+    progress: { campaignId: campaign._id, roomIndex: 0, generatedPath: [{ index: 0, type, enemyIds: [String(foe._id)] }] },
+  };
+}
+
+const turn = (body = {}) => call(playTurn, { body, user: { _id: saved.user } });
+
+// Plays the first card in hand every round until the fight is over
+async function fight() {
+  let r = await turn();
+  for (let i = 0; i < 60 && r.status === 200 && r.body.status !== 'won' && r.body.status !== 'lost'; i++) {
+    const hand = r.body.result.player.hand;
+    r = await turn(hand.length ? { action: 'play', selectedCards: [String(hand[0].instanceId)] } : { action: 'skip' });
+  }
+  return r;
+}
+
+test('playTurn: a run fight is dealt from the room seed', async () => {
+  const foe = enemy(1);
+  runAt(foe);
+  const first = await turn();
+  const hand = first.body.result.player.hand.map(c => c.name);
+  assert.equal(session.seed, 'combat-seed:0');
+  assert.equal(replay.seed, 'combat-seed:0');
+
+  session = null;
+  const again = await turn();
+  assert.deepEqual(again.body.result.player.hand.map(c => c.name), hand);
+});
+
+test('playTurn: beating the last boss wins the run once', async () => {
+  runAt(enemy(1));
+  const last = await fight();
+  assert.equal(last.body.status, 'won');
+  assert.equal(saved.runStatus, 'won');
+  assert.equal(saved.runSummary.reason, 'boss_defeated');
+  assert.equal(saved.playerHp, session.player.hp);
+  assert.equal(RunRecord.create.mock.callCount(), 1);
+
+  const after = await turn({ action: 'skip' });
+  assert.equal(after.status, 409);
+  assert.equal(after.body.message, 'Run is over');
+});
+
+test('playTurn: dying in a run fight loses the run', async () => {
+  runAt(enemy(40));
+  campaign.playerSetup.initialStats.vitality = 1;
+  try {
+    const last = await fight();
+    assert.equal(last.body.status, 'lost');
+  } finally {
+    campaign.playerSetup.initialStats.vitality = 3;
+  }
+  assert.equal(saved.runStatus, 'lost');
+  assert.equal(saved.runSummary.reason, 'player_died');
+  assert.equal(RunRecord.create.mock.callCount(), 1);
+});
+
+test('playTurn: the recorded fight plays back without a desync', async () => {
+  runAt(enemy(2), 'combat');
+  await fight();
+  assert.ok(replay.actions.length > 1);
+  const playback = quietly(() => playbackReplay(replay));
+  assert.equal(playback.desync, null);
+  assert.equal(playback.finalStatus, session.status);
+});
+
+test('playTurn: parallel plays of the same turn count it once', async () => {
+  runAt(enemy(4), 'combat');
+  const opened = await turn();
+  const play = { action: 'play', selectedCards: [String(opened.body.result.player.hand[0].instanceId)] };
+  const results = await Promise.all([turn(play), turn(play)]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(session.turn, 1);
+  assert.equal(replay.actions.length, 1);
+  assert.equal(SavedGame.updateOne.mock.callCount(), 1);
+});
+
+test('playTurn: a fight outside the run leaves the run HP alone', async () => {
+  const foe = enemy(1);
+  runAt(foe);
+  saved.progress.generatedPath = [{ index: 0, type: 'rest' }];
+  const opened = await turn({ enemyId: String(foe._id) });
+  assert.equal(opened.status, 200);
+  let r = opened;
+  for (let i = 0; i < 60 && r.body.status !== 'won' && r.body.status !== 'lost'; i++) {
+    r = await turn({ action: 'play', selectedCards: [String(r.body.result.player.hand[0].instanceId)] });
+  }
+  assert.equal(r.body.status, 'won');
+  assert.equal(saved.playerHp, 120);
+  assert.equal(saved.runStatus, undefined);
+  assert.equal(SavedGame.updateOne.mock.callCount(), 0);
+});
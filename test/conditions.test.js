@@ -0,0 +1,79 @@
+// test/conditions.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCondition, evaluateCondition } = require('../engine/conditions');
+
+const facts = {
+  turn: 3,
+  self: { hp: 40, maxHp: 100, sp: 2, effects: ['Guard'], fieldCount: 1, cardsPlayed: 2 },
+  opponent: { hp: 90, maxHp: 100, sp: 5, effects: [], fieldCount: 0 },
+};
+const leaf = (fact, op, value) => ({ fact, op, value });
+const holds = (cond) => evaluateCondition(cond, facts);
+
+test('numeric operators compare the fact to the value', () => {
+  const cases = [
+    ['<', 40, false], ['<', 41, true],
+    ['<=', 40, true], ['<=', 39, false],
+    ['>', 39, true], ['>', 40, false],
+    ['>=', 40, true], ['>=', 41, false],
+    ['==', 40, true], ['==', 41, false],
+    ['!=', 41, true], ['!=', 40, false],
+  ];
+  for (const [op, value, expected] of cases) {
+    assert.equal(validateCondition(leaf('self.hpPct', op, value)), null);
+    assert.equal(holds(leaf('self.hpPct', op, value)), expected, `self.hpPct ${op} ${value}`);
+  }
+  assert.equal(holds(leaf('turn', '==', 3)), true);
+  assert.equal(holds(leaf('cardsPlayed', '>=', 2)), true);
+  assert.equal(holds(leaf('opponent.sp', '>', 4)), true);
+});
+
+test('has and lacks look at the active effect types', () => {
+  assert.equal(holds(leaf('self.effects', 'has', 'Guard')), true);
+  assert.equal(holds(leaf('self.effects', 'lacks', 'Guard')), false);
+  assert.equal(holds(leaf('opponent.effects', 'has', 'Poison')), false);
+  assert.equal(holds(leaf('opponent.effects', 'lacks', 'Poison')), true);
+});
+
+test('all, any and not combine clauses', () => {
+  const low = leaf('self.hpPct', '<', 50);
+  const high = leaf('self.hpPct', '>', 50);
+  assert.equal(holds({ all: [low, leaf('turn', '>=', 2)] }), true);
+  assert.equal(holds({ all: [low, high] }), false);
+  assert.equal(holds({ any: [low, high] }), true);
+  assert.equal(holds({ any: [high] }), false);
+  assert.equal(holds({ not: high }), true);
+  assert.equal(holds({ not: { any: [low] } }), false);
+});
+
+test('no condition always holds; without facts a condition never does', () => {
+  assert.equal(evaluateCondition(null, facts), true);
+  assert.equal(evaluateCondition(leaf('turn', '>', 0), null), false);
+});
+
+test('validateCondition: malformed nodes are rejected', () => {
+  const low = leaf('self.hpPct', '<', 50);
+  const cases = [
+    [{ all: [low], any: [low] }, /must be one of all, any, not or a fact, not a mix/],
+    [{ any: [low], not: low }, /not a mix/],
+    [{ all: [low], ...low }, /not a mix/],
+    [{ all: [] }, /condition\.all must be a non-empty array/],
+    [{ any: low }, /condition\.any must be a non-empty array/],
+    ['turn > 2', /condition must be an object/],
+    [leaf('self.mood', '>', 1), /unknown fact "self\.mood"/],
+    [leaf('self.hp', 'has', 1), /"self\.hp" needs one of/],
+    [leaf('self.hp', '>', '1'), /value must be a number/],
+    [leaf('self.effects', '==', 'Guard'), /needs has or lacks/],
+    [leaf('self.effects', 'has', ' '), /value must be an effect type/],
+    [{ all: [{ not: { any: [{ not: { all: [{ not: low }] } }] } }] }, /nested deeper than 5 levels/],
+    [{ any: Array.from({ length: 20 }, () => low) }, /more than 20 clauses/],
+  ];
+  for (const [cond, message] of cases) assert.match(validateCondition(cond) || '', message, JSON.stringify(cond));
+});
+
+test('evaluateCondition: a node mixing combinators never holds', () => {
+  const low = leaf('self.hpPct', '<', 50);
+  assert.equal(holds({ all: [low], any: [low] }), false);
+  assert.equal(holds({ any: [low], not: leaf('turn', '>', 9) }), false);
+});
@@ -0,0 +1,118 @@
+// test/daily.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const DailyChallenge = require('../models/DailyChallenge');
+const SavedGame = require('../models/SavedGame');
+const CombatSession = require('../models/CombatSession');
+const BattleReplay = require('../models/BattleReplay');
+const Enemy = require('../models/Enemy');
+const Room = require('../models/Room');
+const Card = require('../models/Card');
+const { startDaily, getDaily } = require('../controllers/dailyController');
+const { startRun, getCampaignSequence } = require('../controllers/campaignController');
+const { query, call } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const campaign = { _id: oid(), name: 'Daily', playerSetup: { startingDeck: [] } };
+let daily;
+
+beforeEach(() => {
+  daily = {
+    _id: oid(),
+    date: new Date().toISOString().slice(0, 10),
+    campaignId: campaign._id,
+    seed: 'daily-seed',
+    modifiers: [],
+    sequence: [{ index: 0, type: 'rest' }],
+    attempts: [],
+  };
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  mock.method(DailyChallenge, 'findOne', () => query(daily));
+  // attempts: { $ne } + $addToSet is the claim, $pull gives it back
+  mock.method(DailyChallenge, 'updateOne', async (filter, update) => {
+    if (update.$pull) {
+      daily.attempts = daily.attempts.filter(a => String(a) !== String(update.$pull.attempts));
+      return { modifiedCount: 1 };
+    }
+    if (daily.attempts.some(a => String(a) === String(filter.attempts.$ne))) return { modifiedCount: 0 };
+    daily.attempts.push(update.$addToSet.attempts);
+    return { modifiedCount: 1 };
+  });
+  mock.method(Campaign, 'findById', () => query(campaign));
+  mock.method(SavedGame, 'findOne', () => query(null));
+  mock.method(SavedGame, 'findOneAndUpdate', async (filter, update) => ({ _id: oid(), user: filter.user, ...update.$set }));
+  mock.method(CombatSession, 'updateMany', async () => ({}));
+  mock.method(BattleReplay, 'updateMany', async () => ({}));
+});
+afterEach(() => mock.restoreAll());
+
+const start = (userId) => call(startDaily, { user: { _id: userId } });
+
+test('startDaily: starts the day\'s run and claims the attempt', async () => {
+  const user = oid();
+  const { status, body } = await start(user);
+  assert.equal(status, 200);
+  assert.equal(body.seed, 'daily-seed');
+  assert.deepEqual(daily.attempts.map(String), [String(user)]);
+  assert.equal(SavedGame.findOneAndUpdate.mock.calls[0].arguments[1].$set.daily, daily.date);
+});
+
+test('startDaily: one attempt per user and day', async () => {
+  const user = oid();
+  await start(user);
+  const { status, body } = await start(user);
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Daily challenge already attempted today');
+  assert.equal(SavedGame.findOneAndUpdate.mock.callCount(), 1);
+});
+
+test('startDaily: parallel starts only begin one run', async () => {
+  const user = oid();
+  const results = await Promise.all([start(user), start(user)]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(SavedGame.findOneAndUpdate.mock.callCount(), 1);
+});
+
+test('startDaily: a start that fails gives the attempt back', async () => {
+  const user = oid();
+  SavedGame.findOneAndUpdate.mock.mockImplementationOnce(async () => { throw new Error('db down'); });
+  const failed = await start(user);
+  assert.equal(failed.status, 500);
+  assert.deepEqual(daily.attempts, []);
+
+  const retry = await start(user);
+  assert.equal(retry.status, 200);
+  assert.deepEqual(daily.attempts.map(String), [String(user)]);
+});
+
+test('getDaily: only a published campaign becomes the daily', async () => {
+  const draft = { _id: oid(), name: 'Draft', playerSetup: { startingDeck: [{ cardId: oid(), qty: 5 }] } };
+  const listed = { _id: oid(), name: 'Listed', published: true, playerSetup: { startingDeck: [{ cardId: oid(), qty: 5 }] } };
+  const campaigns = [draft, listed];
+  DailyChallenge.findOne.mock.mockImplementation(() => query(null));
+  mock.method(DailyChallenge, 'create', async (doc) => ({ toObject: () => ({ _id: oid(), ...doc }) }));
+  mock.method(Campaign, 'find', (filter) => query(campaigns.filter(c => !filter.published || c.published)));
+  Campaign.findById.mock.mockImplementation((id) => query(campaigns.find(c => String(c._id) === String(id))));
+  mock.method(Enemy, 'find', () => query([{ _id: oid() }]));
+  mock.method(Room, 'find', () => query([]));
+  mock.method(Card, 'find', () => query([]));
+
+  const { status, body } = await call(getDaily, {});
+  assert.equal(status, 200);
+  assert.equal(body.campaignName, 'Listed');
+  assert.equal(body.seed, `daily-${daily.date}`);
+});
+
+test('daily seeds are reserved: runs and sequences refuse them', async () => {
+  const user = { _id: oid() };
+  const run = await call(startRun, { params: { id: String(campaign._id) }, body: { seed: 'daily-2026-10-19' }, user });
+  assert.equal(run.status, 400);
+  assert.equal(run.body.message, 'Seeds starting with "daily-" are reserved for the daily challenge');
+  assert.equal(SavedGame.findOneAndUpdate.mock.callCount(), 0);
+
+  const sequence = await call(getCampaignSequence, { params: { id: String(campaign._id) }, query: { seed: 'daily-2026-01-01' }, user });
+  assert.equal(sequence.status, 400);
+});
@@ -0,0 +1,81 @@
+// test/difficulty.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRng } = require('../utils/rng');
+const { buildSide, resolveRound, quietly } = require('../engine/combatEngine');
+const {
+  MAX_DIFFICULTY, parseDifficulty, parseModifiers, difficultyModifiers, scaleEnemySide, weightsForDifficulty,
+} = require('../utils/difficulty');
+const { STATS, AI, makeCards, openingState } = require('./helpers');
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+const ids = (cards) => cards.map(c => c.id);
+
+test('parseDifficulty: integer levels 0..MAX_DIFFICULTY, unset is 0', () => {
+  assert.equal(parseDifficulty(undefined), 0);
+  assert.equal(parseDifficulty(''), 0);
+  assert.equal(parseDifficulty('4'), 4);
+  assert.equal(parseDifficulty(MAX_DIFFICULTY), MAX_DIFFICULTY);
+  for (const bad of [-1, MAX_DIFFICULTY + 1, 1.5, 'hard']) assert.equal(parseDifficulty(bad), null);
+});
+
+test('difficultyModifiers: every level adds its step', () => {
+  const base = difficultyModifiers(0);
+  assert.deepEqual(base, { level: 0, enemyStatMultiplier: 1, greedReduction: 0, moneyMultiplier: 1, healMultiplier: 1, combatWeightBonus: 0 });
+  const m = difficultyModifiers(3);
+  near(m.enemyStatMultiplier, 1.3);
+  near(m.greedReduction, 0.09);
+  near(m.moneyMultiplier, 0.7);
+  near(m.healMultiplier, 0.7);
+  near(m.combatWeightBonus, 1.5);
+  assert.equal(difficultyModifiers(MAX_DIFFICULTY).moneyMultiplier, 0);
+});
+
+test('difficultyModifiers: run modifiers stack on the level, once each', () => {
+  const m = difficultyModifiers(2, ['elite', 'cunning', 'frugal', 'weary', 'gauntlet', 'elite', 'unknown']);
+  near(m.enemyStatMultiplier, 1.2 * 1.25);
+  near(m.greedReduction, 0.06 + 0.1);
+  near(m.moneyMultiplier, 0.8 * 0.5);
+  near(m.healMultiplier, 0.8 * 0.5);
+  near(m.combatWeightBonus, 1 + 2);
+  assert.deepEqual(parseModifiers(['elite', 'elite', 'unknown']), ['elite']);
+  assert.deepEqual(difficultyModifiers(0, 'elite'), difficultyModifiers(0));
+});
+
+test('scaleEnemySide: scales power stats, HP and AI greed', () => {
+  const side = { ...buildSide({ stats: STATS, cards: makeCards(5), rng: createRng('scale') }), aiConfig: { ...AI, greedChance: 0.2 } };
+  assert.equal(scaleEnemySide(side, 0), side);
+  const scaled = scaleEnemySide(side, 5, ['elite']);
+  const k = 1.5 * 1.25;
+  assert.equal(scaled.stats.physicalPower, Math.round(STATS.physicalPower * k));
+  assert.equal(scaled.stats.supernaturalPower, Math.round(STATS.supernaturalPower * k));
+  assert.equal(scaled.stats.speed, STATS.speed);
+  assert.equal(scaled.maxHp, Math.round(side.maxHp * k));
+  assert.equal(scaled.hp, scaled.maxHp);
+  near(scaled.aiConfig.greedChance, 0.2 - 0.15);
+  assert.equal(scaleEnemySide(side, 10, ['cunning']).aiConfig.greedChance, 0);
+});
+
+test('weightsForDifficulty: extra combat weight, added when the campaign has none', () => {
+  const weights = [{ type: 'combat', weight: 4 }, { type: 'loot', weight: 2 }];
+  assert.equal(weightsForDifficulty(weights, 0), weights);
+  assert.deepEqual(weightsForDifficulty(weights, 2, ['gauntlet']), [{ type: 'combat', weight: 7 }, { type: 'loot', weight: 2 }]);
+  assert.deepEqual(weightsForDifficulty([{ type: 'loot', weight: 2 }], 1), [{ type: 'loot', weight: 2 }, { type: 'combat', weight: 0.5 }]);
+});
+
+test('a seeded fight deals the same cards at any difficulty and replays the same', () => {
+  // the way createCombatSession builds it: deal from the seed, then scale the enemy side
+  const fight = (level) => {
+    const state = openingState('ascension');
+    state.enemies = state.enemies.map(e => ({ ...e, ...scaleEnemySide(e, level, ['elite']) }));
+    return state;
+  };
+  const easy = fight(0);
+  const hard = fight(6);
+  assert.deepEqual(ids(hard.enemies[0].hand), ids(easy.enemies[0].hand));
+  assert.deepEqual(ids(hard.player.hand), ids(easy.player.hand));
+  assert.ok(hard.enemies[0].maxHp > easy.enemies[0].maxHp);
+  const [a, b] = quietly(() => [resolveRound(hard, { action: 'skip' }), resolveRound(fight(6), { action: 'skip' })]);
+  assert.deepEqual(a.events, b.events);
+  assert.deepEqual(a.state, b.state);
+});
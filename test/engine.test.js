@@ -0,0 +1,79 @@
+// test/engine.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRng } = require('../utils/rng');
+const { buildSide, resolveRound, quietly } = require('../engine/combatEngine');
+const { simulateDuel, runDuels } = require('../engine/simulator');
+const { STATS, AI, makeCards, openingState, playFight } = require('./helpers');
+
+const draws = (rng, n) => Array.from({ length: n }, () => rng());
+const ids = (cards) => cards.map(c => c.id);
+
+test('createRng: same seed gives the same sequence, another seed does not', () => {
+  assert.deepEqual(draws(createRng('seed-1'), 20), draws(createRng('seed-1'), 20));
+  assert.notDeepEqual(draws(createRng('seed-1'), 20), draws(createRng('seed-2'), 20));
+});
+
+test('createRng: resuming from a saved state continues the sequence', () => {
+  const rng = createRng('resume');
+  draws(rng, 7);
+  const resumed = createRng('resume', rng.state());
+  assert.deepEqual(draws(resumed, 10), draws(rng, 10));
+});
+
+test('buildSide: the same seed deals the same hand and deck', () => {
+  const deal = (seed) => buildSide({ stats: STATS, cards: makeCards(), handSize: 5, rng: createRng(seed) });
+  const a = deal('deal');
+  const b = deal('deal');
+  assert.deepEqual(ids(a.hand), ids(b.hand));
+  assert.deepEqual(ids(a.deck), ids(b.deck));
+  assert.equal(a.hand.length, 5);
+});
+
+test('resolveRound: same state and action give the same round', () => {
+  const state = openingState('round');
+  const input = { action: 'play', selectedIds: [String(state.player.hand[0].instanceId)] };
+  const [a, b] = quietly(() => [resolveRound(state, input), resolveRound(state, input)]);
+  assert.equal(a.error, undefined);
+  assert.deepEqual(a.events, b.events);
+  assert.deepEqual(a.state, b.state);
+});
+
+test('resolveRound: does not modify the state it is given', () => {
+  const state = openingState('pure');
+  const before = JSON.parse(JSON.stringify(state));
+  quietly(() => resolveRound(state, { action: 'skip' }));
+  assert.deepEqual(state, before);
+});
+
+test('a whole fight is rebuilt identically from its seed', () => {
+  const a = playFight('fight-7');
+  const b = playFight('fight-7');
+  assert.notEqual(a.final.status, 'active');
+  assert.deepEqual(a.rounds.map(r => r.events), b.rounds.map(r => r.events));
+  assert.deepEqual(a.final, b.final);
+});
+
+test('simulateDuel: same seed gives the same duel', () => {
+  const duel = () => quietly(() => simulateDuel({
+    player: { stats: STATS, cards: makeCards(), handSize: 5 },
+    enemy: { stats: STATS, cards: makeCards(5), handSize: 3 },
+    enemyAi: AI,
+    seed: 'duel',
+  }));
+  assert.deepEqual(duel(), duel());
+});
+
+test('runDuels: same seed gives the same report', async () => {
+  const batch = () => runDuels({
+    player: { stats: STATS, cards: makeCards(), handSize: 5 },
+    enemy: { stats: STATS, cards: makeCards(5), handSize: 3 },
+    enemyAi: AI,
+    runs: 5,
+    seed: 'batch',
+  });
+  const a = await batch();
+  const b = await batch();
+  assert.deepEqual(a, b);
+  assert.equal(a.wins + a.losses + a.draws, 5);
+});
@@ -0,0 +1,142 @@
+// test/helpers.js
+// Shared fixtures for the node:test suites (no DB: model statics are mocked per test).
+const { createRng } = require('../utils/rng');
+const { buildSide, createCombatState, planOpeningIntents, resolveRound, quietly } = require('../engine/combatEngine');
+
+const STATS = { attackPower: 1, physicalPower: 10, supernaturalPower: 8, durability: 1, vitality: 4, speed: 3, intelligence: 2, sp: 5, maxSp: 8 };
+const AI = { cardPriority: [], combos: [], spSkipThreshold: 0.3, defendHpThreshold: 0.5, weights: { play: 3, skip: 1, defend: 1 } };
+
+// n plain attack cards plus a multi-hit and a buff, so rolls and field hits come into play
+function makeCards(n = 6) {
+  const plain = Array.from({ length: n }, (_, i) => ({
+    id: `c${i}`, name: `Card${i}`, spCost: 1 + (i % 2), potency: 5 + i,
+    type: [i % 2 ? 'Supernatural' : 'Physical'], abilities: [], defaultAttackType: 'Single',
+  }));
+  return [
+    ...plain,
+    { id: 'mh', name: 'Multi', spCost: 1, potency: 30, type: ['Physical'], defaultAttackType: 'Single',
+      abilities: [{ type: 'Multi-Hit', key: 'mh', activationChance: 100, multiHit: { turns: 3 } }] },
+    { id: 'bf', name: 'Buff', spCost: 1, potency: 3, type: ['Physical'], defaultAttackType: 'Single',
+      abilities: [{ type: 'Stats Up', power: 2, duration: 2, activationChance: 70 }] },
+  ];
+}
+
+// Opening state the way createCombatSession builds it: one rng deals both sides, then intents.
+// opts.player/opts.enemy override the side templates ({ stats, cards, handSize }); opts.enemyFields
+// is merged into every enemy entry (phases, resistances, ...); opts.enemies sets how many fight.
+function openingState(seed, { player = {}, enemy = {}, enemyFields = {}, enemies = 1, rules } = {}) {
+  const rng = createRng(seed);
+  const playerSide = buildSide({ stats: STATS, cards: makeCards(), handSize: 5, ...player, rng });
+  const enemySides = Array.from({ length: enemies }, (_, i) => ({
+    ...buildSide({ stats: STATS, cards: makeCards(5), ...enemy, rng }),
+    name: `Dummy${i}`,
+    aiConfig: AI,
+    ...enemyFields,
+  }));
+  const state = planOpeningIntents(createCombatState({ seed, player: playerSide, enemies: enemySides, rules }), rng);
+  state.rngState = rng.state();
+  return state;
+}
+
+// Plays a fight with a seeded policy and records it like BattleReplay does
+function playFight(seed, maxTurns = 30) {
+  let state = openingState(seed);
+  const initial = JSON.parse(JSON.stringify(state));
+  const policy = createRng(`${seed}:policy`);
+  const actions = [];
+  const rounds = [];
+  quietly(() => {
+    while (state.status === 'active' && state.turn < maxTurns) {
+      const affordable = state.player.hand.filter(c => c.spCost <= state.player.sp);
+      const input = affordable.length && policy() < 0.8
+        ? { action: 'play', selectedIds: [String(affordable[0].instanceId)] }
+        : { action: policy() < 0.5 ? 'skip' : 'defend' };
+      const round = resolveRound(state, input);
+      if (round.error) throw new Error(round.error.message);
+      actions.push({
+        turn: state.turn,
+        action: input.action,
+        selectedCards: input.selectedIds || [],
+        playerHp: round.state.player.hp,
+        enemyHps: round.state.enemies.map(e => e.hp),
+      });
+      rounds.push(round);
+      state = round.state;
+    }
+  });
+  return { replay: { seed, initial, actions }, rounds, final: state };
+}
+
+// Stand-in for a mongoose query: awaitable, with the chainable bits controllers use
+function query(value) {
+  const q = {
+    lean: async () => value,
+    sort: () => q,
+    select: () => q,
+    skip: () => q,
+    limit: () => q,
+    populate: () => q,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return q;
+}
+
+// Runs an Express handler with a fake req/res; resolves to { status, body }
+function call(handler, { params = {}, query: q = {}, body = {}, user } = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { resolve({ status: this.statusCode, body: payload }); return this; },
+    };
+    Promise.resolve(handler({ params, query: q, body, user }, res)).catch(reject);
+  });
+}
+
+// Enough of MongoDB's filter language for the atomic updates in the controllers
+// Values compare like BSON: ObjectIds by hex, sub-documents and arrays by content, missing as null
+const plain = (v) => JSON.stringify(v === undefined ? null : v);
+const same = (a, b) => plain(a) === plain(b);
+function holds(value, cond) {
+  const isOps = cond && typeof cond === 'object' && !Array.isArray(cond) && Object.keys(cond).every(k => k.startsWith('$'));
+  if (!isOps) return same(value, cond);
+  return Object.entries(cond).every(([op, arg]) => {
+    if (op === '$ne') return value === undefined || !same(value, arg);
+    if (op === '$in') return arg.some(a => same(value, a));
+    if (op === '$nin') return !arg.some(a => same(value, a));
+    if (op === '$gte') return typeof value === 'number' && value >= arg;
+    if (op === '$not') return !holds(value, arg);
+    throw new Error(`Unsupported filter operator ${op}`);
+  });
+}
+
+// In-memory SavedGame: findOne hands out snapshots (so parallel requests both pass their own
+// checks) and findOneAndUpdate applies $set/$inc/$push only while the filter still matches
+function savedGameStore(SavedGame, doc) {
+  const matches = (filter) => Object.entries(filter).every(([path, cond]) => holds(doc.get(path), cond));
+  return {
+    doc,
+    findOne: () => query(SavedGame.hydrate(doc.toObject())),
+    findOneAndUpdate: (filter, update, options = {}) => {
+      if (!matches(filter)) return query(null);
+      for (const [path, v] of Object.entries(update.$set || {})) doc.set(path, v);
+      for (const [path, n] of Object.entries(update.$inc || {})) {
+        // list.$[name].field: every element matching options.arrayFilters' name.<key> condition
+        const [, list, name, field] = path.match(/^(.+)\.\$\[(\w+)\]\.(.+)$/) || [];
+        if (!list) {
+          doc.set(path, (Number(doc.get(path)) || 0) + n);
+          continue;
+        }
+        const conds = Object.assign({}, ...(options.arrayFilters || []));
+        const keys = Object.keys(conds).filter(k => k.startsWith(`${name}.`));
+        for (const el of doc.get(list)) {
+          if (keys.every(k => holds(el.get(k.slice(name.length + 1)), conds[k]))) el.set(field, (Number(el.get(field)) || 0) + n);
+        }
+      }
+      for (const [path, v] of Object.entries(update.$push || {})) doc.get(path).push(v);
+      return query(SavedGame.hydrate(doc.toObject()));
+    },
+  };
+}
+
+module.exports = { STATS, AI, makeCards, openingState, playFight, query, call, savedGameStore };
@@ -0,0 +1,70 @@
+// test/intents.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRound, quietly } = require('../engine/combatEngine');
+const { openingState, playFight } = require('./helpers');
+
+const round = (state, input = { action: 'skip' }) => quietly(() => resolveRound(state, input));
+const enemyMove = (r, index = 0) => {
+  const mine = r.events.filter(e => e.side === 'enemy' && e.enemyIndex === index);
+  return {
+    action: mine.find(e => e.type === 'action')?.action ?? null,
+    cards: mine.filter(e => e.type === 'card_played').map(e => String(e.card.instanceId)),
+    changed: mine.some(e => e.type === 'intent_changed'),
+  };
+};
+// First opening state (from seed-N) whose enemy plans to play cards
+const playingOpening = (prefix) => {
+  for (let i = 0; i < 50; i++) {
+    const state = openingState(`${prefix}-${i}`);
+    if (state.enemies[0].intent?.action === 'play') return state;
+  }
+  throw new Error('no opening with a play intent');
+};
+
+test('the announced intent is what the enemy does next round', () => {
+  let checked = 0;
+  for (const seed of ['intent-a', 'intent-b', 'intent-c']) {
+    const { rounds, replay } = playFight(seed);
+    let before = replay.initial;
+    for (const r of rounds) {
+      const intent = before.enemies[0].intent;
+      const move = enemyMove(r);
+      if (intent && move.action && move.action !== 'frozen' && !move.changed) {
+        assert.equal(move.action, intent.action);
+        assert.deepEqual(move.cards, intent.cards.map(c => String(c.instanceId)));
+        checked++;
+      }
+      before = r.state;
+    }
+  }
+  assert.ok(checked > 5);
+});
+
+test('a planned card the enemy can no longer afford changes the intent', () => {
+  const state = playingOpening('intent-broke');
+  state.enemies[0].sp = 0;
+  const move = enemyMove(round(state));
+  assert.equal(move.changed, true);
+  assert.deepEqual(move.cards, []);
+});
+
+test('an enemy that dies before its turn does not carry out its intent', () => {
+  const state = playingOpening('intent-dead');
+  state.enemies[0].hp = 1;
+  const card = state.player.hand.find(c => c.spCost <= state.player.sp);
+  const r = round(state, { action: 'play', selectedIds: [String(card.instanceId)], target: 0 });
+  assert.equal(r.state.enemies[0].hp, 0);
+  assert.deepEqual(enemyMove(r), { action: null, cards: [], changed: false });
+  assert.equal(r.state.enemies[0].intent, null);
+});
+
+test('an enemy whose target is down does not carry out its intent', () => {
+  const state = playingOpening('intent-target');
+  state.player.hp = 1;
+  state.enemies[0].activeEffects = [{ type: 'Thorns', power: 100, remaining: 2 }];
+  const card = state.player.hand.find(c => c.spCost <= state.player.sp);
+  const r = round(state, { action: 'play', selectedIds: [String(card.instanceId)], target: 0 });
+  assert.equal(r.state.player.hp, 0);
+  assert.deepEqual(enemyMove(r).cards, []);
+});
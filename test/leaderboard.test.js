@@ -0,0 +1,63 @@
+// test/leaderboard.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const RunRecord = require('../models/RunRecord');
+const { getLeaderboard, getMyRank } = require('../controllers/leaderboardController');
+const { query, call } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const campaignId = String(oid());
+const user = { _id: oid() };
+const board = (q = {}) => call(getLeaderboard, { params: { id: campaignId }, query: q, user });
+const me = (q = {}) => call(getMyRank, { params: { id: campaignId }, query: q, user });
+
+beforeEach(() => mock.method(console, 'error', () => {}));
+afterEach(() => mock.restoreAll());
+
+test('getLeaderboard: ranks won, non-daily runs of the board and difficulty, paged', async () => {
+  const entries = [{ user: oid(), value: 9 }, { user: oid(), value: 11 }];
+  mock.method(RunRecord, 'aggregate', async () => [{ entries, total: [{ n: 12 }] }]);
+  const { status, body } = await board({ board: 'hp', difficulty: '2', limit: '5', page: '2' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.entries.map(e => [e.rank, e.value]), [[6, 9], [7, 11]]);
+  assert.deepEqual([body.board, body.difficulty, body.total, body.page, body.limit], ['hp', 2, 12, 2, 5]);
+
+  const [match, sort] = RunRecord.aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual(match.$match, {
+    campaignId: new mongoose.Types.ObjectId(campaignId), difficulty: 2, outcome: 'won', daily: null, 'verified.hp': { $ne: null },
+  });
+  assert.deepEqual(sort.$sort, { 'verified.hp': -1, endedAt: 1 });
+});
+
+test('getLeaderboard: an empty board', async () => {
+  mock.method(RunRecord, 'aggregate', async () => []);
+  const { body } = await board();
+  assert.deepEqual([body.board, body.difficulty, body.entries, body.total], ['turns', 0, [], 0]);
+});
+
+test('getLeaderboard: rejects a bad campaign id, board or difficulty', async () => {
+  assert.deepEqual((await call(getLeaderboard, { params: { id: 'x' }, query: {}, user })).body, { message: 'Invalid campaign id' });
+  assert.deepEqual((await board({ board: 'luck' })).body, { message: 'board must be one of turns, cards, hp, money' });
+  assert.deepEqual((await board({ difficulty: '11' })).body, { message: 'Invalid difficulty' });
+});
+
+test('getMyRank: one past the players with a better (or equal and earlier) run', async () => {
+  const best = { _id: oid(), verified: { turns: 14 }, seed: 's', endedAt: new Date('2026-10-01') };
+  mock.method(RunRecord, 'findOne', () => query(best));
+  mock.method(RunRecord, 'aggregate', async () => [{ n: 3 }]);
+  const { body } = await me({ board: 'turns' });
+  assert.equal(body.rank, 4);
+  assert.deepEqual(body.entry, { runId: best._id, value: 14, verified: best.verified, seed: 's', endedAt: best.endedAt });
+  const { $match } = RunRecord.aggregate.mock.calls[0].arguments[0][0];
+  assert.deepEqual($match.$or, [
+    { 'verified.turns': { $lt: 14 } },
+    { 'verified.turns': 14, endedAt: { $lt: best.endedAt } },
+  ]);
+});
+
+test('getMyRank: no rank without a qualifying run', async () => {
+  mock.method(RunRecord, 'findOne', () => query(null));
+  const { body } = await me();
+  assert.deepEqual(body, { board: 'turns', difficulty: 0, rank: null, entry: null });
+});
@@ -0,0 +1,117 @@
+// test/loot.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SavedGame = require('../models/SavedGame');
+const Campaign = require('../models/Campaign');
+const { claimLoot } = require('../controllers/roomController');
+const { query, call, savedGameStore } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const A = oid();
+const B = oid();
+const lootId = oid();
+let campaign;
+let store;
+
+const loot = [
+  { kind: 'card', cardId: B },
+  { kind: 'money', amount: 25 },
+  { kind: 'statBuff', stat: 'attackPower', amount: 2 },
+];
+
+beforeEach(() => {
+  campaign = {
+    _id: oid(),
+    playerSetup: { maxDeckSize: 30, startingDeck: [{ cardId: A, qty: 3 }] },
+    generator: { randomLoot: { maxPicks: 2 } },
+  };
+  store = savedGameStore(SavedGame, new SavedGame({
+    user: oid(),
+    money: 10,
+    progress: { campaignId: campaign._id, roomIndex: 1, generatedPath: [{ type: 'combat' }, { _id: String(lootId), index: 1, type: 'loot', loot }] },
+  }));
+  mock.method(console, 'log', () => {});
+  mock.method(SavedGame, 'findOne', store.findOne);
+  mock.method(SavedGame, 'findOneAndUpdate', store.findOneAndUpdate);
+  mock.method(Campaign, 'findById', () => query(campaign));
+});
+afterEach(() => mock.restoreAll());
+
+const claim = (picks, id = lootId) => call(claimLoot, { params: { id: String(id) }, body: { picks }, user: { _id: store.doc.user } });
+
+test('claimLoot: grants the picked items on the server', async () => {
+  const { status, body } = await claim([0, 1]);
+  assert.equal(status, 200);
+  assert.equal(body.money, 35);
+  assert.deepEqual(body.extraDeck.map(e => [String(e.cardId), e.qty]), [[String(B), 1]]);
+  assert.equal(store.doc.lootClaimedAt, 1);
+  assert.equal(store.doc.runStats.money, 25);
+});
+
+test('claimLoot: stat buffs go to extraStats', async () => {
+  const { body } = await claim([2]);
+  assert.equal(body.extraStats.attackPower, 2);
+});
+
+test('claimLoot: only one of two parallel claims goes through', async () => {
+  const results = await Promise.all([claim([1]), claim([1])]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(store.doc.money, 35);
+});
+
+test('claimLoot: a second claim in the same room is refused', async () => {
+  await claim([1]);
+  const { status, body } = await claim([0]);
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Loot already claimed in this room');
+});
+
+test('claimLoot: a deck change made after the read is not overwritten', async () => {
+  const read = await store.findOne();
+  store.doc.extraDeck.push({ cardId: A, qty: 1 }); // e.g. a purchase landing in between
+  SavedGame.findOne.mock.mockImplementationOnce(() => query(read));
+  const { status } = await claim([0]);
+  assert.equal(status, 409);
+  assert.deepEqual(store.doc.extraDeck.map(e => String(e.cardId)), [String(A)]);
+  assert.equal(store.doc.lootClaimedAt, undefined);
+});
+
+test('claimLoot: does not apply once the run has moved on', async () => {
+  const read = await store.findOne();
+  store.doc.set('progress.roomIndex', 2);
+  SavedGame.findOne.mock.mockImplementationOnce(() => query(read));
+  assert.equal((await claim([1])).status, 409);
+  assert.equal(store.doc.money, 10);
+});
+
+test('claimLoot: enforces generator.randomLoot.maxPicks', async () => {
+  const { status, body } = await claim([0, 1, 2]);
+  assert.equal(status, 400);
+  assert.equal(body.message, 'You can take at most 2 item(s)');
+  assert.equal(store.doc.lootClaimedAt, undefined);
+});
+
+test('claimLoot: rejects bad picks', async () => {
+  assert.equal((await claim([])).status, 400);
+  assert.equal((await claim([1, 1])).status, 400);
+  assert.equal((await claim([7])).body.message, 'Invalid item index');
+});
+
+test('claimLoot: cards may not push the deck over maxDeckSize', async () => {
+  campaign.playerSetup.maxDeckSize = 3;
+  const { status, body } = await claim([0]);
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Deck cannot go above 3 cards');
+});
+
+test('claimLoot: only the current room of the run can be claimed', async () => {
+  const { status, body } = await claim([1], oid());
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Room is not the current room of your run');
+});
+
+test('claimLoot: a finished run cannot claim', async () => {
+  store.doc.runStatus = 'lost';
+  assert.equal((await claim([1])).status, 409);
+});
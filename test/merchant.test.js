@@ -0,0 +1,172 @@
+// test/merchant.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SavedGame = require('../models/SavedGame');
+const Campaign = require('../models/Campaign');
+const Card = require('../models/Card');
+const Enemy = require('../models/Enemy');
+const { buyFromMerchant, getMerchantItems } = require('../controllers/roomController');
+const { buildRunSequence } = require('../controllers/campaignController');
+const { createRng } = require('../utils/rng');
+const { query, call, savedGameStore } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const A = oid();
+const B = oid();
+const shopId = oid();
+let campaign;
+let store;
+
+const items = [
+  { kind: 'card', cardId: B, price: 30, stock: 2 },
+  { kind: 'statBuff', stat: 'speed', value: 1, price: 20 },
+  { kind: 'card', cardId: A, price: 500 },
+];
+
+beforeEach(() => {
+  campaign = { _id: oid(), playerSetup: { maxDeckSize: 30, startingDeck: [{ cardId: A, qty: 3 }] } };
+  store = savedGameStore(SavedGame, new SavedGame({
+    user: oid(),
+    money: 100,
+    progress: { campaignId: campaign._id, roomIndex: 2, generatedPath: [{ type: 'combat' }, { type: 'loot' }, { _id: String(shopId), index: 2, type: 'merchant', merchant: { items } }] },
+  }));
+  mock.method(console, 'log', () => {});
+  mock.method(SavedGame, 'findOne', store.findOne);
+  mock.method(SavedGame, 'findOneAndUpdate', store.findOneAndUpdate);
+  mock.method(Campaign, 'findById', () => query(campaign));
+});
+afterEach(() => mock.restoreAll());
+
+const buy = (itemIndex, id = shopId) => call(buyFromMerchant, { params: { id: String(id) }, body: { itemIndex }, user: { _id: store.doc.user } });
+
+test('buyFromMerchant: charges the price and adds the card to the run deck', async () => {
+  const { status, body } = await buy(0);
+  assert.equal(status, 200);
+  assert.equal(body.money, 70);
+  assert.equal(body.remaining, 1);
+  assert.deepEqual(body.extraDeck.map(e => [String(e.cardId), e.qty]), [[String(B), 1]]);
+  assert.equal(store.doc.runStats.moneySpent, 30);
+  assert.equal(store.doc.runStats.money, -30);
+});
+
+test('buyFromMerchant: stat buffs go to extraStats', async () => {
+  const { body } = await buy(1);
+  assert.equal(body.extraStats.speed, 1);
+  assert.equal(body.money, 80);
+});
+
+test('buyFromMerchant: stock runs out per run', async () => {
+  await buy(0);
+  await buy(0);
+  const { status, body } = await buy(0);
+  assert.equal(status, 409);
+  assert.equal(body.message, 'Sold out');
+  assert.equal(store.doc.money, 40);
+});
+
+test('buyFromMerchant: parallel buys cannot oversell the stock', async () => {
+  const results = await Promise.all([buy(1), buy(1)]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(store.doc.money, 80);
+});
+
+test('buyFromMerchant: parallel buys cannot spend the same money twice', async () => {
+  store.doc.money = 30;
+  const results = await Promise.all([buy(0), buy(0)]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(store.doc.money, 0);
+});
+
+test('buyFromMerchant: not enough money', async () => {
+  const { status, body } = await buy(2);
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Not enough money');
+  assert.equal(store.doc.money, 100);
+});
+
+test('buyFromMerchant: cards may not push the deck over maxDeckSize', async () => {
+  campaign.playerSetup.maxDeckSize = 3;
+  const { status, body } = await buy(0);
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Deck cannot go above 3 cards');
+});
+
+test('buyFromMerchant: another copy of a held card goes onto its deck entry', async () => {
+  await buy(0);
+  const { status, body } = await buy(0);
+  assert.equal(status, 200);
+  assert.deepEqual(body.extraDeck.map(e => [String(e.cardId), e.qty]), [[String(B), 2]]);
+});
+
+test('buyFromMerchant: parallel card buys cannot push the deck over maxDeckSize', async () => {
+  campaign.playerSetup.maxDeckSize = 4;
+  const results = await Promise.all([buy(0), buy(0)]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.deepEqual(store.doc.extraDeck.map(e => e.qty), [1]);
+  assert.equal(store.doc.money, 70);
+});
+
+test('buyFromMerchant: a purchase only counts in the room it was made in', async () => {
+  const game = await store.findOne();
+  store.doc.set('progress.roomIndex', 3);
+  mock.method(SavedGame, 'findOne', () => query(game));
+  const { status } = await buy(0);
+  assert.equal(status, 409);
+  assert.equal(store.doc.money, 100);
+});
+
+test('buyFromMerchant: only the current room of the run sells', async () => {
+  assert.equal((await buy(0, oid())).status, 400);
+  assert.equal((await buy(9)).status, 404);
+  assert.equal((await buy(-1)).status, 400);
+});
+
+test('getMerchantItems: shows the stock left in the run', async () => {
+  await buy(0);
+  const { body } = await call(getMerchantItems, { params: { id: String(shopId) }, user: { _id: store.doc.user } });
+  assert.deepEqual(body.items.map(i => [i.stock, i.remaining]), [[2, 1], [1, 1], [1, 1]]);
+});
+
+// Generated shops (campaign generator.merchant): a run of merchant rooms up to the boss
+const ratedCards = ['N', 'R', 'G', 'U'].map(rating => ({ _id: oid(), rating }));
+const shopRun = (seed, merchant) => {
+  mock.method(Card, 'find', () => query(ratedCards));
+  mock.method(Enemy, 'find', () => query([{ _id: oid() }]));
+  const generated = { ...campaign, length: 4, generator: { roomWeights: [{ type: 'merchant', weight: 1 }], merchant } };
+  return buildRunSequence(generated, { seed, rng: createRng(seed) });
+};
+const offers = (room) => room.merchant.items.map(i => [i.rating, i.price, i.basePrice, i.discount]);
+
+test('generated stock: cards are priced by rating, discounts take 30% off', async () => {
+  const full = await shopRun('prices', { cardOffers: 4, statBuffOffers: 0, discountChance: 0 });
+  const byRating = (room) => Object.fromEntries(room.merchant.items.map(i => [i.rating, i.price]));
+  assert.deepEqual(byRating(full[0]), { N: 40, R: 75, G: 120, U: 200 });
+  const sale = await shopRun('prices', { cardOffers: 4, statBuffOffers: 0, discountChance: 1 });
+  assert.deepEqual(offers(sale[0]).sort(), [['G', 84, 120, 0.3], ['N', 28, 40, 0.3], ['R', 53, 75, 0.3], ['U', 140, 200, 0.3]]);
+});
+
+test('generated stock: the same seed stocks the same shops', async () => {
+  const merchant = { cardOffers: 2, statBuffOffers: 2 };
+  const a = await shopRun('stock-1', merchant);
+  const b = await shopRun('stock-1', merchant);
+  const shops = (run) => run.filter(r => r.type === 'merchant').map(r => r.merchant.items);
+  assert.equal(shops(a).length, 3);
+  assert.deepEqual(shops(a), shops(b));
+  assert.notDeepEqual(shops(a), shops(await shopRun('stock-2', merchant)));
+});
+
+test('generated stock: stays as generated across visits in the run', async () => {
+  const run = await shopRun('frozen', { cardOffers: 3, statBuffOffers: 1 });
+  store.doc.set('progress.generatedPath', run);
+  store.doc.set('progress.roomIndex', 0);
+  store.doc.money = 500;
+  const visit = () => call(getMerchantItems, { params: { id: String(run[0]._id) }, user: { _id: store.doc.user } });
+  const first = await visit();
+  assert.equal((await buy(0, run[0]._id)).status, 200);
+  const second = await visit();
+  const asStocked = (res) => res.body.items.map(({ remaining, ...item }) => item);
+  assert.deepEqual(asStocked(second), asStocked(first));
+  assert.deepEqual(asStocked(first), run[0].merchant.items.map(i => ({ ...i, stock: 1 })));
+  assert.deepEqual(second.body.items.map(i => i.remaining), [0, 1, 1, 1]);
+});
@@ -0,0 +1,58 @@
+// test/multiEnemy.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRound, quietly } = require('../engine/combatEngine');
+const { STATS, openingState } = require('./helpers');
+
+const round = (state, input) => quietly(() => resolveRound(state, input));
+// No dodging, so every card that is aimed at an enemy lands
+const fight = (seed) => openingState(seed, { enemies: 3, enemy: { stats: { ...STATS, speed: 0 } } });
+const affordable = (state) => state.player.hand.find(c => c.spCost <= state.player.sp && !c.abilities.length);
+const cardHits = (r) => r.events.filter(e => e.type === 'damage' && e.side === 'player' && e.source !== 'effect');
+const hpLost = (before, r) => before.enemies.map((e, i) => e.hp - r.state.enemies[i].hp);
+
+test('a single attack hits only the enemy it targets', () => {
+  const state = fight('multi-single');
+  const card = affordable(state);
+  const r = round(state, { action: 'play', selectedIds: [String(card.instanceId)], targets: { [card.instanceId]: 2 } });
+  assert.equal(r.error, undefined);
+  assert.deepEqual([...new Set(cardHits(r).map(e => e.enemyIndex))], [2]);
+  const lost = hpLost(state, r);
+  assert.ok(lost[2] > 0);
+  assert.deepEqual(lost.slice(0, 2), [0, 0]);
+});
+
+test('an attack aimed at a defeated enemy goes to the first one standing', () => {
+  const state = fight('multi-retarget');
+  state.enemies[0].hp = 0;
+  const card = affordable(state);
+  const r = round(state, { action: 'play', selectedIds: [String(card.instanceId)], target: 0 });
+  assert.deepEqual(r.events.filter(e => e.type === 'card_played' && e.side === 'player').map(e => e.target), [1]);
+  assert.deepEqual([...new Set(cardHits(r).map(e => e.enemyIndex))], [1]);
+});
+
+test('an AoE attack hits every enemy standing', () => {
+  const state = fight('multi-aoe');
+  const card = affordable(state);
+  const idx = state.player.hand.indexOf(card);
+  state.player.hand[idx] = { ...card, defaultAttackType: 'AoE' };
+  const r = round(state, { action: 'play', selectedIds: [String(card.instanceId)] });
+  assert.deepEqual(r.events.filter(e => e.type === 'card_played' && e.side === 'player').map(e => e.target), ['all']);
+  assert.deepEqual([...new Set(cardHits(r).map(e => e.enemyIndex))].sort(), [0, 1, 2]);
+});
+
+test('the fight is won only once every enemy is down', () => {
+  const state = fight('multi-win');
+  state.enemies[0].hp = 1;
+  state.enemies[1].hp = 0;
+  state.enemies[2].hp = 0;
+  const card = affordable(state);
+  const first = round(state, { action: 'play', selectedIds: [String(card.instanceId)], target: 0 });
+  assert.equal(first.state.status, 'won');
+  const alive = fight('multi-win');
+  alive.enemies[0].hp = 1;
+  alive.enemies[1].hp = 0;
+  const second = round(alive, { action: 'play', selectedIds: [String(card.instanceId)], target: 0 });
+  assert.equal(second.state.enemies[0].hp, 0);
+  assert.equal(second.state.status, 'active');
+});
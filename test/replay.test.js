@@ -0,0 +1,42 @@
+// test/replay.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { playbackReplay, quietly } = require('../engine/combatEngine');
+const { playFight } = require('./helpers');
+
+test('playbackReplay: a recorded fight plays back as it was fought', () => {
+  const { replay, rounds, final } = playFight('replay-3');
+  const playback = quietly(() => playbackReplay(replay));
+  assert.equal(playback.desync, null);
+  assert.equal(playback.turns.length, rounds.length);
+  assert.deepEqual(playback.turns.map(t => t.events), rounds.map(r => r.events));
+  assert.equal(playback.finalStatus, final.status);
+  const last = playback.turns[playback.turns.length - 1];
+  assert.equal(last.player.hp, final.player.hp);
+  assert.deepEqual(last.enemies.map(e => e.hp), final.enemies.map(e => e.hp));
+});
+
+test('playbackReplay: starts from the recorded opening state', () => {
+  const { replay } = playFight('replay-4');
+  const playback = quietly(() => playbackReplay(replay));
+  assert.deepEqual(playback.initial.player.hand, replay.initial.player.hand);
+  assert.equal(playback.initial.enemies[0].hp, replay.initial.enemies[0].hp);
+});
+
+test('playbackReplay: flags a recording whose HP no longer matches', () => {
+  const { replay } = playFight('replay-5');
+  const tampered = JSON.parse(JSON.stringify(replay));
+  tampered.actions[1].playerHp += 1;
+  const playback = quietly(() => playbackReplay(tampered));
+  assert.deepEqual(playback.desync, { turn: tampered.actions[1].turn, message: 'Rebuilt HP differs from the recorded fight' });
+  assert.equal(playback.turns.length, replay.actions.length);
+});
+
+test('playbackReplay: stops at an action the rules no longer accept', () => {
+  const { replay } = playFight('replay-6');
+  const broken = JSON.parse(JSON.stringify(replay));
+  broken.actions[0] = { ...broken.actions[0], action: 'play', selectedCards: ['9999'] };
+  const playback = quietly(() => playbackReplay(broken));
+  assert.equal(playback.desync.turn, broken.actions[0].turn);
+  assert.equal(playback.turns.length, 0);
+});
@@ -0,0 +1,57 @@
+// test/resistances.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Enemy = require('../models/Enemy');
+const { resolveRound, quietly } = require('../engine/combatEngine');
+const { updateEnemy } = require('../controllers/enemyController');
+const { makeCards, openingState, call } = require('./helpers');
+
+const physical = makeCards(6).filter(c => c.type[0] === 'Physical' && !c.abilities.length);
+
+// Player opens with plain Physical attacks against an enemy with `resistances`
+function hit(resistances) {
+  const state = openingState('resist', { player: { cards: physical, handSize: 3 }, enemyFields: { resistances } });
+  const card = state.player.hand[0];
+  const r = quietly(() => resolveRound(state, { action: 'play', selectedIds: [String(card.instanceId)] }));
+  const dealt = r.events.filter(e => e.type === 'damage' && e.target !== 'player').reduce((n, e) => n + e.amount, 0);
+  return { events: r.events, dealt };
+}
+
+test('damage resistances scale card damage by type', () => {
+  const normal = hit(null);
+  assert.ok(normal.dealt > 0);
+
+  const halved = hit({ damage: { Physical: 0.5, Supernatural: 1 } });
+  assert.ok(halved.events.some(e => e.type === 'resisted' && e.kind === 'damage' && e.damageType === 'Physical' && e.multiplier === 0.5));
+  assert.ok(halved.dealt < normal.dealt);
+
+  const immune = hit({ damage: { Physical: 0, Supernatural: 1 } });
+  assert.ok(immune.events.some(e => e.type === 'immune' && e.kind === 'damage'));
+  assert.equal(immune.dealt, 0);
+});
+
+const owner = new mongoose.Types.ObjectId();
+const current = new Enemy({ name: 'Golem', owner });
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+  mock.method(Enemy, 'findById', async () => current);
+});
+afterEach(() => mock.restoreAll());
+
+const update = (body) => call(updateEnemy, { params: { id: String(current._id) }, body, user: { _id: owner } });
+
+test('updateEnemy: out-of-range resistances are rejected', async () => {
+  const { status, body } = await update({ resistances: { damage: { Physical: 9 } } });
+  assert.equal(status, 400);
+  assert.match(body.error, /resistances\.damage\.Physical/);
+});
+
+test('updateEnemy: unknown ability resistances are rejected', async () => {
+  const { status, body } = await update({ resistances: { abilities: [{ type: 'Sleep', immune: true }] } });
+  assert.equal(status, 400);
+  assert.match(body.error, /Sleep/);
+});
@@ -0,0 +1,79 @@
+// test/rest.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SavedGame = require('../models/SavedGame');
+const Campaign = require('../models/Campaign');
+const Card = require('../models/Card');
+const { restAtRoom } = require('../controllers/roomController');
+const { query, call, savedGameStore } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const A = oid();
+const B = oid();
+const restId = oid();
+const campaign = {
+  _id: oid(),
+  playerSetup: { startingDeck: [{ cardId: A, qty: 2 }, { cardId: B, qty: 1 }], initialStats: { vitality: 2 } },
+};
+let store;
+
+beforeEach(() => {
+  store = savedGameStore(SavedGame, new SavedGame({
+    user: oid(),
+    playerHp: 50,
+    progress: { campaignId: campaign._id, roomIndex: 0, generatedPath: [{ _id: String(restId), index: 0, type: 'rest', rest: { healPercent: 30 } }] },
+  }));
+  mock.method(console, 'log', () => {});
+  mock.method(SavedGame, 'findOne', store.findOne);
+  mock.method(SavedGame, 'findOneAndUpdate', store.findOneAndUpdate);
+  mock.method(Campaign, 'findById', () => query(campaign));
+  mock.method(Card, 'findById', (id) => query(String(id) === String(A) ? { upgrade: { potency: 5 } } : {}));
+});
+afterEach(() => mock.restoreAll());
+
+const rest = (body) => call(restAtRoom, { params: { id: String(restId) }, body, user: { _id: store.doc.user } });
+
+test('restAtRoom: heal restores healPercent of max HP once per visit', async () => {
+  const { status, body } = await rest({ choice: 'heal' });
+  assert.equal(status, 200);
+  assert.equal(body.playerHp, 110);
+  assert.equal(store.doc.runStats.hp, 110);
+  assert.equal((await rest({ choice: 'heal' })).status, 409);
+});
+
+test('restAtRoom: upgrade marks one copy as Card+', async () => {
+  const { status, body } = await rest({ choice: 'upgrade', cardId: String(A) });
+  assert.equal(status, 200);
+  assert.deepEqual(body.upgradedCards.map(e => [String(e.cardId), e.qty]), [[String(A), 1]]);
+  assert.equal((await rest({ choice: 'upgrade', cardId: String(B) })).status, 409);
+});
+
+test('restAtRoom: a card without an upgrade cannot be upgraded', async () => {
+  const { status, body } = await rest({ choice: 'upgrade', cardId: String(B) });
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Card has no upgrade');
+});
+
+test('restAtRoom: remove takes one copy out of the run deck', async () => {
+  const { body } = await rest({ choice: 'remove', cardId: String(A) });
+  assert.deepEqual(body.removedCards.map(e => [String(e.cardId), e.qty]), [[String(A), 1]]);
+  assert.equal(body.run, null);
+});
+
+test('restAtRoom: a deck change made after the read is not overwritten', async () => {
+  const read = await store.findOne();
+  store.doc.extraDeck.push({ cardId: B, qty: 1 }); // e.g. a loot claim landing in between
+  SavedGame.findOne.mock.mockImplementationOnce(() => query(read));
+  assert.equal((await rest({ choice: 'remove', cardId: String(A) })).status, 409);
+  assert.deepEqual(store.doc.removedCards, []);
+  assert.equal(store.doc.extraDeck.length, 1);
+});
+
+test('restAtRoom: does not apply once the run has ended', async () => {
+  const read = await store.findOne();
+  store.doc.runStatus = 'lost';
+  SavedGame.findOne.mock.mockImplementationOnce(() => query(read));
+  assert.equal((await rest({ choice: 'heal' })).status, 409);
+  assert.equal(store.doc.playerHp, 50);
+});
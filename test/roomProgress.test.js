@@ -0,0 +1,137 @@
+// test/roomProgress.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SavedGame = require('../models/SavedGame');
+const Campaign = require('../models/Campaign');
+const CombatSession = require('../models/CombatSession');
+const RunRecord = require('../models/RunRecord');
+const { advanceRoom } = require('../controllers/gameController');
+const { resolveEvent } = require('../controllers/roomController');
+const { query, call, savedGameStore } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const A = oid();
+const B = oid();
+const eventId = oid();
+let campaign;
+let store;
+
+const room = (type, extra = {}) => ({ _id: String(oid()), type, ...extra });
+const event = room('event', {
+  _id: String(eventId),
+  event: { effects: [{ kind: 'money', amount: 15 }, { kind: 'card', cardId: B }, { kind: 'statBuff', stat: 'vitality', amount: 1 }] },
+});
+
+function startAt(path, roomIndex = 0) {
+  store = savedGameStore(SavedGame, new SavedGame({
+    user: oid(),
+    money: 5,
+    progress: { campaignId: campaign._id, roomIndex, generatedPath: path.map((r, index) => ({ ...r, index })) },
+  }));
+  mock.method(SavedGame, 'findOne', store.findOne);
+  mock.method(SavedGame, 'findOneAndUpdate', store.findOneAndUpdate);
+}
+
+beforeEach(() => {
+  campaign = { _id: oid(), playerSetup: { maxDeckSize: 30, startingDeck: [{ cardId: A, qty: 3 }] } };
+  mock.method(console, 'log', () => {});
+  mock.method(Campaign, 'findById', () => query(campaign));
+  mock.method(CombatSession, 'exists', async () => null);
+  mock.method(RunRecord, 'create', async (doc) => doc);
+});
+afterEach(() => mock.restoreAll());
+
+const advance = (body = {}) => call(advanceRoom, { body, user: { _id: store.doc.user } });
+const resolve = (id = eventId) => call(resolveEvent, { params: { id: String(id) }, user: { _id: store.doc.user } });
+
+test('advanceRoom: a fight must be won in this run first', async () => {
+  startAt([room('combat'), room('rest')]);
+  const blocked = await advance();
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.message, 'Win this fight before moving on');
+
+  CombatSession.exists.mock.mockImplementation(async () => ({ _id: oid() }));
+  const { status, body } = await advance();
+  assert.equal(status, 200);
+  assert.equal(body.roomIndex, 1);
+  assert.equal(body.room.type, 'rest');
+  assert.equal(body.run, null);
+  assert.equal(store.doc.progress.roomIndex, 1);
+});
+
+test('advanceRoom: loot must be claimed or skipped', async () => {
+  startAt([room('loot'), room('rest')]);
+  assert.equal((await advance()).body.message, 'Claim or skip the loot before moving on');
+  assert.equal((await advance({ skip: true })).status, 200);
+});
+
+test('advanceRoom: parallel calls move one room only', async () => {
+  startAt([room('rest'), room('rest'), room('rest')]);
+  const results = await Promise.all([advance(), advance()]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(store.doc.progress.roomIndex, 1);
+});
+
+test('advanceRoom: a finished run cannot move', async () => {
+  startAt([room('rest'), room('rest')]);
+  store.doc.runStatus = 'won';
+  assert.equal((await advance()).status, 409);
+});
+
+test('advanceRoom: an event must be resolved on the server first', async () => {
+  startAt([event, room('rest')]);
+  const blocked = await advance();
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.message, 'Finish the event before moving on');
+
+  assert.equal((await resolve()).status, 200);
+  assert.equal((await advance()).status, 200);
+});
+
+test('resolveEvent: applies the effects once', async () => {
+  startAt([event, room('rest')]);
+  const { status, body } = await resolve();
+  assert.equal(status, 200);
+  assert.equal(body.applied.length, 3);
+  assert.equal(body.money, 20);
+  assert.equal(body.extraStats.vitality, 1);
+  assert.deepEqual(body.extraDeck.map(e => String(e.cardId)), [String(B)]);
+  assert.equal(store.doc.eventResolvedAt, 0);
+
+  const again = await resolve();
+  assert.equal(again.status, 409);
+  assert.equal(store.doc.money, 20);
+});
+
+test('resolveEvent: only one of two parallel calls applies', async () => {
+  startAt([event, room('rest')]);
+  const results = await Promise.all([resolve(), resolve()]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+  assert.equal(store.doc.money, 20);
+});
+
+test('resolveEvent: a deck change made after the read is not overwritten', async () => {
+  startAt([event, room('rest')]);
+  const read = await store.findOne();
+  store.doc.extraDeck.push({ cardId: A, qty: 1 });
+  SavedGame.findOne.mock.mockImplementationOnce(() => query(read));
+  assert.equal((await resolve()).status, 409);
+  assert.deepEqual(store.doc.extraDeck.map(e => String(e.cardId)), [String(A)]);
+  assert.equal(store.doc.money, 5);
+});
+
+test('resolveEvent: cards that no longer fit the deck are left out', async () => {
+  campaign.playerSetup.maxDeckSize = 3;
+  startAt([event, room('rest')]);
+  const { status, body } = await resolve();
+  assert.equal(status, 200);
+  assert.deepEqual(body.applied.map(e => e.kind), ['money', 'statBuff']);
+  assert.deepEqual(body.extraDeck, []);
+});
+
+test('resolveEvent: only the event the run is in', async () => {
+  startAt([room('rest'), event], 0);
+  assert.equal((await resolve()).status, 400);
+  assert.equal(store.doc.eventResolvedAt, undefined);
+});
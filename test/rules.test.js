@@ -0,0 +1,50 @@
+// test/rules.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Campaign = require('../models/Campaign');
+const { DEFAULT_RULES, normalizeRules, resolveRound, quietly } = require('../engine/combatEngine');
+const { openingState } = require('./helpers');
+
+const round = (state, input = { action: 'skip' }) => quietly(() => resolveRound(state, input));
+const playable = (state, n) => state.player.hand.filter(c => c.spCost <= 1 && !c.abilities.length).slice(0, n).map(c => String(c.instanceId));
+
+test('normalizeRules: unset keys take the defaults, set ones are clamped', () => {
+  assert.deepEqual(normalizeRules(undefined), { ...DEFAULT_RULES });
+  assert.deepEqual(normalizeRules({ handSize: 99, drawPerTurn: -3, spPerTurn: 2.7, reshuffle: 'shuffle' }), {
+    ...DEFAULT_RULES, handSize: 10, drawPerTurn: 0, spPerTurn: 2,
+  });
+  assert.equal(normalizeRules({ reshuffle: 'discard' }).reshuffle, 'discard');
+});
+
+test('Campaign.rules: out-of-range values fail validation', () => {
+  const err = new Campaign({ name: 'c', rules: { handSize: 0, reshuffle: 'shuffle' } }).validateSync();
+  assert.ok(err.errors['rules.handSize']);
+  assert.ok(err.errors['rules.reshuffle']);
+});
+
+test('the hand refills to rules.handSize, at most drawPerTurn cards a turn', () => {
+  const refill = openingState('rules-hand', { player: { handSize: 4 }, rules: { handSize: 4 } });
+  const played = round(refill, { action: 'play', selectedIds: playable(refill, 2) });
+  assert.equal(played.state.player.hand.length, 4);
+
+  const trickle = openingState('rules-hand', { player: { handSize: 4 }, rules: { handSize: 4, drawPerTurn: 1 } });
+  const r = round(trickle, { action: 'play', selectedIds: playable(trickle, 2) });
+  assert.equal(r.state.player.hand.length, 3);
+});
+
+test('SP comes back per skip, per defend and per round as the rules say', () => {
+  const state = openingState('rules-sp', { rules: { spOnSkip: 1, spOnDefend: 0, spPerTurn: 2 } });
+  state.player.sp = 0;
+  const skipped = round(state);
+  assert.equal(skipped.state.player.sp, 3);
+  const defended = round(skipped.state, { action: 'defend' });
+  assert.equal(defended.state.player.sp, 5);
+});
+
+test('with reshuffle: discard, used cards wait in the discard pile', () => {
+  const state = openingState('rules-discard', { rules: { reshuffle: 'discard' } });
+  const [id] = playable(state, 1);
+  const r = round(state, { action: 'play', selectedIds: [id] });
+  assert.ok(r.state.player.discard.some(c => String(c.instanceId) === id));
+  assert.ok(!r.state.player.deck.some(c => String(c.instanceId) === id));
+});
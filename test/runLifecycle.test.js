@@ -0,0 +1,171 @@
+// test/runLifecycle.test.js
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SavedGame = require('../models/SavedGame');
+const RunRecord = require('../models/RunRecord');
+const Campaign = require('../models/Campaign');
+const {
+  progressOutcome, roundCounters, addCounters, runSummary, finishRun, settleRun,
+} = require('../utils/runLifecycle');
+const { restAtRoom } = require('../controllers/roomController');
+const { advanceRoom } = require('../controllers/gameController');
+const { query, call, savedGameStore } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const A = oid();
+const B = oid();
+const campaign = {
+  _id: oid(),
+  name: 'Test',
+  playerSetup: { minDeckSize: 3, startingDeck: [{ cardId: A, qty: 2 }, { cardId: B, qty: 1 }], initialStats: { vitality: 2 } },
+};
+const path = (...types) => types.map((type, index) => ({ _id: String(oid()), index, type }));
+
+// SavedGame.findOneAndUpdate for finishRun: the first call freezes the run, later ones find nothing
+function mockFinish(saved) {
+  return mock.method(SavedGame, 'findOneAndUpdate', (filter, update) => {
+    if (filter.runStatus && saved.runStatus && filter.runStatus.$nin.includes(saved.runStatus)) return query(null);
+    Object.assign(saved, update.$set);
+    return query({ ...saved });
+  });
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(RunRecord, 'create', async (doc) => doc);
+});
+afterEach(() => mock.restoreAll());
+
+describe('progressOutcome', () => {
+  test('wins once the player moves past the last room', () => {
+    const saved = { progress: { roomIndex: 2, generatedPath: path('combat', 'boss') } };
+    assert.deepEqual(progressOutcome(saved, campaign), { outcome: 'won', reason: 'path_complete' });
+  });
+
+  test('loses below minDeckSize, but only when the caller changed the deck', () => {
+    const saved = { progress: { roomIndex: 0, generatedPath: path('rest') }, removedCards: [{ cardId: B, qty: 1 }] };
+    assert.equal(progressOutcome(saved, campaign), null);
+    assert.deepEqual(progressOutcome(saved, campaign, { deckChanged: true }), { outcome: 'lost', reason: 'deck_too_small' });
+  });
+
+  test('keeps going otherwise', () => {
+    const saved = { progress: { roomIndex: 0, generatedPath: path('rest') } };
+    assert.equal(progressOutcome(saved, campaign, { deckChanged: true }), null);
+  });
+});
+
+test('roundCounters: damage and plays every round, fight totals once it is over', () => {
+  const events = [
+    { type: 'damage', target: 'player', amount: 4 },
+    { type: 'damage', target: 'enemy', amount: 7 },
+    { type: 'damage', target: 'enemy', amount: 3 },
+    { type: 'heal', target: 'player', amount: 9 },
+  ];
+  const played = [{ id: 'c1' }, { id: 'c1' }, { id: 'c2' }];
+  assert.deepEqual(roundCounters({ events, played, status: 'active', turns: 3 }), {
+    'runStats.damageTaken': 4,
+    'runStats.damageDealt': 10,
+    'runStats.cardsPlayed.c1': 2,
+    'runStats.cardsPlayed.c2': 1,
+  });
+  assert.deepEqual(roundCounters({ status: 'won', enemies: [{ hp: 0 }, { hp: 0 }], turns: 5 }), {
+    'runStats.fightsWon': 1,
+    'runStats.enemiesDefeated': 2,
+    'runStats.turns': 5,
+  });
+});
+
+test('addCounters: applies a roundCounters $inc in memory', () => {
+  const stats = addCounters({ turns: 2, cardsPlayed: { c1: 1 } }, { 'runStats.turns': 3, 'runStats.cardsPlayed.c1': 2 });
+  assert.deepEqual(stats, { turns: 5, cardsPlayed: { c1: 3 } });
+});
+
+test('runSummary: verified figures come from runStats only', () => {
+  const saved = {
+    money: 999,
+    playerHp: 80,
+    progress: { campaignId: campaign._id, roomIndex: 1, generatedPath: path('combat', 'boss') },
+    runStats: { turns: 9, hp: 12, money: 40, cardsPlayed: { c1: 2, c2: 3 } },
+  };
+  const summary = runSummary(saved, campaign, 'won', 'boss_defeated');
+  assert.deepEqual(summary.verified, { turns: 9, cardsUsed: 5, hp: 12, money: 40 });
+  assert.equal(summary.roomsCleared, 2);
+  assert.equal(summary.deckSize, 3);
+});
+
+describe('finishRun', () => {
+  test('freezes the run once and records it once', async () => {
+    const saved = { _id: oid(), user: oid(), progress: { campaignId: campaign._id, roomIndex: 0, generatedPath: path('boss') } };
+    const update = mockFinish(saved);
+    const first = await finishRun(saved, campaign, 'won', 'boss_defeated');
+    const second = await finishRun(saved, campaign, 'lost', 'player_died');
+    assert.equal(first.runStatus, 'won');
+    assert.equal(second, null);
+    assert.deepEqual(update.mock.calls[0].arguments[0], { _id: saved._id, runStatus: { $nin: ['won', 'lost'] } });
+    assert.equal(RunRecord.create.mock.callCount(), 1);
+    assert.equal(RunRecord.create.mock.calls[0].arguments[0].reason, 'boss_defeated');
+  });
+
+  test('a failed history write does not undo the end of the run', async () => {
+    const saved = { _id: oid(), user: oid(), progress: { campaignId: campaign._id, roomIndex: 0, generatedPath: path('boss') } };
+    mockFinish(saved);
+    mock.method(console, 'error', () => {});
+    RunRecord.create.mock.mockImplementation(async () => { throw new Error('down'); });
+    const finished = await finishRun(saved, campaign, 'won', 'boss_defeated');
+    assert.equal(finished.runStatus, 'won');
+  });
+});
+
+test('settleRun: null while the run goes on, { status, summary } once it ends', async () => {
+  const saved = { _id: oid(), user: oid(), progress: { campaignId: campaign._id, roomIndex: 0, generatedPath: path('combat') } };
+  mockFinish(saved);
+  assert.equal(await settleRun(saved, campaign), null);
+  saved.progress.roomIndex = 1;
+  const run = await settleRun(saved, campaign);
+  assert.equal(run.status, 'won');
+  assert.equal(run.summary.reason, 'path_complete');
+});
+
+test('restAtRoom: removing a card below minDeckSize loses the run', async () => {
+  const restId = oid();
+  const game = new SavedGame({
+    user: oid(),
+    progress: { campaignId: campaign._id, roomIndex: 0, generatedPath: [{ _id: String(restId), index: 0, type: 'rest', rest: { options: ['remove'] } }] },
+  });
+  const store = savedGameStore(SavedGame, game);
+  mock.method(SavedGame, 'findOne', store.findOne);
+  mock.method(Campaign, 'findById', () => query(campaign));
+  mock.method(SavedGame, 'findOneAndUpdate', store.findOneAndUpdate);
+  const { status, body } = await call(restAtRoom, {
+    params: { id: String(restId) },
+    body: { choice: 'remove', cardId: String(B) },
+    user: { _id: game.user },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.run.status, 'lost');
+  assert.equal(body.run.summary.reason, 'deck_too_small');
+  assert.equal(game.runStatus, 'lost');
+});
+
+test('advanceRoom: moving past the last room wins the run', async () => {
+  const saved = {
+    _id: oid(),
+    user: oid(),
+    progress: { campaignId: campaign._id, roomIndex: 0, generatedPath: path('rest') },
+  };
+  mock.method(SavedGame, 'findOne', () => query(saved));
+  mock.method(Campaign, 'findById', () => query(campaign));
+  mock.method(SavedGame, 'findOneAndUpdate', (filter, update) => {
+    if (filter['progress.roomIndex'] !== undefined) {
+      return query({ ...saved, progress: { ...saved.progress, roomIndex: update.$set['progress.roomIndex'] } });
+    }
+    return query({ runStatus: update.$set.runStatus, runSummary: update.$set.runSummary });
+  });
+  const { status, body } = await call(advanceRoom, { body: {}, user: { _id: saved.user } });
+  assert.equal(status, 200);
+  assert.equal(body.roomIndex, 1);
+  assert.equal(body.run.status, 'won');
+  assert.equal(body.run.summary.reason, 'path_complete');
+  assert.equal(RunRecord.create.mock.callCount(), 1);
+});
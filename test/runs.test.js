@@ -0,0 +1,57 @@
+// test/runs.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const RunRecord = require('../models/RunRecord');
+const Card = require('../models/Card');
+const { listRuns, getRunStats } = require('../controllers/runController');
+const { query, call } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const user = { _id: oid() };
+const card = { _id: oid(), name: 'Strike', rating: 'R' };
+
+beforeEach(() => {
+  mock.method(console, 'error', () => {});
+  mock.method(Card, 'find', () => query([card]));
+});
+afterEach(() => mock.restoreAll());
+
+test('listRuns: your runs, filtered and paged', async () => {
+  const campaignId = String(oid());
+  const runs = [{ _id: oid(), outcome: 'won' }];
+  mock.method(RunRecord, 'find', () => query(runs));
+  mock.method(RunRecord, 'countDocuments', async () => 41);
+  const { status, body } = await call(listRuns, { query: { campaignId, outcome: 'won', limit: '500', page: '3' }, user });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { runs, total: 41, page: 3, limit: 100 });
+  assert.deepEqual(RunRecord.find.mock.calls[0].arguments[0], { user: user._id, campaignId, outcome: 'won' });
+});
+
+test('listRuns: rejects a bad campaignId or outcome', async () => {
+  const bad = (q) => call(listRuns, { query: q, user });
+  assert.deepEqual((await bad({ campaignId: 'nope' })).body, { message: 'Invalid campaignId' });
+  assert.deepEqual((await bad({ outcome: 'draw' })).body, { message: 'outcome must be one of won, lost, abandoned' });
+});
+
+test('getRunStats: totals over campaigns and named favourite cards', async () => {
+  const campaigns = [
+    { _id: oid(), campaignName: 'A', runs: 3, wins: 2, losses: 1, abandoned: 0, turns: 30, damageDealt: 900, damageTaken: 400, moneyEarned: 120, timePlayedMs: 6000 },
+    { _id: oid(), campaignName: 'B', runs: 2, wins: 0, losses: 1, abandoned: 1, turns: 8, damageDealt: 100, damageTaken: 300, moneyEarned: 10, timePlayedMs: 1000 },
+  ];
+  const cards = [{ _id: String(card._id), played: 12, runs: 3 }, { _id: 'legacy', played: 2, runs: 1 }];
+  const results = [campaigns, cards];
+  mock.method(RunRecord, 'aggregate', async () => results.shift());
+  mock.method(RunRecord, 'find', () => query([]));
+  const { status, body } = await call(getRunStats, { user });
+  assert.equal(status, 200);
+  assert.deepEqual(body.totals, {
+    runs: 5, wins: 2, losses: 2, abandoned: 1, turns: 38, damageDealt: 1000, damageTaken: 700, moneyEarned: 130, timePlayedMs: 7000,
+  });
+  assert.deepEqual(body.campaigns.map(c => [String(c.campaignId), c.campaignName]), campaigns.map(c => [String(c._id), c.campaignName]));
+  assert.deepEqual(body.favouriteCards, [
+    { cardId: String(card._id), name: 'Strike', rating: 'R', played: 12, runs: 3 },
+    { cardId: 'legacy', name: null, rating: null, played: 2, runs: 1 },
+  ]);
+  assert.deepEqual(body.bestClears, []);
+});
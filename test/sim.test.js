@@ -0,0 +1,52 @@
+// test/sim.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Card = require('../models/Card');
+const Enemy = require('../models/Enemy');
+const Campaign = require('../models/Campaign');
+const { simulateDuels } = require('../controllers/simController');
+const { query, call } = require('./helpers');
+
+const oid = () => new mongoose.Types.ObjectId();
+const cards = [0, 1, 2, 3].map(i => ({
+  _id: oid(), name: `C${i}`, type: ['Physical'], rating: 'N', potency: 8 + i, spCost: 1, defaultAttackType: 'Single', abilities: [],
+}));
+const foe = new Enemy({ _id: oid(), name: 'Dummy', stats: { attackPower: 3, physicalPower: 5, vitality: 2 }, moveSet: cards.map(c => c._id) });
+const deck = cards.map(c => ({ cardId: String(c._id), qty: 2 }));
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(Enemy, 'findById', async () => foe);
+  mock.method(Campaign, 'findById', () => query(null));
+  mock.method(Card, 'find', () => query(cards));
+});
+afterEach(() => mock.restoreAll());
+
+const simulate = (body) => call(simulateDuels, { body: { enemyId: String(foe._id), deck, ...body } });
+
+test('simulateDuels: the same seed gives the same report', async () => {
+  const a = await simulate({ runs: 10, seed: 'balance' });
+  const b = await simulate({ runs: 10, seed: 'balance' });
+  assert.equal(a.status, 200);
+  assert.equal(a.body.runs, 10);
+  assert.equal(a.body.seed, 'balance');
+  assert.deepEqual(a.body, b.body);
+});
+
+test('simulateDuels: refuses more work than one request may do', async () => {
+  const { status, body } = await simulate({ runs: 500, maxTurns: 300 });
+  assert.equal(status, 400);
+  assert.equal(body.message, 'runs × maxTurns must be at most 20000');
+});
+
+test('simulateDuels: validates the request', async () => {
+  assert.equal((await call(simulateDuels, { body: { enemyId: 'nope', deck } })).status, 400);
+  assert.equal((await simulate({ policy: 'cheat' })).status, 400);
+  assert.equal((await simulate({ deck: [] })).body.message, 'Player deck is empty (no known cards)');
+});
+
+test('simulateDuels: refuses daily challenge seeds', async () => {
+  const { status } = await simulate({ runs: 1, seed: 'daily-2026-10-19:3' });
+  assert.equal(status, 400);
+});
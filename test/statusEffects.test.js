@@ -0,0 +1,66 @@
+// test/statusEffects.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRound, quietly } = require('../engine/combatEngine');
+const { makeCards, openingState } = require('./helpers');
+
+const round = (state, input = { action: 'skip' }) => quietly(() => resolveRound(state, input));
+const effect = (type, power, remaining) => ({ type, power, remaining });
+const ticks = (r, effectType) => r.events.filter(e => e.type === 'damage' && e.source === 'effect' && e.effect === effectType);
+const support = (cards) => cards.map(c => ({ ...c, type: ['Support'], abilities: [] }));
+
+test('Poison deals its power and Burn a share of max HP at the end of each round', () => {
+  const state = openingState('status-ticks');
+  state.enemies[0].activeEffects = [effect('Poison', 7, 3)];
+  state.activeEffects.player = [effect('Burn', 10, 3)];
+  const r = round(state);
+  assert.deepEqual(ticks(r, 'Poison').map(e => [e.target, e.amount]), [['enemy', 7]]);
+  assert.deepEqual(ticks(r, 'Burn').map(e => [e.target, e.amount]), [['player', Math.floor(state.player.maxHp / 10)]]);
+});
+
+test('effects tick down and are dropped once their duration runs out', () => {
+  const state = openingState('status-expiry');
+  state.enemies[0].activeEffects = [effect('Poison', 4, 2)];
+  const first = round(state);
+  const poison = (r) => r.state.enemies[0].activeEffects.filter(e => e.type === 'Poison');
+  assert.deepEqual(poison(first).map(e => e.remaining), [1]);
+  const second = round(first.state);
+  assert.equal(ticks(second, 'Poison').length, 1);
+  assert.deepEqual(second.events.filter(e => e.type === 'effect_expired' && e.effect === 'Poison').map(e => e.reason), ['duration']);
+  assert.deepEqual(poison(second), []);
+  assert.deepEqual(ticks(round(second.state), 'Poison'), []);
+});
+
+test('Taunt pulls single attacks onto the taunting enemy', () => {
+  const state = openingState('status-taunt', { enemies: 2 });
+  state.enemies[1].activeEffects = [effect('Taunt', 0, 2)];
+  const card = state.player.hand.find(c => c.spCost <= state.player.sp && c.defaultAttackType === 'Single');
+  const r = round(state, { action: 'play', selectedIds: [String(card.instanceId)], target: 0 });
+  assert.equal(r.error, undefined);
+  assert.deepEqual(r.events.filter(e => e.type === 'card_played' && e.side === 'player').map(e => e.target), [1]);
+});
+
+test('Silence only lets the player play attack cards', () => {
+  const state = openingState('status-silence');
+  state.activeEffects.player = [effect('Silence', 0, 2)];
+  state.player.hand[0] = { ...state.player.hand[0], type: ['Support'], spCost: 0 };
+  const r = round(state, { action: 'play', selectedIds: [String(state.player.hand[0].instanceId)] });
+  assert.deepEqual(r.error, { status: 400, message: 'You are silenced: only attack cards can be played.' });
+});
+
+test('a silenced enemy holding no attack cards does not play', () => {
+  const opts = { enemy: { cards: support(makeCards(5)) } };
+  const plays = (state) => {
+    let count = 0;
+    for (let i = 0; i < 4 && state.status === 'active'; i++) {
+      const r = round(state);
+      count += r.events.filter(e => e.type === 'card_played' && e.side === 'enemy').length;
+      state = r.state;
+    }
+    return count;
+  };
+  const silenced = openingState('status-silence-foe', opts);
+  silenced.enemies[0].activeEffects = [effect('Silence', 0, 9)];
+  assert.equal(plays(silenced), 0);
+  assert.ok(plays(openingState('status-silence-foe', opts)) > 0);
+});
@@ -0,0 +1,57 @@
+// test/triggers.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRound, quietly } = require('../engine/combatEngine');
+const { STATS, openingState } = require('./helpers');
+
+const round = (state, input = { action: 'skip' }) => quietly(() => resolveRound(state, input));
+const regenOn = (trigger) => ({ type: 'Regen', key: `regen-${trigger}`, power: 1, duration: 2, activationChance: 100, trigger });
+const withAbilities = (card, ...abilities) => ({ ...card, abilities });
+const fired = (r, side, trigger) => r.events.filter(e => e.type === 'ability_activated' && e.side === side && e.trigger === trigger);
+const play = (card) => ({ action: 'play', selectedIds: [String(card.instanceId)], target: 0 });
+
+test('turnStart and turnEnd fire once per round', () => {
+  const state = openingState('trigger-turn');
+  state.player.hand[0] = withAbilities(state.player.hand[0], regenOn('turnStart'), regenOn('turnEnd'));
+  // defend keeps the hand, so the card is still held at turnEnd and in the next round
+  const first = round(state, { action: 'defend' });
+  const second = round(first.state, { action: 'defend' });
+  for (const r of [first, second]) {
+    assert.equal(fired(r, 'player', 'turnStart').length, 1);
+    assert.equal(fired(r, 'player', 'turnEnd').length, 1);
+  }
+});
+
+test('onHit fires once for the card that landed', () => {
+  const state = openingState('trigger-hit', { enemy: { stats: { ...STATS, speed: 0 } } });
+  const card = state.player.hand.find(c => c.spCost <= state.player.sp);
+  const idx = state.player.hand.indexOf(card);
+  state.player.hand[idx] = withAbilities(card, regenOn('onHit'));
+  const r = round(state, play(state.player.hand[idx]));
+  assert.equal(r.error, undefined);
+  assert.ok(r.events.some(e => e.type === 'damage' && e.side === 'player' && e.source !== 'effect'));
+  assert.equal(fired(r, 'player', 'onHit').length, 1);
+});
+
+test('a defeated enemy fires no more triggers', () => {
+  const state = openingState('trigger-dead-foe');
+  state.enemies[0].hp = 1;
+  state.enemies[0].hand = state.enemies[0].hand.map(c => withAbilities(c, regenOn('onDamaged'), regenOn('turnStart'), regenOn('turnEnd')));
+  const card = state.player.hand.find(c => c.spCost <= state.player.sp);
+  const r = round(state, play(card));
+  assert.equal(r.state.enemies[0].hp, 0);
+  assert.deepEqual(r.events.filter(e => e.type === 'ability_activated' && e.side === 'enemy'), []);
+});
+
+test('a player downed on their own turn does not fire turnEnd', () => {
+  const state = openingState('trigger-dead-player');
+  state.player.hp = 1;
+  state.enemies[0].activeEffects = [{ type: 'Thorns', power: 100, remaining: 2 }];
+  const card = state.player.hand.find(c => c.spCost <= state.player.sp);
+  const idx = state.player.hand.indexOf(card);
+  state.player.hand[idx] = withAbilities(card, regenOn('turnEnd'));
+  const r = round(state, play(state.player.hand[idx]));
+  assert.ok(r.events.some(e => e.source === 'thorns'));
+  assert.equal(r.state.player.hp, 0);
+  assert.deepEqual(fired(r, 'player', 'turnEnd'), []);
+});
@@ -0,0 +1,53 @@
+// test/upgrades.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { upgradedCard, expandDeck } = require('../engine/combatEngine');
+
+const strike = {
+  _id: 'strike', name: 'Strike', spCost: 2, potency: 10, defense: 0, type: ['Physical'],
+  abilities: [
+    { key: 'burn', type: 'Burn', power: 5, duration: 2, activationChance: 50 },
+    { key: 'guard', type: 'Guard', power: 3, duration: 1, activationChance: 100 },
+  ],
+  upgrade: {
+    potency: 14, spCost: 1,
+    abilities: [{ key: 'burn', power: 8, activationChance: 75 }],
+    addAbility: { key: 'lucky', type: 'Lucky', power: 10, duration: 2, activationChance: 100 },
+  },
+};
+const plain = { _id: 'plain', name: 'Plain', spCost: 1, potency: 5, type: ['Physical'], abilities: [] };
+const cardsById = new Map([strike, plain].map(c => [c._id, c]));
+
+test('upgradedCard: overrides on top of the base card, matched by ability key', () => {
+  const up = upgradedCard(strike);
+  assert.equal(up.name, 'Strike+');
+  assert.equal(up.potency, 14);
+  assert.equal(up.spCost, 1);
+  assert.equal(up.defense, 0);
+  assert.deepEqual(up.abilities.map(a => [a.key, a.power, a.duration, a.activationChance]), [
+    ['burn', 8, 2, 75],
+    ['guard', 3, 1, 100],
+    ['lucky', 10, 2, 100],
+  ]);
+  assert.equal(strike.abilities.length, 2);
+  assert.equal(upgradedCard(plain), plain);
+});
+
+test('expandDeck: deals the upgraded copies in their Card+ form', () => {
+  const deck = expandDeck(
+    [{ cardId: 'strike', qty: 3 }, { cardId: 'plain', qty: 1 }],
+    cardsById,
+    [{ cardId: 'strike', qty: 2 }, { cardId: 'plain', qty: 1 }],
+  );
+  assert.deepEqual(deck.map(c => [c.name, c.potency, !!c.upgraded]), [
+    ['Strike+', 14, true],
+    ['Strike+', 14, true],
+    ['Strike', 10, false],
+    ['Plain', 5, false],
+  ]);
+});
+
+test('expandDeck: more upgrades than copies upgrade every copy and no more', () => {
+  const deck = expandDeck([{ cardId: 'strike', qty: 2 }], cardsById, [{ cardId: 'strike', qty: 5 }]);
+  assert.deepEqual(deck.map(c => c.name), ['Strike+', 'Strike+']);
+});
@@ -0,0 +1,92 @@
+// utils/difficulty.js
+// Run difficulty (ascension) levels, chosen at POST /api/campaigns/:id/start and kept on
+// SavedGame.difficulty. Level 0 is the campaign as authored; every level above it stacks
+// the per-level steps below. Runs can also carry named modifiers (SavedGame.modifiers, e.g.
+// the daily challenge's) that fold into the same knobs.
+
+const MAX_DIFFICULTY = 10;
+
+const PER_LEVEL = {
+  enemyStats:  0.10, // enemy attack/power/durability and HP, +10% a level
+  greed:       0.03, // enemy aiConfig.greedChance, -0.03 a level (plays the smarter line more often)
+  money:       0.10, // starting money, -10% a level
+  heal:        0.10, // rest room heals, -10% a level
+  combatWeight: 0.5, // generator combat weight, +0.5 a level
+};
+
+// Named run modifiers, applied on top of the level
+const RUN_MODIFIERS = {
+  elite:    { name: 'Elite foes',   description: 'Enemy attack/power/durability and HP +25%', enemyStats: 1.25 },
+  cunning:  { name: 'Cunning foes', description: 'Enemy greedChance -0.1',                    greed: 0.1 },
+  frugal:   { name: 'Empty purse',  description: 'Starting money halved',                     money: 0.5 },
+  weary:    { name: 'Weary',        description: 'Rest rooms heal half as much',              heal: 0.5 },
+  gauntlet: { name: 'Gauntlet',     description: '+2 combat weight in the generator',         combatWeight: 2 },
+};
+
+const SCALED_STATS = ['attackPower', 'physicalPower', 'supernaturalPower', 'durability'];
+
+// Integer level in 0..MAX_DIFFICULTY, or null when `raw` is not one (unset = 0)
+function parseDifficulty(raw) {
+  if (raw === undefined || raw === null || raw === '') return 0;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 && n <= MAX_DIFFICULTY ? n : null;
+}
+
+// Known RUN_MODIFIERS ids from `raw`, without duplicates
+function parseModifiers(raw) {
+  return Array.isArray(raw) ? [...new Set(raw.map(String))].filter(id => RUN_MODIFIERS[id]) : [];
+}
+
+// Stacked modifiers for a level and any run modifiers
+function difficultyModifiers(level, modifiers = []) {
+  const n = parseDifficulty(level) || 0;
+  const mods = {
+    level: n,
+    enemyStatMultiplier: 1 + PER_LEVEL.enemyStats * n,
+    greedReduction:      PER_LEVEL.greed * n,
+    moneyMultiplier:     Math.max(0, 1 - PER_LEVEL.money * n),
+    healMultiplier:      Math.max(0, 1 - PER_LEVEL.heal * n),
+    combatWeightBonus:   PER_LEVEL.combatWeight * n,
+  };
+  for (const id of parseModifiers(modifiers)) {
+    const m = RUN_MODIFIERS[id];
+    if (m.enemyStats) mods.enemyStatMultiplier *= m.enemyStats;
+    if (m.greed) mods.greedReduction += m.greed;
+    if (m.money !== undefined) mods.moneyMultiplier *= m.money;
+    if (m.heal !== undefined) mods.healMultiplier *= m.heal;
+    if (m.combatWeight) mods.combatWeightBonus += m.combatWeight;
+  }
+  return mods;
+}
+
+// Built enemy side (see buildSide) with stats, HP and AI tuned for the level and modifiers
+function scaleEnemySide(side, level, modifiers = []) {
+  const mods = difficultyModifiers(level, modifiers);
+  if (mods.enemyStatMultiplier === 1 && !mods.greedReduction) return side;
+  const stats = { ...side.stats };
+  for (const k of SCALED_STATS) {
+    if (typeof stats[k] === 'number') stats[k] = Math.round(stats[k] * mods.enemyStatMultiplier);
+  }
+  const maxHp = Math.round(side.maxHp * mods.enemyStatMultiplier);
+  const smarter = (ai) => ai && ({ ...ai, greedChance: Math.max(0, (ai.greedChance ?? 0.15) - mods.greedReduction) });
+  return {
+    ...side,
+    stats,
+    maxHp,
+    hp: maxHp,
+    aiConfig: smarter(side.aiConfig) || null,
+    ...(Array.isArray(side.phases) ? { phases: side.phases.map(p => ({ ...p, aiConfig: smarter(p.aiConfig) || null })) } : {}),
+  };
+}
+
+// Generator room weights with the level's (and modifiers') extra combat weight
+function weightsForDifficulty(weights, level, modifiers = []) {
+  const { combatWeightBonus } = difficultyModifiers(level, modifiers);
+  if (!combatWeightBonus) return weights;
+  const list = weights.map(w => (w.type === 'combat' ? { ...w, weight: (w.weight || 0) + combatWeightBonus } : w));
+  return list.some(w => w.type === 'combat') ? list : [...list, { type: 'combat', weight: combatWeightBonus }];
+}
+
+module.exports = {
+  MAX_DIFFICULTY, RUN_MODIFIERS, parseDifficulty, parseModifiers, difficultyModifiers, scaleEnemySide, weightsForDifficulty,
+};
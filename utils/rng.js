@@ -0,0 +1,40 @@
+// utils/rng.js
+const crypto = require('crypto');
+
+// FNV-1a: turn any seed string into a 32-bit starting state
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  const s = String(seed);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Fresh shareable seed when the player didn't pick one
+function randomSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// Daily challenge seeds (daily-YYYY-MM-DD). They are public, so players may not start runs or
+// simulations with them: that would rehearse the day's path and per-room combat rolls.
+const DAILY_SEED_PREFIX = 'daily-';
+const isReservedSeed = (seed) => String(seed ?? '').startsWith(DAILY_SEED_PREFIX);
+const RESERVED_SEED_MESSAGE = `Seeds starting with "${DAILY_SEED_PREFIX}" are reserved for the daily challenge`;
+
+// mulberry32 PRNG. Returns a Math.random-compatible function; rng.state() exposes the
+// internal state so it can be persisted and resumed with createRng(seed, state).
+function createRng(seed, state) {
+  let a = (typeof state === 'number' && Number.isFinite(state)) ? (state | 0) : (hashSeed(seed) | 0);
+  const rng = () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.state = () => a;
+  return rng;
+}
+
+module.exports = { createRng, hashSeed, randomSeed, DAILY_SEED_PREFIX, isReservedSeed, RESERVED_SEED_MESSAGE };
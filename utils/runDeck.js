@@ -0,0 +1,35 @@
+// utils/runDeck.js
+// The run's deck as { cardId, qty } entries: campaign startingDeck + SavedGame.extraDeck,
+// minus SavedGame.removedCards (taken from the last matching entries first).
+
+// [{ cardId, qty }] → Map<cardId, total qty>
+function countsOf(entries) {
+  const counts = new Map();
+  for (const e of (Array.isArray(entries) ? entries : [])) {
+    if (!e?.cardId) continue;
+    const id = String(e.cardId);
+    counts.set(id, (counts.get(id) || 0) + Math.max(1, Number(e.qty || 1)));
+  }
+  return counts;
+}
+
+function runDeckEntries(campaign, saved) {
+  const entries = [
+    ...(Array.isArray(campaign?.playerSetup?.startingDeck) ? campaign.playerSetup.startingDeck : []),
+    ...(Array.isArray(saved?.extraDeck) ? saved.extraDeck : []),
+  ]
+    .filter(e => e && e.cardId)
+    .map(e => ({ cardId: e.cardId, qty: Math.max(1, Math.min(30, Number(e.qty || 1))) }));
+
+  const removed = countsOf(saved?.removedCards);
+  for (let i = entries.length - 1; i >= 0 && removed.size; i--) {
+    const id = String(entries[i].cardId);
+    const n = Math.min(removed.get(id) || 0, entries[i].qty);
+    if (!n) continue;
+    entries[i].qty -= n;
+    removed.set(id, removed.get(id) - n);
+  }
+  return entries.filter(e => e.qty > 0);
+}
+
+module.exports = { countsOf, runDeckEntries };
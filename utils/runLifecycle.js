@@ -0,0 +1,156 @@
+// utils/runLifecycle.js
+// Server-side end of a run. A run is won when its last boss falls or the player moves past
+// the last room, and lost when the player dies or the deck drops below
+// Campaign.playerSetup.minDeckSize. A finished SavedGame is frozen (runStatus won/lost,
+// runSummary): play, buy, rest and save answer 409 until POST /api/campaigns/:id/start.
+// Every run that ends, or is thrown away while still going, leaves a RunRecord (GET /api/runs).
+
+const SavedGame = require('../models/SavedGame');
+const RunRecord = require('../models/RunRecord');
+const { countsOf, runDeckEntries } = require('./runDeck');
+
+const FINISHED = ['won', 'lost'];
+
+const isRunOver = (saved) => FINISHED.includes(saved?.runStatus);
+
+const runPath = (saved) => (Array.isArray(saved?.progress?.generatedPath) ? saved.progress.generatedPath : []);
+const runRoomIndex = (saved) => Number(saved?.progress?.roomIndex ?? saved?.roomIndex ?? 0);
+
+// Cards in the run deck (startingDeck + extraDeck - removedCards)
+function runDeckSize(campaign, saved) {
+  return runDeckEntries(campaign, saved).reduce((n, e) => n + e.qty, 0);
+}
+
+// True when the boss room at `index` is the last boss of the path (or the path has ended)
+function isFinalBoss(saved, index) {
+  const path = runPath(saved);
+  return path[index]?.type === 'boss' && !path.slice(index + 1).some(r => r?.type === 'boss');
+}
+
+// Outcome after the run's progress or deck changed outside combat, or null while it goes on.
+// The deck rule is only checked when the caller changed the deck.
+function progressOutcome(saved, campaign, { deckChanged = false } = {}) {
+  const path = runPath(saved);
+  if (path.length && runRoomIndex(saved) >= path.length) return { outcome: 'won', reason: 'path_complete' };
+  const min = Number(campaign?.playerSetup?.minDeckSize) || 0;
+  if (deckChanged && campaign && min > 0 && runDeckSize(campaign, saved) < min) {
+    return { outcome: 'lost', reason: 'deck_too_small' };
+  }
+  return null;
+}
+
+// $inc for SavedGame.runStats after one round of a run fight: damage and cards played every
+// round, plus fightsWon/enemiesDefeated/turns once the fight is over
+function roundCounters({ events = [], played = [], status, enemies = [], turns = 0 }) {
+  const inc = {};
+  const add = (key, n) => { if (n) inc[`runStats.${key}`] = (inc[`runStats.${key}`] || 0) + n; };
+  for (const e of events) {
+    if (e.type !== 'damage') continue;
+    add(e.target === 'player' ? 'damageTaken' : 'damageDealt', Number(e.amount) || 0);
+  }
+  for (const c of played) if (c?.id) add(`cardsPlayed.${c.id}`, 1);
+  if (status && status !== 'active') {
+    add('fightsWon', status === 'won' ? 1 : 0);
+    add('enemiesDefeated', enemies.filter(e => e.hp <= 0).length);
+    add('turns', turns);
+  }
+  return inc;
+}
+
+// runStats with a roundCounters $inc applied (the same update, in memory)
+function addCounters(runStats, inc) {
+  const stats = { ...(runStats || {}), cardsPlayed: { ...(runStats?.cardsPlayed || {}) } };
+  for (const [path, n] of Object.entries(inc)) {
+    const [, key, id] = path.split('.');
+    if (id) stats.cardsPlayed[id] = (stats.cardsPlayed[id] || 0) + n;
+    else stats[key] = (stats[key] || 0) + n;
+  }
+  return stats;
+}
+
+function runSummary(saved, campaign, outcome, reason) {
+  const path = runPath(saved);
+  const stats = saved?.runStats || {};
+  const startedAt = saved?.runStartedAt ? new Date(saved.runStartedAt) : null;
+  const endedAt = new Date();
+  const finalDeck = campaign
+    ? Array.from(countsOf(runDeckEntries(campaign, saved)), ([cardId, qty]) => ({ cardId, qty }))
+    : [];
+  return {
+    outcome,
+    reason,
+    campaignId: saved?.progress?.campaignId || null,
+    campaignName: campaign?.name || null,
+    seed: saved?.seed || null,
+    difficulty: saved?.difficulty || 0,
+    modifiers: saved?.modifiers || [],
+    daily: saved?.daily || null,
+    roomReached: Math.min(runRoomIndex(saved), Math.max(0, path.length - 1)),
+    roomsCleared: Math.min(path.length, runRoomIndex(saved) + (outcome === 'won' ? 1 : 0)),
+    totalRooms: path.length,
+    fightsWon: stats.fightsWon || 0,
+    enemiesDefeated: stats.enemiesDefeated || 0,
+    turns: stats.turns || 0,
+    damageDealt: stats.damageDealt || 0,
+    damageTaken: stats.damageTaken || 0,
+    moneyEarned: Math.max(0, (saved?.money || 0) + (stats.moneySpent || 0) - (stats.startingMoney || 0)),
+    money: saved?.money || 0,
+    playerHp: saved?.playerHp ?? null,
+    finalDeck,
+    deckSize: finalDeck.reduce((n, e) => n + e.qty, 0),
+    cardsPlayed: stats.cardsPlayed || {},
+    // from server-side counters only (never client-patched fields); leaderboards rank these
+    verified: {
+      turns: stats.turns || 0,
+      cardsUsed: Object.values(stats.cardsPlayed || {}).reduce((n, c) => n + (Number(c) || 0), 0),
+      hp: typeof stats.hp === 'number' ? stats.hp : null,
+      money: typeof stats.money === 'number' ? Math.max(0, stats.money) : null,
+    },
+    startedAt,
+    endedAt,
+    timePlayedMs: startedAt ? Math.max(0, endedAt - startedAt) : 0,
+  };
+}
+
+// Keeps the run's history; a failed write must not undo the run's end
+async function recordRun(saved, summary) {
+  try {
+    await RunRecord.create({ user: saved.user, ...summary });
+  } catch (err) {
+    console.error('[RUN][RECORD]', err);
+  }
+}
+
+// Freezes the run once; resolves to the finished SavedGame, or null if it had already ended
+async function finishRun(saved, campaign, outcome, reason) {
+  const summary = runSummary(saved, campaign, outcome, reason);
+  console.log('[RUN][FINISH]', { savedGameId: String(saved._id), outcome, reason });
+  const finished = await SavedGame.findOneAndUpdate(
+    { _id: saved._id, runStatus: { $nin: FINISHED } },
+    { $set: { runStatus: outcome, runSummary: summary } },
+    { new: true }
+  ).lean();
+  if (finished) await recordRun(saved, summary);
+  return finished;
+}
+
+// Ends the run when progressOutcome says it is over; resolves to { status, summary } for the
+// response, or null while the run goes on. Every server path that moves the run or changes its
+// deck outside combat goes through here (advance, rest, events).
+async function settleRun(saved, campaign, opts) {
+  const ending = progressOutcome(saved, campaign, opts);
+  if (!ending) return null;
+  const finished = await finishRun(saved, campaign, ending.outcome, ending.reason);
+  return finished ? { status: finished.runStatus, summary: finished.runSummary } : null;
+}
+
+// Records a run that is still going when its save is cleared or replaced by a new run
+async function abandonRun(saved, campaign, reason) {
+  if (!saved?.progress?.campaignId || isRunOver(saved)) return;
+  console.log('[RUN][ABANDON]', { savedGameId: String(saved._id), reason });
+  await recordRun(saved, runSummary(saved, campaign, 'abandoned', reason));
+}
+
+module.exports = {
+  isRunOver, isFinalBoss, progressOutcome, roundCounters, addCounters, runSummary, finishRun, settleRun, abandonRun,
+};